@@ -0,0 +1,121 @@
+/**
+ * Learned per-user category affinity
+ * ------------------------------------------------------
+ * Replaces the binary jaccard(preferences, categories) match with a weighted profile, a
+ * distribution over categories built from:
+ *  - stated preferences: equal shares
+ *  - behaviour: category frequencies over the user's history (attended events, plus strong
+ *    positive interactions with their weight); an event's weight is split across its categories
+ *
+ * Behaviour gets more say as history grows: its share is h / (h + historyHalfWeight) for a
+ * history of total weight h, so at historyHalfWeight events both sources weigh the same.
+ * A smoothing share of the profile comes from global category popularity (sum of event
+ * popularity per category), so unseen categories are rare but not impossible.
+ *
+ * An event is scored by cosine similarity between the profile and its category set, in [0, 1].
+ * A user who lists five interests but only goes to music events scores music events highest.
+ * With a taxonomy (see taxonomy.js), preferences, history and events are weighted node vectors
+ * (a category plus its ancestors and compound parts), so "jazz" partly matches "music".
+ *
+ * Time complexity: O(P + H * c + C) to build a profile (P preferences, H history events with
+ * c categories each, C catalog categories), O(c) per event to score.
+ */
+
+'use strict';
+
+// Add a distribution (Map category -> share summing to 1) into target, scaled by factor
+function addScaled(target, dist, factor) {
+  if (factor <= 0) return;
+  for (const [c, share] of dist) target.set(c, (target.get(c) || 0) + factor * share);
+}
+
+// Categories as a weighted vector: each category 1, or its taxonomy expansion
+function vectorOf(categories, taxonomy) {
+  if (taxonomy) return taxonomy.expandAll(categories);
+  const out = new Map();
+  for (const c of categories) out.set(c, 1);
+  return out;
+}
+
+function normalize(tally) {
+  let total = 0;
+  for (const v of tally.values()) total += v;
+  const out = new Map();
+  if (total <= 0) return out;
+  for (const [c, v] of tally) out.set(c, v / total);
+  return out;
+}
+
+/**
+ * Build a user's category profile.
+ * @param {string[]} preferences - stated interests
+ * @param {Array<{categories:string[], weight:number}>} history - categories of the user's
+ *   history events (those missing from the catalog are left out by the caller)
+ * @param {Map<string,number>} globalPopularity - category -> sum(popularity) over the catalog
+ * @param {{historyHalfWeight:number, smoothing:number}} settings
+ * @param {Object} [taxonomy] - expand categories over it (see taxonomy.js)
+ * @returns {{weights:Map<string,number>, norm:number}} weights sum to 1; norm is their L2 norm
+ *   (0 when there is nothing to learn from)
+ */
+function buildAffinityProfile(preferences, history, globalPopularity, settings, taxonomy = null) {
+  const stated = vectorOf(preferences, taxonomy);
+
+  const observed = new Map();
+  let historyTotal = 0;
+  for (const { categories, weight } of history) {
+    const cats = vectorOf(Array.isArray(categories) ? categories : [], taxonomy);
+    if (cats.size === 0 || !(weight > 0)) continue;
+    // The event's weight is split across its categories in proportion to their vector weights
+    let mass = 0;
+    for (const w of cats.values()) mass += w;
+    for (const [c, w] of cats) observed.set(c, (observed.get(c) || 0) + (weight * w) / mass);
+    historyTotal += weight;
+  }
+
+  const weights = new Map();
+  if (stated.size === 0 && historyTotal === 0) return { weights, norm: 0 };
+
+  // Behaviour share grows with history; either source alone takes the whole profile
+  let behaviourShare = historyTotal / (historyTotal + settings.historyHalfWeight);
+  if (stated.size === 0) behaviourShare = 1;
+  if (historyTotal === 0) behaviourShare = 0;
+
+  const global = normalize(globalPopularity);
+  const smoothing = global.size > 0 ? settings.smoothing : 0;
+  addScaled(weights, normalize(stated), (1 - smoothing) * (1 - behaviourShare));
+  addScaled(weights, normalize(observed), (1 - smoothing) * behaviourShare);
+  addScaled(weights, global, smoothing);
+
+  let sq = 0;
+  for (const w of weights.values()) sq += w * w;
+  return { weights, norm: Math.sqrt(sq) };
+}
+
+/**
+ * Cosine similarity between a profile and an event's category set.
+ * @param {{weights:Map<string,number>, norm:number}} profile
+ * @param {string[]} categories
+ * @param {Object} [taxonomy] - the one the profile was built with
+ * @returns {number} in [0, 1]
+ */
+function affinityScore(profile, categories, taxonomy = null) {
+  if (profile.norm === 0 || !Array.isArray(categories) || categories.length === 0) return 0;
+  if (!taxonomy) {
+    const cats = new Set(categories);
+    let dot = 0;
+    for (const c of cats) dot += profile.weights.get(c) || 0;
+    return Math.min(1, dot / (profile.norm * Math.sqrt(cats.size)));
+  }
+  let dot = 0;
+  let sq = 0;
+  for (const [c, w] of taxonomy.expandAll(categories)) {
+    dot += w * (profile.weights.get(c) || 0);
+    sq += w * w;
+  }
+  return Math.min(1, dot / (profile.norm * Math.sqrt(sq)));
+}
+
+module.exports = {
+  buildAffinityProfile,
+  affinityScore,
+};
@@ -1,38 +1,77 @@
 /**
  * Event Recommendation Engine by Shweta Verma
  * ------------------------------------------------------
- * Signals combined:
- *  - Preference match (Jaccard over user preferences and event categories)
+ * Signals combined (each a plugin, see signals.js; more can be registered):
+ *  - Preference match (learned category affinity from preferences and history, see affinity.js;
+ *    or Jaccard over user preferences and event categories)
  *  - Content similarity (boost if similar to user's attended events)
- *  - Geographic proximity (Haversine distance → exponential decay)
+ *  - Geographic proximity (Haversine distance → exponential decay) to the user's best
+ *    applicable location (home, work, trips with time windows; per-user decay, see locations.js)
  *  - Event popularity (given in [0,1])
  *  - Cold-start prior (popularity-by-category) when user has no prefs/history
+ *  - Collaborative filtering (co-attendance model, see collaborative.js) when one is supplied
+ *  - Urgency (events starting soon, see time.js) when a reference "now" is supplied;
+ *    past events and events outside an optional time window are excluded
+ *  - Implicit feedback (user.interactions, see interactions.js): strong positive interactions
+ *    count as history for content similarity; dismissed events and their neighbors are demoted
+ * With options.taxonomy (see taxonomy.js), related categories (parents, synonyms, compounds)
+ * partially match in the preference signals, the cold-start prior and the diversity stage.
+ *
+ * Per-request constraints (options.filters: categories, radius, popularity, excluded ids) and
+ * boosted/pinned placements (options.boost) are applied inside the scoring loop. With
+ * options.fairness (see fairness.js), each list keeps slots for long-tail or under-exposed events.
  *
  * Time complexity:
  *  - Similarity counts: O(A * S) where A = attended events (<= 15), S = max similar per event (<= 8) → ~O(1)
+ *  - (Optional) interactions: O(I + D * S) for I interactions, D of them dismissals
+ *  - Affinity profile: O(P + A * c + C) for P preferences and C catalog categories
+ *  - (Optional) collaborative scores: O(A * M) where M = neighbors kept per event in the model
  *  - (Optional) category popularity pass: O(n * c) where c ≤ 3 categories per event → O(n)
- *  - Scoring all events: O(n)
- *  - Top-k with a size-k min-heap: O(n log k)
- *  - Gentle diversity re-rank over top-k: O(k^2), k is tiny (e.g., 5–50)
+ *  - Scoring all events: O(n * L) for L user locations (usually 1–3) → O(n)
+ *  - Top-k with a size-k min-heap: O(n log k); boosted events add a size-b heap (b = boost.maxItems)
+ *  - Diversity stage over a pool of p = poolFactor * k candidates (see diversity.js): O(p * k)
+ *    or O(p^2) for the category re-rank, p is tiny (e.g., 5–150); the heap then holds p nodes
+ *  - (Optional) fairness: protected events go to a size-m heap as well (m = fairness.minSlots)
  * Overall: O(n log k), meeting the requirement.
  */
 
 'use strict';
 
+const { scoreFromHistory } = require('./collaborative');
+const {
+  DatasetValidationError, validateEvent, validateUser, validateSimilarityEntry, assertValid,
+} = require('./validate');
+const {
+  toTimestamp, eventInterval, resolveTimeWindow, overlapsWindow, hasEnded, urgencyScore,
+} = require('./time');
+const { INTERACTION_TYPES, summarizeInteractions, buildDemotions } = require('./interactions');
+const { buildAffinityProfile, affinityScore } = require('./affinity');
+const { registerSignal, listSignals } = require('./signals');
+const { STRATEGIES, MMR_SIMILARITIES, diversify } = require('./diversity');
+const { resolveUserLocations, hasTimeWindows, matchLocation } = require('./locations');
+const { toTaxonomy } = require('./taxonomy');
+const { FAIRNESS_DEFAULTS, isProtected, applyMinExposure } = require('./fairness');
+
 /** =========================
  * Configuration (tweakables)
  * ==========================*/
 const CONFIG = {
-  // Base weights (sum doesn't need to be 1; we normalize per-user by active signals).
+  // Base weights of the built-in signals (sum doesn't need to be 1; we normalize per-user by
+  // active signals). Registered signals bring their own defaultWeight.
   // 'cold' is used only when the user has neither prefs nor history.
   weights: {
-    pref: 0.35,
-    sim:  0.30,
-    geo:  0.20,
-    pop:  0.15,
-    cold: 0.10, // only applied for cold start
+    pref:   0.35,
+    sim:    0.30,
+    geo:    0.20,
+    pop:    0.15,
+    cold:   0.10, // only applied for cold start
+    collab: 0.25, // only applied when options.collaborative is given and the user has history
+    urgency: 0.10, // only applied when options.now is given
   },
 
+  // Urgency decay length scale (hours until start). Smaller -> stronger push for imminent events.
+  urgencyDecayHours: 48,
+
   // Exponential distance decay length scale (km).
   // Smaller -> stronger preference for nearby events.
   distanceDecayKm: 1000,
@@ -41,17 +80,480 @@ const CONFIG = {
   // Example: 3000 for continental focus; leave as null for no hard cutoff.
   hardGeoCutoffKm: null,
 
-  // Gentle post-processing to reduce "all one category" results.
+  // How preferences are matched against event categories:
+  //  'affinity' - learned category profile from preferences and history (see affinity.js)
+  //  'jaccard'  - Jaccard over stated preferences only
+  preferenceModel: 'affinity',
+
+  affinity: {
+    // History weight (attended events) at which behaviour counts as much as stated preferences.
+    historyHalfWeight: 5,
+    // Share of the profile taken from global category popularity.
+    smoothing: 0.1,
+  },
+
+  // Implicit feedback from user.interactions (see interactions.js).
+  interactions: {
+    // Weight of one interaction of each type (before decay). Per event, weights add up to at most 1.
+    typeWeights: { view: 0.1, click: 0.3, rsvp: 0.8, attend: 1, dismiss: 1 },
+    // Interaction weight halves every halfLifeDays before options.now (no decay without now).
+    halfLifeDays: 30,
+    // Positive weight an event needs to count as history for content similarity.
+    similarityThreshold: 0.5,
+    // Subtracted from the final score of a fully dismissed event.
+    dismissPenalty: 0.3,
+    // Share of that penalty applied to the events a dismissed event lists as similar.
+    neighborShare: 0.5,
+  },
+
+  // Post-processing to reduce "all one category" results (strategies in diversity.js).
   diversity: {
     enabled: true,
+    // 'category' (repeat penalty), 'mmr', 'geo' (spread out venues) or 'novelty' (long tail).
+    strategy: 'category',
+    // Candidates considered = poolFactor * k; null -> 1 for 'category' (re-rank the top k
+    // only), 3 for the others (so events from just below the top k can be picked).
+    poolFactor: null,
     // Per-step penalty applied for selecting events from already-repeated categories (MMR-style).
     // Range suggestion: 0.05–0.15. Higher -> more diversity.
     alpha: 0.08,
     // Soft cap: attempts to keep repeats ≤ cap; if unavoidable, still selects best available.
     perCategoryCap: 3,
+    // Extra penalty once a category has reached the cap.
+    capPenalty: 0.5,
+    // Weight of relevance vs. similarity to events already picked (1 = relevance only).
+    // similarity: 'categories' (Jaccard overlap), 'eventSimilarity' (linked events) or 'both'.
+    mmr: { lambda: 0.7, similarity: 'categories' },
+    // Penalty strength for events near already-picked ones; proximity decays over spreadKm.
+    geo: { spreadKm: 25, strength: 0.15 },
+    // Bonus per unit of (1 - popularity).
+    novelty: { weight: 0.1 },
   },
 };
 
+/** =============================
+ * Per-call options (over CONFIG)
+ * ==============================*/
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function requireNumber(value, path) {
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    throw new TypeError(`${path} must be a number (got ${JSON.stringify(value)})`);
+  }
+  return value;
+}
+
+function requireStringSet(value, path) {
+  if (!Array.isArray(value) || !value.every(v => typeof v === 'string')) {
+    throw new TypeError(`${path} must be an array of strings`);
+  }
+  return new Set(value);
+}
+
+// Hard per-request constraints. Every field is optional; null means "not constrained".
+function resolveFilters(filters) {
+  const out = {
+    includeCategories: null, excludeCategories: null, excludeEventIds: null,
+    minPopularity: null, maxRadiusKm: null, radiusCenter: null,
+  };
+  if (filters === undefined || filters === null) return out;
+  if (!isPlainObject(filters)) throw new TypeError('options.filters must be an object');
+
+  for (const key of ['includeCategories', 'excludeCategories', 'excludeEventIds']) {
+    if (filters[key] !== undefined) out[key] = requireStringSet(filters[key], `options.filters.${key}`);
+  }
+  if (filters.minPopularity !== undefined) {
+    out.minPopularity = requireNumber(filters.minPopularity, 'options.filters.minPopularity');
+    if (out.minPopularity < 0 || out.minPopularity > 1) {
+      throw new RangeError(`options.filters.minPopularity must be in [0, 1] (got ${out.minPopularity})`);
+    }
+  }
+  if (filters.maxRadiusKm !== undefined) {
+    out.maxRadiusKm = requireNumber(filters.maxRadiusKm, 'options.filters.maxRadiusKm');
+    if (out.maxRadiusKm < 0) {
+      throw new RangeError(`options.filters.maxRadiusKm must be >= 0 (got ${out.maxRadiusKm})`);
+    }
+  }
+  if (filters.radiusCenter !== undefined) {
+    const center = filters.radiusCenter;
+    if (!hasValidLocation(center)) throw new TypeError('options.filters.radiusCenter must be {lat, lng} numbers');
+    if (Math.abs(center.lat) > 90) {
+      throw new RangeError(`options.filters.radiusCenter.lat must be in [-90, 90] (got ${center.lat})`);
+    }
+    if (out.maxRadiusKm === null) throw new RangeError('options.filters.radiusCenter needs options.filters.maxRadiusKm');
+    out.radiusCenter = { lat: center.lat, lng: center.lng };
+  }
+  return out;
+}
+
+// Boosted (sponsored) events: score bonus, optional pinning to the top, and a cap per result list.
+function resolveBoost(boost) {
+  if (boost === undefined || boost === null) return null;
+  if (!isPlainObject(boost)) throw new TypeError('options.boost must be an object');
+  const eventIds = requireStringSet(boost.eventIds === undefined ? [] : boost.eventIds, 'options.boost.eventIds');
+
+  let amount = 0.1;
+  if (boost.amount !== undefined) {
+    amount = requireNumber(boost.amount, 'options.boost.amount');
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new RangeError(`options.boost.amount must be a finite non-negative number (got ${amount})`);
+    }
+  }
+  let maxItems = 1;
+  if (boost.maxItems !== undefined) {
+    maxItems = requireNumber(boost.maxItems, 'options.boost.maxItems');
+    if (!Number.isInteger(maxItems) || maxItems < 0) {
+      throw new RangeError(`options.boost.maxItems must be a non-negative integer (got ${maxItems})`);
+    }
+  }
+  if (boost.pin !== undefined && typeof boost.pin !== 'boolean') {
+    throw new TypeError('options.boost.pin must be a boolean');
+  }
+  if (eventIds.size === 0 || maxItems === 0) return null;
+  return { eventIds, amount, maxItems, pin: boost.pin === true };
+}
+
+// Minimum exposure: slots per result list kept for long-tail or under-exposed events.
+function resolveFairness(fairness) {
+  if (fairness === undefined || fairness === null) return null;
+  if (!isPlainObject(fairness)) throw new TypeError('options.fairness must be an object');
+  const out = { ...FAIRNESS_DEFAULTS, exposure: null };
+
+  if (fairness.minSlots !== undefined) {
+    out.minSlots = requireNumber(fairness.minSlots, 'options.fairness.minSlots');
+    if (!Number.isInteger(out.minSlots) || out.minSlots < 0) {
+      throw new RangeError(`options.fairness.minSlots must be a non-negative integer (got ${out.minSlots})`);
+    }
+  }
+  if (fairness.longTailPopularity !== undefined) {
+    out.longTailPopularity = fairness.longTailPopularity;
+    if (out.longTailPopularity !== null) {
+      requireNumber(out.longTailPopularity, 'options.fairness.longTailPopularity');
+      if (out.longTailPopularity < 0 || out.longTailPopularity > 1) {
+        throw new RangeError(`options.fairness.longTailPopularity must be in [0, 1] or null (got ${out.longTailPopularity})`);
+      }
+    }
+  }
+  if (fairness.exposure !== undefined && fairness.exposure !== null) {
+    if (typeof fairness.exposure.exposureOf !== 'function') {
+      throw new TypeError('options.fairness.exposure must be a tracker from createExposureTracker');
+    }
+    out.exposure = fairness.exposure;
+  }
+  if (fairness.minExposure !== undefined && fairness.minExposure !== null) {
+    out.minExposure = nonNegativeNumber(fairness.minExposure, 'options.fairness.minExposure');
+    if (out.exposure === null) throw new RangeError('options.fairness.minExposure needs options.fairness.exposure');
+  }
+  if (out.minSlots === 0 || (out.longTailPopularity === null && out.minExposure === null)) return null;
+  return out;
+}
+
+// Partial override of one strategy's parameter block, e.g. options.diversity.geo.
+function resolveStrategyBlock(override, defaults, path, checks) {
+  const out = { ...defaults };
+  if (override === undefined) return out;
+  if (!isPlainObject(override)) throw new TypeError(`${path} must be an object`);
+  for (const [key, value] of Object.entries(override)) {
+    if (!(key in checks)) {
+      throw new RangeError(`${path}.${key} is not a known setting (expected one of: ${Object.keys(checks).join(', ')})`);
+    }
+    out[key] = checks[key](value, `${path}.${key}`);
+  }
+  return out;
+}
+
+function positiveNumber(value, path) {
+  requireNumber(value, path);
+  if (!Number.isFinite(value) || value <= 0) throw new RangeError(`${path} must be a finite number greater than 0 (got ${value})`);
+  return value;
+}
+
+function nonNegativeNumber(value, path) {
+  requireNumber(value, path);
+  if (!Number.isFinite(value) || value < 0) throw new RangeError(`${path} must be a finite non-negative number (got ${value})`);
+  return value;
+}
+
+// Diversity stage: strategy, candidate pool size and each strategy's parameters.
+function resolveDiversity(override) {
+  const defaults = CONFIG.diversity;
+  const out = {
+    ...defaults,
+    mmr: { ...defaults.mmr },
+    geo: { ...defaults.geo },
+    novelty: { ...defaults.novelty },
+  };
+  if (override !== undefined) {
+    if (!isPlainObject(override)) throw new TypeError('options.diversity must be an object');
+    const { enabled, strategy, poolFactor, alpha, perCategoryCap, capPenalty } = override;
+    if (enabled !== undefined) {
+      if (typeof enabled !== 'boolean') throw new TypeError('options.diversity.enabled must be a boolean');
+      out.enabled = enabled;
+    }
+    if (strategy !== undefined) {
+      if (!STRATEGIES.includes(strategy)) {
+        throw new RangeError(`options.diversity.strategy must be one of ${STRATEGIES.join(', ')} (got ${strategy})`);
+      }
+      out.strategy = strategy;
+    }
+    if (poolFactor !== undefined && poolFactor !== null) {
+      requireNumber(poolFactor, 'options.diversity.poolFactor');
+      if (!Number.isFinite(poolFactor) || poolFactor < 1) {
+        throw new RangeError(`options.diversity.poolFactor must be a finite number >= 1 (got ${poolFactor})`);
+      }
+      out.poolFactor = poolFactor;
+    }
+    if (alpha !== undefined) out.alpha = nonNegativeNumber(alpha, 'options.diversity.alpha');
+    if (perCategoryCap !== undefined) {
+      requireNumber(perCategoryCap, 'options.diversity.perCategoryCap');
+      if (!(perCategoryCap > 0)) {
+        throw new RangeError(`options.diversity.perCategoryCap must be greater than 0 (got ${perCategoryCap})`);
+      }
+      out.perCategoryCap = perCategoryCap;
+    }
+    if (capPenalty !== undefined) out.capPenalty = nonNegativeNumber(capPenalty, 'options.diversity.capPenalty');
+
+    out.mmr = resolveStrategyBlock(override.mmr, defaults.mmr, 'options.diversity.mmr', {
+      lambda(value, path) {
+        requireNumber(value, path);
+        if (!(value >= 0 && value <= 1)) throw new RangeError(`${path} must be in [0, 1] (got ${value})`);
+        return value;
+      },
+      similarity(value, path) {
+        if (!MMR_SIMILARITIES.includes(value)) {
+          throw new RangeError(`${path} must be one of ${MMR_SIMILARITIES.join(', ')} (got ${value})`);
+        }
+        return value;
+      },
+    });
+    out.geo = resolveStrategyBlock(override.geo, defaults.geo, 'options.diversity.geo', {
+      spreadKm: positiveNumber,
+      strength: nonNegativeNumber,
+    });
+    out.novelty = resolveStrategyBlock(override.novelty, defaults.novelty, 'options.diversity.novelty', {
+      weight: nonNegativeNumber,
+    });
+  }
+  if (out.poolFactor === null) out.poolFactor = out.strategy === 'category' ? 1 : 3;
+  return out;
+}
+
+/**
+ * Merge caller options over CONFIG and validate the result.
+ * CONFIG itself is never mutated, so concurrent callers can use different profiles.
+ *
+ * @param {Object} [options]
+ * @param {Object<string,number>} [options.weights] - partial override of the signal weights
+ *   (CONFIG.weights and registered signals' defaultWeight; each >= 0)
+ * @param {number} [options.distanceDecayKm] - > 0
+ * @param {?number} [options.hardGeoCutoffKm] - >= 0, or null for no cutoff
+ * @param {Object} [options.diversity] - partial override of CONFIG.diversity (strategy, poolFactor,
+ *   and the category, mmr, geo and novelty parameters; see resolveDiversity)
+ * @param {Object} [options.collaborative] - co-attendance model from collaborative.js
+ * @param {Object} [options.taxonomy] - category taxonomy from taxonomy.js, or its definition
+ * @param {Date|number|string} [options.now] - reference time; enables past-event exclusion and urgency
+ * @param {number} [options.urgencyDecayHours] - > 0
+ * @param {string|{from:*, to:*}} [options.timeWindow] - preset (see time.js) or explicit range
+ * @param {number} [options.utcOffsetMinutes=0] - local calendar offset used by timeWindow presets
+ * @param {boolean} [options.strict=false] - throw DatasetValidationError on malformed input
+ * @param {string} [options.preferenceModel] - 'affinity' or 'jaccard'
+ * @param {Object} [options.affinity] - partial override of CONFIG.affinity
+ * @param {Object} [options.interactions] - partial override of CONFIG.interactions
+ *   (typeWeights may itself be partial)
+ * @param {Object} [options.filters] - hard constraints; events failing any are never returned
+ * @param {string[]} [options.filters.includeCategories] - keep events with at least one of these
+ * @param {string[]} [options.filters.excludeCategories] - drop events with any of these
+ * @param {string[]} [options.filters.excludeEventIds] - e.g. dismissed or hidden events
+ * @param {number} [options.filters.minPopularity] - in [0, 1]
+ * @param {number} [options.filters.maxRadiusKm] - drop events farther than this (and events
+ *   without a location) from radiusCenter, or from the user's nearest applicable location
+ *   (see locations.js) when no center is given
+ * @param {{lat:number, lng:number}} [options.filters.radiusCenter]
+ * @param {Object} [options.boost] - sponsored placements
+ * @param {string[]} [options.boost.eventIds] - events to boost (they must still pass every filter)
+ * @param {number} [options.boost.amount=0.1] - added to a boosted event's score
+ * @param {number} [options.boost.maxItems=1] - at most this many boosted events per result list
+ * @param {boolean} [options.boost.pin=false] - place boosted events first, ahead of the ranking
+ * @param {Object} [options.fairness] - minimum exposure (see fairness.js); each list keeps
+ *   minSlots slots for protected events, promoted into the lowest-ranked slots when missing
+ * @param {number} [options.fairness.minSlots=1] - protected events per result list
+ * @param {?number} [options.fairness.longTailPopularity=0.3] - events at or below this
+ *   popularity are protected (null: not by popularity)
+ * @param {Object} [options.fairness.exposure] - tracker from createExposureTracker
+ * @param {?number} [options.fairness.minExposure=null] - events whose tracked exposure is below
+ *   this are protected too (new events have none); needs fairness.exposure
+ * @returns {Object} resolved settings with the same shape as CONFIG, plus collaborative, taxonomy,
+ *   now and timeWindow (each null when not given; times as epoch ms), strict, interactions,
+ *   preferenceModel, affinity,
+ *   filters (see resolveFilters), boost (null when nothing is boosted) and fairness (null when off)
+ * @throws {TypeError|RangeError} on unknown weight names or out-of-range values
+ */
+function resolveOptions(options = {}) {
+  if (options == null) options = {};
+  if (!isPlainObject(options)) throw new TypeError('options must be an object');
+
+  const weights = {};
+  for (const signal of listSignals()) weights[signal.name] = signal.defaultWeight;
+  if (options.weights !== undefined) {
+    if (!isPlainObject(options.weights)) throw new TypeError('options.weights must be an object');
+    for (const [key, value] of Object.entries(options.weights)) {
+      if (!(key in weights)) {
+        throw new RangeError(`options.weights.${key} is not a known signal (expected one of: ${Object.keys(weights).join(', ')})`);
+      }
+      requireNumber(value, `options.weights.${key}`);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new RangeError(`options.weights.${key} must be a finite non-negative number (got ${value})`);
+      }
+      weights[key] = value;
+    }
+  }
+
+  let distanceDecayKm = CONFIG.distanceDecayKm;
+  if (options.distanceDecayKm !== undefined) {
+    distanceDecayKm = requireNumber(options.distanceDecayKm, 'options.distanceDecayKm');
+    if (!(distanceDecayKm > 0)) {
+      throw new RangeError(`options.distanceDecayKm must be greater than 0 (got ${distanceDecayKm})`);
+    }
+  }
+
+  let hardGeoCutoffKm = CONFIG.hardGeoCutoffKm;
+  if (options.hardGeoCutoffKm !== undefined) {
+    hardGeoCutoffKm = options.hardGeoCutoffKm;
+    if (hardGeoCutoffKm !== null) {
+      requireNumber(hardGeoCutoffKm, 'options.hardGeoCutoffKm');
+      if (hardGeoCutoffKm < 0) {
+        throw new RangeError(`options.hardGeoCutoffKm must be >= 0 or null (got ${hardGeoCutoffKm})`);
+      }
+    }
+  }
+
+  const diversity = resolveDiversity(options.diversity);
+
+  let collaborative = null;
+  if (options.collaborative !== undefined && options.collaborative !== null) {
+    if (!isPlainObject(options.collaborative) || !isPlainObject(options.collaborative.neighbors)) {
+      throw new TypeError('options.collaborative must be a model from buildCoAttendanceModel');
+    }
+    collaborative = options.collaborative;
+  }
+
+  const taxonomy = options.taxonomy !== undefined && options.taxonomy !== null ? toTaxonomy(options.taxonomy) : null;
+
+  let now = null;
+  if (options.now !== undefined && options.now !== null) {
+    now = toTimestamp(options.now);
+    if (Number.isNaN(now)) {
+      throw new TypeError(`options.now must be a Date, epoch milliseconds or a date string (got ${JSON.stringify(options.now)})`);
+    }
+  }
+
+  let urgencyDecayHours = CONFIG.urgencyDecayHours;
+  if (options.urgencyDecayHours !== undefined) {
+    urgencyDecayHours = requireNumber(options.urgencyDecayHours, 'options.urgencyDecayHours');
+    if (!(urgencyDecayHours > 0)) {
+      throw new RangeError(`options.urgencyDecayHours must be greater than 0 (got ${urgencyDecayHours})`);
+    }
+  }
+
+  let utcOffsetMinutes = 0;
+  if (options.utcOffsetMinutes !== undefined) {
+    utcOffsetMinutes = requireNumber(options.utcOffsetMinutes, 'options.utcOffsetMinutes');
+    if (!Number.isFinite(utcOffsetMinutes) || Math.abs(utcOffsetMinutes) > 14 * 60) {
+      throw new RangeError(`options.utcOffsetMinutes must be within ±840 (got ${utcOffsetMinutes})`);
+    }
+  }
+
+  let timeWindow = null;
+  if (options.timeWindow !== undefined && options.timeWindow !== null) {
+    if (typeof options.timeWindow === 'string' && now === null) {
+      throw new RangeError(`options.timeWindow "${options.timeWindow}" needs options.now`);
+    }
+    timeWindow = resolveTimeWindow(options.timeWindow, now, utcOffsetMinutes);
+  }
+
+  if (options.strict !== undefined && typeof options.strict !== 'boolean') {
+    throw new TypeError('options.strict must be a boolean');
+  }
+  const strict = options.strict === true;
+
+  const interactions = { ...CONFIG.interactions, typeWeights: { ...CONFIG.interactions.typeWeights } };
+  if (options.interactions !== undefined) {
+    if (!isPlainObject(options.interactions)) throw new TypeError('options.interactions must be an object');
+    const { typeWeights, halfLifeDays, similarityThreshold, dismissPenalty, neighborShare } = options.interactions;
+    if (typeWeights !== undefined) {
+      if (!isPlainObject(typeWeights)) throw new TypeError('options.interactions.typeWeights must be an object');
+      for (const [type, value] of Object.entries(typeWeights)) {
+        if (!INTERACTION_TYPES.includes(type)) {
+          throw new RangeError(`options.interactions.typeWeights.${type} is not a known interaction type (expected one of: ${INTERACTION_TYPES.join(', ')})`);
+        }
+        requireNumber(value, `options.interactions.typeWeights.${type}`);
+        if (!Number.isFinite(value) || value < 0) {
+          throw new RangeError(`options.interactions.typeWeights.${type} must be a finite non-negative number (got ${value})`);
+        }
+        interactions.typeWeights[type] = value;
+      }
+    }
+    if (halfLifeDays !== undefined) {
+      interactions.halfLifeDays = requireNumber(halfLifeDays, 'options.interactions.halfLifeDays');
+      if (!(halfLifeDays > 0)) {
+        throw new RangeError(`options.interactions.halfLifeDays must be greater than 0 (got ${halfLifeDays})`);
+      }
+    }
+    for (const [key, value] of [['similarityThreshold', similarityThreshold], ['dismissPenalty', dismissPenalty]]) {
+      if (value === undefined) continue;
+      requireNumber(value, `options.interactions.${key}`);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new RangeError(`options.interactions.${key} must be a finite non-negative number (got ${value})`);
+      }
+      interactions[key] = value;
+    }
+    if (neighborShare !== undefined) {
+      interactions.neighborShare = requireNumber(neighborShare, 'options.interactions.neighborShare');
+      if (neighborShare < 0 || neighborShare > 1) {
+        throw new RangeError(`options.interactions.neighborShare must be in [0, 1] (got ${neighborShare})`);
+      }
+    }
+  }
+
+  let preferenceModel = CONFIG.preferenceModel;
+  if (options.preferenceModel !== undefined) {
+    if (options.preferenceModel !== 'affinity' && options.preferenceModel !== 'jaccard') {
+      throw new RangeError(`options.preferenceModel must be 'affinity' or 'jaccard' (got ${JSON.stringify(options.preferenceModel)})`);
+    }
+    preferenceModel = options.preferenceModel;
+  }
+
+  const affinity = { ...CONFIG.affinity };
+  if (options.affinity !== undefined) {
+    if (!isPlainObject(options.affinity)) throw new TypeError('options.affinity must be an object');
+    const { historyHalfWeight, smoothing } = options.affinity;
+    if (historyHalfWeight !== undefined) {
+      affinity.historyHalfWeight = requireNumber(historyHalfWeight, 'options.affinity.historyHalfWeight');
+      if (!(historyHalfWeight > 0)) {
+        throw new RangeError(`options.affinity.historyHalfWeight must be greater than 0 (got ${historyHalfWeight})`);
+      }
+    }
+    if (smoothing !== undefined) {
+      affinity.smoothing = requireNumber(smoothing, 'options.affinity.smoothing');
+      if (smoothing < 0 || smoothing >= 1) {
+        throw new RangeError(`options.affinity.smoothing must be in [0, 1) (got ${smoothing})`);
+      }
+    }
+  }
+
+  const filters = resolveFilters(options.filters);
+  const boost = resolveBoost(options.boost);
+  const fairness = resolveFairness(options.fairness);
+
+  return {
+    weights, distanceDecayKm, hardGeoCutoffKm, diversity, collaborative, taxonomy,
+    now, urgencyDecayHours, timeWindow, strict, interactions, preferenceModel, affinity,
+    filters, boost, fairness,
+  };
+}
+
 /** ===========
  * Math helpers
  * ============*/
@@ -69,6 +571,15 @@ function hasValidLocation(loc) {
   );
 }
 
+// The location every catalog ranks an event at: null unless lat is in [-90, 90], with lng
+// wrapped to [-180, 180). Sharing it keeps the array, recommender and stream paths in agreement.
+function normalizeLocation(loc) {
+  if (!hasValidLocation(loc) || loc.lat < -90 || loc.lat > 90) return null;
+  // Only wrap when needed: the round trip would perturb in-range values in the last bits
+  if (loc.lng >= -180 && loc.lng < 180) return loc;
+  return { lat: loc.lat, lng: ((loc.lng + 180) % 360 + 360) % 360 - 180 };
+}
+
 // Jaccard similarity for arrays of strings
 function jaccard(arrA, arrB) {
   if (!Array.isArray(arrA) || !Array.isArray(arrB) || arrA.length === 0 || arrB.length === 0) return 0;
@@ -126,6 +637,12 @@ function heapSiftDown(h, i) {
 function heapPush(h, node) { h.push(node); heapSiftUp(h, h.length - 1); }
 function heapReplaceRoot(h, node) { h[0] = node; heapSiftDown(h, 0); }
 
+// Keep the best `size` nodes offered so far
+function heapOffer(h, node, size) {
+  if (h.length < size) heapPush(h, node);
+  else if (betterThan(node, h[0])) heapReplaceRoot(h, node); // better than current worst (root)
+}
+
 // "Better" comparator in final ranking order
 function betterThan(a, b) {
   if (a.score !== b.score) return a.score > b.score;
@@ -134,43 +651,242 @@ function betterThan(a, b) {
   return a.id < b.id;
 }
 
-/** =========================================
- * Similarity counts (from eventSimilarity map)
- * ==========================================*/
-function buildSimilarCounts(attended, eventSimilarity) {
-  const counts = new Map();
-  if (!Array.isArray(attended) || attended.length === 0 || !eventSimilarity) return counts;
-  for (const eid of attended) {
+// Final ranking order for Array#sort (score desc, near first, popular first). Ids compare by
+// code unit like betterThan, so the heap keeps exactly the nodes a full sort would put first.
+function byRank(a, b) {
+  if (b.score !== a.score) return b.score - a.score;
+  if (a.distance !== b.distance) return a.distance - b.distance;
+  if (b.popularity !== a.popularity) return b.popularity - a.popularity;
+  return a.id < b.id ? -1 : (a.id > b.id ? 1 : 0);
+}
+
+// Copy of a heap node with the boost applied (the unboosted node stays in the main heap)
+function boostedNode(node, amount) {
+  const out = { ...node, score: node.score + amount, boosted: true };
+  if (node.contributions) out.contributions = { ...node.contributions, boost: amount };
+  return out;
+}
+
+/** ==========================================
+ * Similarity sources (from eventSimilarity map)
+ * ===========================================*/
+// Maps candidate eventId -> history eventIds (attended, or strong positive interactions)
+// that list it as similar. Summing the sources' weights gives the similarity used for scoring.
+function buildSimilarSources(history, eventSimilarity) {
+  const sources = new Map();
+  if (!Array.isArray(history) || history.length === 0 || !eventSimilarity) return sources;
+  for (const eid of history) {
     const sims = eventSimilarity[eid];
     if (!Array.isArray(sims)) continue;
-    for (const sid of sims) counts.set(sid, (counts.get(sid) || 0) + 1);
+    for (const sid of sims) {
+      const list = sources.get(sid);
+      if (list) list.push(eid);
+      else sources.set(sid, [eid]);
+    }
   }
-  return counts;
+  return sources;
 }
 
 /** ===================================================
  * Category popularity prior (for cold-start enhancement)
  * ====================================================*/
-function buildCategoryPopularityMap(events) {
+// With a taxonomy, popularity is tallied on every node a category expands to (weighted), so
+// "jazz" events also make "music" popular.
+function buildCategoryPopularityMap(events, taxonomy = null) {
   const tally = new Map(); // category -> sum(popularity)
   for (const e of events) {
     const pop = typeof e?.popularity === 'number' ? Math.max(0, Math.min(1, e.popularity)) : 0;
     const cats = Array.isArray(e?.categories) ? e.categories : [];
-    for (const c of cats) tally.set(c, (tally.get(c) || 0) + pop);
+    if (taxonomy) {
+      for (const [node, w] of taxonomy.expandAll(cats)) tally.set(node, (tally.get(node) || 0) + pop * w);
+    } else {
+      for (const c of cats) tally.set(c, (tally.get(c) || 0) + pop);
+    }
   }
   return tally;
 }
 
-function computeMaxPriorAcrossEvents(events, popByCat) {
+// Unnormalized prior of one event's categories
+function priorSum(categories, popByCat, taxonomy = null) {
+  if (!taxonomy) return categories.reduce((s, c) => s + (popByCat.get(c) || 0), 0);
+  let sum = 0;
+  for (const [node, w] of taxonomy.expandAll(categories)) sum += w * (popByCat.get(node) || 0);
+  return sum;
+}
+
+function computeMaxPriorAcrossEvents(events, popByCat, taxonomy = null) {
   let maxPrior = 0;
   for (const e of events) {
     const cats = Array.isArray(e?.categories) ? e.categories : [];
-    const sum = cats.reduce((s, c) => s + (popByCat.get(c) || 0), 0);
+    const sum = priorSum(cats, popByCat, taxonomy);
     if (sum > maxPrior) maxPrior = sum;
   }
   return maxPrior;
 }
 
+/**
+ * Cold-start category prior over a list of events.
+ * @param {Iterable<Object>} events - iterated twice
+ * @param {Object} [taxonomy]
+ * @returns {{popByCat:Map<string,number>, maxPrior:number}}
+ */
+function buildCategoryPrior(events, taxonomy = null) {
+  const popByCat = buildCategoryPopularityMap(events, taxonomy);
+  return { popByCat, maxPrior: computeMaxPriorAcrossEvents(events, popByCat, taxonomy) };
+}
+
+/** ====================================
+ * Catalog (what the ranking loop scans)
+ * =====================================*/
+// A catalog is { events: Iterable, size, eventById(id), locationOf(ev), categoryPrior(taxonomy?) }, optionally with
+// candidatesWithin(point, radiusKm) returning every event inside the radius plus every event
+// without a usable location (those are never cut off, matching the full scan).
+// getRecommendedEvents wraps a plain array per call; createRecommender keeps one alive
+// across calls so the prior, the normalized locations and a spatial index are only built once.
+function createArrayCatalog(events) {
+  let prior = null;
+  const taxonomyPriors = new Map();
+  let byId = null;
+  return {
+    events,
+    size: events.length,
+    eventById(id) {
+      if (!byId) {
+        byId = new Map();
+        for (const ev of events) if (ev && ev.id) byId.set(ev.id, ev); // last duplicate wins
+      }
+      return byId.get(id);
+    },
+    locationOf(ev) {
+      return normalizeLocation(ev.location);
+    },
+    categoryPrior(taxonomy = null) {
+      if (taxonomy) {
+        if (!taxonomyPriors.has(taxonomy)) taxonomyPriors.set(taxonomy, buildCategoryPrior(events, taxonomy));
+        return taxonomyPriors.get(taxonomy);
+      }
+      if (!prior) prior = buildCategoryPrior(events);
+      return prior;
+    },
+  };
+}
+
+/** ================================
+ * Built-in signals (see signals.js)
+ * =================================*/
+
+// Preference match: learned category affinity, or Jaccard over stated preferences
+registerSignal({
+  name: 'pref',
+  defaultWeight: CONFIG.weights.pref,
+  prepare(request) {
+    if (request.cfg.preferenceModel !== 'affinity' || request.coldStart) return null;
+    // Learned category profile from stated preferences and the categories of the history
+    const historyEvents = [];
+    for (const id of request.history) {
+      const ev = request.catalog.eventById(id);
+      if (ev) historyEvents.push({ categories: ev.categories, weight: request.historyWeight.get(id) });
+    }
+    const { taxonomy } = request.cfg;
+    return buildAffinityProfile(request.prefs, historyEvents, request.catalog.categoryPrior(taxonomy).popByCat,
+      request.cfg.affinity, taxonomy);
+  },
+  isActive: (request, profile) => (profile ? profile.norm > 0 : request.hasPrefs),
+  score(ev, facts, request, profile) {
+    const { taxonomy } = request.cfg;
+    if (profile) return affinityScore(profile, facts.categories, taxonomy);
+    return taxonomy ? taxonomy.setSimilarity(request.prefs, facts.categories) : jaccard(request.prefs, facts.categories);
+  },
+});
+
+// Content similarity: how much of the user's history lists this event as similar
+registerSignal({
+  name: 'sim',
+  defaultWeight: CONFIG.weights.sim,
+  prepare: request => buildSimilarSources(request.history, request.eventSimilarity),
+  isActive: request => request.hasHistory,
+  score(ev, facts, request, sources) {
+    const list = sources.get(ev.id);
+    if (!list) return 0;
+    let weight = 0;
+    for (const sid of list) weight += request.historyWeight.get(sid);
+    return Math.min(1, weight / request.historyTotal);
+  },
+  explain(ev, facts, request, sources) {
+    const list = sources.get(ev.id);
+    return { similarTo: list ? Array.from(new Set(list)) : [] };
+  },
+});
+
+// Geo proximity to the best applicable user location, with that location's decay
+registerSignal({
+  name: 'geo',
+  defaultWeight: CONFIG.weights.geo,
+  isActive: request => request.hasGeo,
+  score: (ev, facts) =>
+    (facts.matchedLocation ? proximityScoreFromKm(facts.distanceKm, facts.matchedLocation.decayKm) : 0),
+  explain: (ev, facts) => ({ matchedLocation: facts.matchedLocation ? facts.matchedLocation.name : null }),
+});
+
+// Event popularity
+registerSignal({
+  name: 'pop',
+  defaultWeight: CONFIG.weights.pop,
+  score: (ev, facts) => facts.popularity,
+});
+
+// Cold-start prior (category popularity), only when both prefs and history are absent
+registerSignal({
+  name: 'cold',
+  defaultWeight: CONFIG.weights.cold,
+  prepare: request => (request.coldStart ? request.catalog.categoryPrior(request.cfg.taxonomy) : null),
+  isActive: request => request.coldStart,
+  score(ev, facts, request, prior) {
+    const sum = priorSum(facts.categories, prior.popByCat, request.cfg.taxonomy);
+    return prior.maxPrior > 0 ? sum / prior.maxPrior : 0; // maxPrior normalizes to [0,1]
+  },
+});
+
+// Collaborative filtering (best co-attendance similarity to any attended event)
+registerSignal({
+  name: 'collab',
+  defaultWeight: CONFIG.weights.collab,
+  prepare: request => (request.attended.length > 0 && request.cfg.collaborative
+    ? scoreFromHistory(request.cfg.collaborative, request.attended)
+    : null),
+  isActive: (request, scores) => scores !== null,
+  score(ev, facts, request, scores) {
+    const hit = scores.get(ev.id);
+    return hit ? hit.score : 0;
+  },
+  explain(ev, facts, request, scores) {
+    const hit = scores.get(ev.id);
+    return { coAttendedWith: hit ? hit.via : null };
+  },
+});
+
+// Urgency (starting soon), when a reference "now" is given
+registerSignal({
+  name: 'urgency',
+  defaultWeight: CONFIG.weights.urgency,
+  isActive: request => request.cfg.now !== null,
+  score: (ev, facts, request) => urgencyScore(facts.interval, request.cfg.now, request.cfg.urgencyDecayHours),
+});
+
+function clampUnit(value) {
+  return Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : 0;
+}
+
+// Indexed events within radiusKm of any of the user's locations (each event once)
+function candidatesNear(catalog, userLocations, radiusKm) {
+  if (userLocations.length === 1) return catalog.candidatesWithin(userLocations[0].point, radiusKm);
+  const seen = new Set();
+  for (const loc of userLocations) {
+    for (const ev of catalog.candidatesWithin(loc.point, radiusKm)) seen.add(ev);
+  }
+  return Array.from(seen);
+}
+
 /** ====================
  * Core public functions
  * =====================*/
@@ -199,100 +915,233 @@ function calculateDistance(point1, point2) {
 
 /**
  * Recommend events for a user
- * @param {Object} user - { id, location, preferences[], attendedEvents[] }
+ * @param {Object} user - { id, location, preferences[], attendedEvents[], interactions[]? }
  * @param {Array<Object>} events - list of event objects
  * @param {Object<string,string[]>} eventSimilarity - map from eventId -> similar eventIds[]
  * @param {number} limit - max number of results
- * @returns {Array<Object>} recommended event objects (sorted most relevant first)
+ * @param {Object} [options] - per-call overrides of CONFIG (see resolveOptions), plus:
+ * @param {boolean} [options.explain=false] - return score breakdowns instead of bare events
+ * @param {boolean} [options.strict=false] - validate the user, every scanned event and the
+ *   attended events' references instead of silently skipping or degrading bad records
+ * @returns {Array<Object>} recommended event objects (sorted most relevant first),
+ *   or explanation records (see explainNode) when options.explain is set
+ * @throws {DatasetValidationError} in strict mode, on the first malformed record
+ */
+function getRecommendedEvents(user, events, eventSimilarity, limit = 5, options = {}) {
+  const cfg = resolveOptions(options); // validate even when there is nothing to rank
+  if (cfg.strict && !Array.isArray(events)) {
+    throw new DatasetValidationError('Invalid events: events must be an array', [{ path: 'events', message: 'must be an array' }]);
+  }
+  if (!Array.isArray(events) || events.length === 0) return [];
+  return rankEvents(user, createArrayCatalog(events), eventSimilarity, limit, cfg, options);
+}
+
+/**
+ * Ranking loop shared by getRecommendedEvents and createRecommender.
+ * @param {Object} user
+ * @param {Object} catalog - see createArrayCatalog
+ * @param {Object<string,string[]>} eventSimilarity
+ * @param {number} limit
+ * @param {Object} cfg - resolved settings from resolveOptions
+ * @param {Object} options - raw caller options (for flags such as explain)
+ * @param {Object} [page] - continuation state (see startRanking)
+ * @returns {Array<Object>}
  */
-function getRecommendedEvents(user, events, eventSimilarity, limit = 5) {
-  if (!Array.isArray(events) || events.length === 0 || !user || limit <= 0) return [];
+function rankEvents(user, catalog, eventSimilarity, limit, cfg, options, page = null) {
+  const ranking = startRanking(user, catalog, eventSimilarity, limit, cfg, options, page);
+  if (!ranking) return [];
+  for (const ev of ranking.candidates) ranking.offer(ev);
+  return ranking.finish();
+}
+
+/**
+ * Start a ranking: per-user setup, then events are offered one at a time to the top-k heap
+ * and finish() ranks what was kept. This lets callers that receive events asynchronously
+ * (stream-io.js) share the loop with rankEvents. score() scores an event without keeping it,
+ * for callers that combine several users' scores (group.js).
+ * @param {Object} user
+ * @param {Object} catalog - see createArrayCatalog
+ * @param {Object<string,string[]>} eventSimilarity
+ * @param {number} limit
+ * @param {Object} cfg - resolved settings from resolveOptions
+ * @param {Object} options - raw caller options (for flags such as explain)
+ * @param {Object} [page] - continuation state from pagination.js:
+ *   { exclude: Set<string> already shown, categoryCounts: Map<string,number> already shown,
+ *     rankOffset: number of results on earlier pages }
+ * @returns {?{candidates:Iterable<Object>, score:function(Object): (Object|undefined),
+ *   offer:function(Object), finish:function(): Array<Object>}}
+ *   null when nothing can be recommended (empty catalog, no user, zero limit); candidates are
+ *   the events worth offering (catalog.events, or fewer with a radius and an indexed catalog);
+ *   score returns the event's ranking node { score, distance, popularity, id, event }, or
+ *   undefined when the event is skipped
+ */
+function startRanking(user, catalog, eventSimilarity, limit, cfg, options, page = null) {
+  if (cfg.strict) assertValid(validateUser(user, 'user'), 'user');
+  if (catalog.size === 0 || !user || limit <= 0) return null;
 
   const prefs = Array.isArray(user.preferences) ? user.preferences : [];
   const attended = Array.isArray(user.attendedEvents) ? user.attendedEvents : [];
   const attendedSet = new Set(attended);
 
+  // Implicit feedback: RSVPs count as taken, strong positive interactions as history
+  const feedback = summarizeInteractions(user.interactions, cfg.interactions, cfg.now);
+  const demotions = buildDemotions(feedback.dismissed, eventSimilarity, cfg.interactions.neighborShare);
+
+  // History for content similarity: attended events weigh 1 each, interactions their own weight
+  const history = attended.slice();
+  const historyWeight = new Map(attended.map(id => [id, 1]));
+  let historyTotal = attended.length;
+  for (const [id, weight] of feedback.positive) {
+    if (attendedSet.has(id) || weight < cfg.interactions.similarityThreshold) continue;
+    history.push(id);
+    historyWeight.set(id, weight);
+    historyTotal += weight;
+  }
+
   const hasPrefs = prefs.length > 0;
-  const hasHistory = attended.length > 0;
-  const hasGeo = hasValidLocation(user.location);
+  const hasHistory = history.length > 0;
+  const userLocations = resolveUserLocations(user, cfg.distanceDecayKm);
+  const hasGeo = userLocations.length > 0;
   const coldStart = !hasPrefs && !hasHistory;
 
-  // Build similarity counts for candidates
-  const similarCounts = buildSimilarCounts(attended, eventSimilarity);
-
-  // Optional cold-start prior over categories
-  let popByCat = null, maxPrior = 0;
-  if (coldStart) {
-    popByCat = buildCategoryPopularityMap(events);
-    maxPrior = computeMaxPriorAcrossEvents(events, popByCat); // for normalization to [0,1]
-  }
+  const explain = Boolean(options && options.explain);
 
-  // Determine active signals for THIS user (independent of per-event values)
-  const active = {
-    pref: hasPrefs,
-    sim: hasHistory,
-    geo: hasGeo,
-    pop: true,
-    cold: coldStart, // only if both prefs and history are absent
+  // What every signal gets to see about this request (see signals.js)
+  const request = {
+    user, options, cfg, catalog, eventSimilarity,
+    prefs, attended, history, historyWeight, historyTotal,
+    userLocations, hasPrefs, hasHistory, hasGeo, coldStart,
   };
 
-  // Sum of active weights for normalization
+  // Determine active signals for THIS user (independent of per-event values), and the sum of
+  // their weights for normalization. Zero-weight signals cannot change a score, so skip them.
+  const signals = listSignals();
+  const active = [];
   let weightSum = 0;
-  for (const key of Object.keys(CONFIG.weights)) {
-    if (active[key]) weightSum += CONFIG.weights[key];
+  for (const signal of signals) {
+    const weight = cfg.weights[signal.name] !== undefined ? cfg.weights[signal.name] : signal.defaultWeight;
+    if (weight === 0) continue;
+    const state = signal.prepare ? signal.prepare(request) : undefined;
+    if (signal.isActive && !signal.isActive(request, state)) continue;
+    active.push({ signal, weight, state });
+    weightSum += weight;
   }
   if (weightSum <= 0) weightSum = 1; // safety
 
+  // Event times are needed for expiry, the time window, and time-windowed user locations
+  const timed = cfg.now !== null || cfg.timeWindow !== null || hasTimeWindows(userLocations);
+
+  // Radius filter center: the caller's point, or else the user's nearest applicable location
+  const filters = cfg.filters;
+  const radiusCenter = filters.radiusCenter;
+  const radiusActive = filters.maxRadiusKm !== null;
+  if (radiusActive && !radiusCenter && !hasGeo) {
+    throw new RangeError('options.filters.maxRadiusKm needs options.filters.radiusCenter when the user has no location');
+  }
+
   // Prepare top-k heap
-  const k = Math.min(Math.max(0, limit | 0), events.length);
-  if (k === 0) return [];
+  const k = Math.min(Math.max(0, limit | 0), catalog.size);
+  if (k === 0) return null;
   const heap = [];
 
-  // Score all events
-  for (const ev of events) {
-    if (!ev || !ev.id) continue;
+  // Boosted events compete for their capped slots in a heap of their own. The main heap keeps
+  // that many extra nodes, so k are still left once boosted events are deduplicated.
+  const boost = cfg.boost;
+  const boostK = boost ? Math.min(boost.maxItems, k) : 0;
+  const boostHeap = [];
+  // The diversity stage picks k from a larger pool of the best candidates
+  const pool = cfg.diversity.enabled ? Math.max(k, Math.ceil(k * cfg.diversity.poolFactor)) : k;
+  const heapK = pool + boostK;
+
+  // Fairness: the best protected events are kept aside, in case the ranking leaves them out
+  const fairness = cfg.fairness;
+  const fairK = fairness ? Math.min(fairness.minSlots, k) : 0;
+  const fairHeap = [];
+
+  // With a radius limit, let an indexed catalog skip events outside it up front
+  let candidates = catalog.events;
+  if (typeof catalog.candidatesWithin === 'function') {
+    if (radiusCenter) {
+      candidates = catalog.candidatesWithin(radiusCenter, filters.maxRadiusKm);
+    } else if (hasGeo && (radiusActive || Number.isFinite(cfg.hardGeoCutoffKm))) {
+      candidates = candidatesNear(catalog, userLocations, radiusActive ? filters.maxRadiusKm : cfg.hardGeoCutoffKm);
+    }
+  }
+
+  // Strict mode tracks ids to catch duplicates and dangling references
+  const fullScan = candidates === catalog.events;
+  const seenIds = cfg.strict ? new Set() : null;
+  let position = -1;
+
+  // Score one candidate event (skipped events simply return)
+  function score(ev) {
+    position++;
+    if (cfg.strict) {
+      const path = fullScan ? `events[${position}]` : `events[id=${JSON.stringify(ev && ev.id)}]`;
+      assertValid(validateEvent(ev, path), 'event');
+      if (seenIds.has(ev.id)) assertValid({ errors: [{ path: `${path}.id`, message: `duplicates event id ${JSON.stringify(ev.id)}` }] }, 'event');
+      seenIds.add(ev.id);
+    }
+    if (!ev || !ev.id) return;
+
+    // Skip already attended (or RSVPed), explicitly excluded, and anything shown on an earlier page
+    if (attendedSet.has(ev.id) || feedback.committed.has(ev.id)) return;
+    if (filters.excludeEventIds && filters.excludeEventIds.has(ev.id)) return;
+    if (page && page.exclude.has(ev.id)) return;
 
-    // Skip already attended
-    if (attendedSet.has(ev.id)) continue;
+    // Skip events that are over, or outside the requested time window
+    let interval = null;
+    if (timed) {
+      interval = eventInterval(ev);
+      if (cfg.now !== null && hasEnded(interval, cfg.now)) return;
+      if (cfg.timeWindow !== null && !overlapsWindow(interval, cfg.timeWindow)) return;
+    }
 
     const categories = Array.isArray(ev.categories) ? ev.categories : [];
     const popularity = typeof ev.popularity === 'number' ? Math.max(0, Math.min(1, ev.popularity)) : 0;
 
-    // Preference match
-    const prefScore = hasPrefs ? jaccard(prefs, categories) : 0;
-
-    // Content similarity (how many attended events list this event as similar)
-    const simCount = similarCounts.get(ev.id) || 0;
-    const simScore = hasHistory ? Math.min(1, simCount / attended.length) : 0;
+    // Hard filters on categories and popularity
+    if (filters.includeCategories && !categories.some(c => filters.includeCategories.has(c))) return;
+    if (filters.excludeCategories && categories.some(c => filters.excludeCategories.has(c))) return;
+    if (filters.minPopularity !== null && popularity < filters.minPopularity) return;
 
-    // Geo proximity
+    // Geo proximity to the best applicable user location
     let distanceKm = Infinity;
-    if (hasGeo && hasValidLocation(ev.location)) {
-      distanceKm = calculateDistance(user.location, ev.location);
+    let matched = null;
+    const evLocation = hasGeo || radiusActive ? catalog.locationOf(ev) : null;
+    if (evLocation && hasGeo) {
+      matched = matchLocation(userLocations, evLocation, interval, calculateDistance);
+      if (matched) distanceKm = matched.distanceKm;
 
-      // Optional hard cutoff (skip very distant events entirely)
-      if (Number.isFinite(CONFIG.hardGeoCutoffKm) && distanceKm > CONFIG.hardGeoCutoffKm) {
-        continue;
+      // Optional hard cutoff (skip events far from every applicable location, or with none applying)
+      if (Number.isFinite(cfg.hardGeoCutoffKm) && (!matched || matched.nearestKm > cfg.hardGeoCutoffKm)) {
+        return;
       }
     }
-    const geoScore = active.geo ? proximityScoreFromKm(distanceKm) : 0;
 
-    // Cold-start prior (category popularity)
-    let coldScore = 0;
-    if (coldStart && popByCat) {
-      const priorSum = categories.reduce((s, c) => s + (popByCat.get(c) || 0), 0);
-      coldScore = maxPrior > 0 ? priorSum / maxPrior : 0; // normalize to [0,1]
+    // Radius filter: unlike hardGeoCutoffKm, events without a location never pass it
+    if (radiusActive) {
+      if (!evLocation) return;
+      const fromCenter = radiusCenter ? calculateDistance(radiusCenter, evLocation) : (matched ? matched.nearestKm : Infinity);
+      if (fromCenter > filters.maxRadiusKm) return;
     }
 
     // Combine signals with dynamic normalization (only active weights contribute)
-    let combined =
-      (active.pref ? CONFIG.weights.pref * prefScore : 0) +
-      (active.sim  ? CONFIG.weights.sim  * simScore  : 0) +
-      (active.geo  ? CONFIG.weights.geo  * geoScore  : 0) +
-      (active.pop  ? CONFIG.weights.pop  * popularity : 0) +
-      (active.cold ? CONFIG.weights.cold * coldScore : 0);
+    const facts = { categories, popularity, distanceKm, interval, matchedLocation: matched ? matched.location : null };
+    const parts = explain ? new Array(active.length) : null;
+    let weighted = 0;
+    for (let i = 0; i < active.length; i++) {
+      const { signal, weight, state } = active[i];
+      const part = weight * clampUnit(signal.score(ev, facts, request, state));
+      weighted += part;
+      if (parts) parts[i] = part;
+    }
+
+    // Dismissed (or similar to dismissed) events lose up to dismissPenalty, outside the normalization
+    const demoted = demotions.get(ev.id);
+    const dismissPart = demoted ? -cfg.interactions.dismissPenalty * demoted.demotion : 0;
 
-    combined /= weightSum; // normalize to ~[0,1]
+    const combined = weighted / weightSum + dismissPart; // normalize to ~[0,1]
 
     const node = {
       score: combined,
@@ -300,99 +1149,167 @@ function getRecommendedEvents(user, events, eventSimilarity, limit = 5) {
       popularity,
       id: ev.id,
       event: ev,
-      // Keep per-event pieces if we want to use them in diversity re-rank (uses score only).
     };
 
-    if (heap.length < k) {
-      heapPush(heap, node);
-    } else {
-      // If better than current worst (root), replace root
-      const root = heap[0];
-      if (betterThan(node, root)) heapReplaceRoot(heap, node);
+    // Per-signal pieces are only kept when the caller asked for an explanation
+    if (explain) {
+      const contributions = {};
+      for (const signal of signals) contributions[signal.name] = 0;
+      const details = { similarTo: [], coAttendedWith: null, matchedLocation: null };
+      active.forEach(({ signal, state }, i) => {
+        contributions[signal.name] = parts[i] / weightSum;
+        if (signal.explain) Object.assign(details, signal.explain(ev, facts, request, state));
+      });
+      contributions.dismiss = dismissPart;
+      contributions.boost = 0;
+      node.contributions = contributions;
+      node.details = details;
+      node.demotedBy = demoted ? demoted.via : null;
     }
+    return node;
   }
 
-  if (heap.length === 0) return [];
-
-  // Extract nodes and sort by final ranking criteria (score desc, near first, popular first)
-  const nodes = heap.sort((a, b) => {
-    if (b.score !== a.score) return b.score - a.score;
-    if (a.distance !== b.distance) return a.distance - b.distance;
-    if (b.popularity !== a.popularity) return b.popularity - a.popularity;
-    return a.id.localeCompare(b.id);
-  });
+  // Score one candidate event and keep it if it makes the heaps
+  function offer(ev) {
+    const node = score(ev);
+    if (!node) return;
+    if (fairness && isProtected(fairness, node, cfg.now)) {
+      node.protected = true;
+      heapOffer(fairHeap, node, fairK);
+    }
 
-  // Optional: gentle diversity re-rank within the selected k
-  let diversified = nodes;
-  if (CONFIG.diversity.enabled && nodes.length > 1) {
-    diversified = rerankWithCategoryDiversity(nodes, CONFIG.diversity.alpha, CONFIG.diversity.perCategoryCap);
+    heapOffer(heap, node, heapK);
+    if (boost && boost.eventIds.has(ev.id)) heapOffer(boostHeap, boostedNode(node, boost.amount), boostK);
   }
 
-  // Return original event objects in the final order
-  return diversified.map(n => n.event);
-}
+  // Rank what was offered: strict reference checks, boost merge, diversity stage, fairness
+  function finish() {
+    // Only a full scan has seen every id, so only then can references be checked
+    if (cfg.strict && fullScan) {
+      attended.forEach((id, i) => {
+        if (!seenIds.has(id)) {
+          assertValid({ errors: [{ path: `user.attendedEvents[${i}]`, message: `references unknown event ${JSON.stringify(id)}` }] }, 'user');
+        }
+        if (eventSimilarity && eventSimilarity[id] !== undefined) {
+          assertValid(validateSimilarityEntry(id, eventSimilarity[id], `eventSimilarity[${JSON.stringify(id)}]`, seenIds), 'eventSimilarity');
+        }
+      });
+    }
 
-/**
- * Re-rank a small candidate set to improve category diversity.
- * Greedy MMR-style: at each step, select the item with the best (score - alpha * repeatPenalty)
- * where repeatPenalty grows with how often a category has already been selected.
- * A soft cap biases selection away from categories already chosen cap times.
- *
- * @param {Array<{event:Object, score:number}>} nodes
- * @param {number} alpha - diversity strength (0=off)
- * @param {number} perCategoryCap - soft cap for repeats (Infinity to disable)
- * @returns {Array} re-ordered nodes (same length as input)
- */
-function rerankWithCategoryDiversity(nodes, alpha = 0.08, perCategoryCap = 3) {
-  // Pre-extract categories and base scores
-  const N = nodes.length;
-  const used = new Array(N).fill(false);
-  const out = [];
-  const catCounts = new Map();
-
-  // Helper to compute penalty for an event given current counts
-  function penaltyFor(ev) {
-    const cats = Array.isArray(ev.categories) ? ev.categories : [];
-    if (cats.length === 0) return 0;
-    const maxCount = cats.reduce((m, c) => Math.max(m, catCounts.get(c) || 0), 0);
-
-    // Soft cap penalty: if already reached perCategoryCap for any category, add an extra nudge
-    const capPenalty = (Number.isFinite(perCategoryCap) && maxCount >= perCategoryCap) ? 0.5 : 0;
-
-    return alpha * maxCount + capPenalty;
-  }
-
-  for (let step = 0; step < N; step++) {
-    let bestIdx = -1;
-    let bestVal = -Infinity;
-
-    for (let i = 0; i < N; i++) {
-      if (used[i]) continue;
-      const node = nodes[i];
-      const base = node.score; // in [0,1] approximately
-      const pen = penaltyFor(node.event);
-      const val = base - pen;
-
-      // If tie, fall back to original ordering (which already considered distance/popularity/id)
-      if (val > bestVal) {
-        bestVal = val;
-        bestIdx = i;
+    if (heap.length === 0) return [];
+
+    // Extract nodes and sort by final ranking criteria (score desc, near first, popular first)
+    let nodes = heap.sort(byRank);
+    let pinned = 0;
+    if (boostHeap.length > 0) {
+      // Boosted copies replace their unboosted twins; pinned ones go first regardless of score
+      const boosted = boostHeap.sort(byRank);
+      const boostedIds = new Set(boosted.map(n => n.id));
+      const organic = nodes.filter(n => !boostedIds.has(n.id));
+      if (boost.pin) {
+        nodes = boosted.concat(organic);
+        pinned = boosted.length;
+      } else {
+        nodes = boosted.concat(organic).sort(byRank);
+      }
+    }
+    nodes = nodes.slice(0, pool);
+
+    // Optional: diversity stage picks the rest of the k from the pool (pinned events keep their
+    // slots, but count as already picked)
+    let diversified = nodes.slice(0, k);
+    if (cfg.diversity.enabled && nodes.length - pinned > 1) {
+      const picked = nodes.slice(0, pinned);
+      const shownCounts = new Map(page ? page.categoryCounts : undefined);
+      for (const n of picked) {
+        for (const c of Array.isArray(n.event.categories) ? n.event.categories : []) {
+          shownCounts.set(c, (shownCounts.get(c) || 0) + 1);
+        }
       }
+      // Events from earlier pages count as picked too, so mmr and geo keep away from them
+      const earlier = [];
+      if (page && (cfg.diversity.strategy === 'mmr' || cfg.diversity.strategy === 'geo')) {
+        for (const id of page.exclude) {
+          const ev = catalog.eventById(id);
+          if (ev) earlier.push({ id, event: ev });
+        }
+      }
+      diversified = picked.concat(diversify(nodes.slice(pinned), k - pinned, cfg.diversity, {
+        eventSimilarity,
+        locationOf: ev => catalog.locationOf(ev),
+        distanceKm: calculateDistance,
+        initialCounts: shownCounts,
+        picked: earlier.length > 0 ? picked.concat(earlier) : picked,
+        taxonomy: cfg.taxonomy,
+      }));
     }
 
-    used[bestIdx] = true;
-    const chosen = nodes[bestIdx];
-    out.push(chosen);
+    // Optional: protected events missing from the list take its lowest unpinned slots
+    if (fairHeap.length > 0) diversified = applyMinExposure(diversified, fairHeap.sort(byRank), fairness.minSlots, pinned);
 
-    // Update category counts
-    const cats = Array.isArray(chosen.event.categories) ? chosen.event.categories : [];
-    for (const c of cats) catCounts.set(c, (catCounts.get(c) || 0) + 1);
+    if (explain) {
+      const baseRank = new Map(nodes.map((n, i) => [n.id, i + 1]));
+      const offset = page ? page.rankOffset : 0;
+      return diversified.map((n, i) => explainNode(n, offset + i + 1, baseRank.has(n.id) ? offset + baseRank.get(n.id) : null));
+    }
+
+    // Return original event objects in the final order
+    return diversified.map(n => n.event);
   }
 
-  return out;
+  return { candidates, score, offer, finish };
+}
+
+/**
+ * Build the explanation record returned by getRecommendedEvents in explain mode.
+ * Contributions are already divided by the active weight sum (dismiss and boost are added as
+ * is), so they add up to score.
+ *
+ * @param {Object} node - heap node carrying contributions and signal details
+ * @param {number} rank - 1-based position after the diversity re-rank
+ * @param {?number} baseRank - 1-based position by score alone (before re-rank; may be beyond
+ *   the limit when the diversity stage picked the event from its larger pool; null when the
+ *   fairness stage promoted it from beyond the pool)
+ * @returns {{event:Object, score:number, contributions:Object<string,number>,
+ *   distanceKm:(number|null), similarTo:string[], coAttendedWith:(string|null),
+ *   matchedLocation:(string|null), demotedBy:(string|null), boosted:boolean, promoted:boolean,
+ *   rank:number, baseRank:(number|null), rankShift:(number|null)}}
+ *   rankShift > 0 means the re-rank moved the event up, < 0 means down. Signals with an
+ *   explain hook may add fields of their own (similarTo, coAttendedWith and matchedLocation
+ *   come from sim, collab and geo).
+ */
+function explainNode(node, rank, baseRank) {
+  return {
+    event: node.event,
+    score: node.score,
+    contributions: node.contributions,
+    distanceKm: Number.isFinite(node.distance) ? node.distance : null,
+    ...node.details,
+    demotedBy: node.demotedBy,
+    boosted: node.boosted === true,
+    promoted: node.promoted === true,
+    rank,
+    baseRank,
+    rankShift: baseRank === null ? null : baseRank - rank,
+  };
 }
 
 module.exports = {
   calculateDistance,
   getRecommendedEvents,
+  resolveOptions,
+  DatasetValidationError, // thrown in strict mode
+
+  // Internal building blocks shared by the other src/ modules
+  rankEvents,
+  startRanking,
+  createArrayCatalog,
+  buildCategoryPrior,
+  hasValidLocation,
+  normalizeLocation,
+  jaccard,
+  heapOffer,
+  betterThan,
+  byRank,
 };
+
@@ -0,0 +1,427 @@
+/**
+ * Exploration layer: learn ranking weights from live feedback
+ * ------------------------------------------------------
+ * CONFIG.weights are hand-tuned. A bandit serves each request with one of a few candidate
+ * option profiles (variants, e.g. { weights: { geo: 0.4 } }) and learns which one users
+ * respond to, instead of a hand-run A/B test:
+ *  - epsilonGreedy  with probability epsilon a uniformly random variant, otherwise the one with
+ *                   the best mean reward (variants never served go first)
+ *  - thompson       sample each variant's Beta(1 + reward, 1 + impressions - reward) posterior
+ *                   and serve the highest draw (the default; explores less as evidence grows)
+ * Independently, exploreSlots of the k results can be exploratory: they are drawn at random
+ * from the events ranked just below the list (down to explorePoolFactor * k) and placed at
+ * random positions, so events the ranking never shows still get feedback.
+ *
+ * The choice is contextual: settings.context maps each request (user, options) to a segment,
+ * e.g. 'new' and 'returning' users, and every segment keeps its own counts, so a variant can win
+ * for one segment and lose for another. Without settings.context all requests share one segment.
+ *
+ * Every served list is an impression with an id. Feedback (click, attend) on one of its events
+ * rewards the variant that served it, in its segment; an impression's reward is the best feedback
+ * it got, in [0, 1], and lists without feedback count as 0. State (counts, pending impressions)
+ * is plain JSON, see saveBandit / loadBandit.
+ *
+ * Time complexity: O(v) per choice over v variants, plus the ranking itself (with exploration
+ * slots, ranking explorePoolFactor * k events instead of k).
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const { getRecommendedEvents, resolveOptions } = require('./app');
+const { createRandom, sample } = require('./random');
+
+const BANDIT_VERSION = 2;
+// Segment of every request when settings.context is not set
+const DEFAULT_SEGMENT = 'all';
+const POLICIES = ['epsilonGreedy', 'thompson'];
+
+const BANDIT_DEFAULTS = {
+  policy: 'thompson',
+  // epsilonGreedy: share of requests served by a random variant
+  epsilon: 0.1,
+  // Exploratory results per list, and how far below the list they are drawn from
+  exploreSlots: 0,
+  explorePoolFactor: 3,
+  // Reward of each feedback type, in [0, 1] (an impression keeps its best)
+  rewards: { click: 0.3, attend: 1 },
+  // Impressions kept for feedback; older ones are forgotten first
+  maxPending: 10000,
+};
+
+/** ========
+ * Settings
+ * =========*/
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function requireNumberIn(value, path, check, range) {
+  if (typeof value !== 'number') throw new TypeError(`${path} must be a number (got ${typeof value})`);
+  if (!check(value)) throw new RangeError(`${path} must be ${range} (got ${value})`);
+  return value;
+}
+
+/**
+ * Merge settings over BANDIT_DEFAULTS and validate them (variant options with resolveOptions).
+ * @param {Object} settings
+ * @returns {Object}
+ * @throws {TypeError|RangeError}
+ */
+function resolveBanditSettings(settings) {
+  if (!isPlainObject(settings)) throw new TypeError('settings must be an object');
+  const out = { ...BANDIT_DEFAULTS, rewards: { ...BANDIT_DEFAULTS.rewards } };
+
+  if (!isPlainObject(settings.variants) || Object.keys(settings.variants).length === 0) {
+    throw new TypeError('settings.variants must map at least one variant name to ranking options');
+  }
+  for (const [name, options] of Object.entries(settings.variants)) {
+    if (!isPlainObject(options)) throw new TypeError(`settings.variants.${name} must be an object of ranking options`);
+    resolveOptions(options);
+  }
+  out.variants = settings.variants;
+
+  if (settings.policy !== undefined) {
+    if (!POLICIES.includes(settings.policy)) {
+      throw new RangeError(`settings.policy must be one of ${POLICIES.join(', ')} (got ${settings.policy})`);
+    }
+    out.policy = settings.policy;
+  }
+  if (settings.epsilon !== undefined) {
+    out.epsilon = requireNumberIn(settings.epsilon, 'settings.epsilon', v => v >= 0 && v <= 1, 'in [0, 1]');
+  }
+  if (settings.exploreSlots !== undefined) {
+    out.exploreSlots = requireNumberIn(settings.exploreSlots, 'settings.exploreSlots',
+      v => Number.isInteger(v) && v >= 0, 'a non-negative integer');
+  }
+  if (settings.explorePoolFactor !== undefined) {
+    out.explorePoolFactor = requireNumberIn(settings.explorePoolFactor, 'settings.explorePoolFactor',
+      v => Number.isFinite(v) && v > 1, 'a finite number greater than 1');
+  }
+  if (settings.rewards !== undefined) {
+    if (!isPlainObject(settings.rewards)) throw new TypeError('settings.rewards must be an object');
+    for (const [type, value] of Object.entries(settings.rewards)) {
+      if (!(type in out.rewards)) {
+        throw new RangeError(`settings.rewards.${type} is not a feedback type (expected one of: ${Object.keys(out.rewards).join(', ')})`);
+      }
+      out.rewards[type] = requireNumberIn(value, `settings.rewards.${type}`, v => v >= 0 && v <= 1, 'in [0, 1]');
+    }
+  }
+  if (settings.maxPending !== undefined) {
+    out.maxPending = requireNumberIn(settings.maxPending, 'settings.maxPending',
+      v => Number.isInteger(v) && v >= 1, 'a positive integer');
+  }
+  if (settings.context !== undefined && settings.context !== null) {
+    if (typeof settings.context !== 'function') {
+      throw new TypeError(`settings.context must be a function (user, options) -> segment (got ${typeof settings.context})`);
+    }
+    out.context = settings.context;
+  }
+  if (settings.seed !== undefined) {
+    out.seed = requireNumberIn(settings.seed, 'settings.seed', Number.isInteger, 'an integer');
+  }
+  return out;
+}
+
+/** ========
+ * Sampling
+ * =========*/
+
+// Standard normal draw (Box-Muller)
+function normal(random) {
+  const u = 1 - random(); // (0, 1]
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// Gamma(shape, 1) draw for shape >= 1 (Marsaglia and Tsang)
+function gamma(shape, random) {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = normal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random();
+    if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+/**
+ * Beta(a, b) draw for a, b >= 1.
+ * @param {number} a
+ * @param {number} b
+ * @param {function(): number} random
+ * @returns {number}
+ */
+function sampleBeta(a, b, random) {
+  const x = gamma(a, random);
+  return x / (x + gamma(b, random));
+}
+
+/** ======
+ * Bandit
+ * =======*/
+
+// Variant options over the request's options; weights merge key by key
+function withVariant(options, variant) {
+  const out = { ...options, ...variant };
+  if (options.weights || variant.weights) out.weights = { ...options.weights, ...variant.weights };
+  return out;
+}
+
+/**
+ * Create an exploration layer over a set of ranking variants.
+ * @param {Object} settings
+ * @param {Object<string,Object>} settings.variants - variant name -> ranking options (see
+ *   resolveOptions), merged over each request's own options
+ * @param {string} [settings.policy='thompson'] - 'epsilonGreedy' or 'thompson'
+ * @param {number} [settings.epsilon=0.1] - in [0, 1]
+ * @param {number} [settings.exploreSlots=0] - exploratory results per list
+ * @param {number} [settings.explorePoolFactor=3] - > 1; exploratory results come from the
+ *   events ranked below the list, down to explorePoolFactor * limit
+ * @param {Object<string,number>} [settings.rewards] - partial override of { click: 0.3, attend: 1 }
+ * @param {number} [settings.maxPending=10000] - impressions kept open for feedback
+ * @param {function(Object, Object): string} [settings.context] - (user, options) -> segment
+ *   name; each segment learns its own variant counts (default: one segment for all requests)
+ * @param {number} [settings.seed] - seed for the random choices (default: the current time, so
+ *   pass one wherever the choices must be reproducible)
+ * @param {Object} [state] - a bandit's toJSON(), to continue from (see loadBandit)
+ * @returns {{serve:function, recommend:function, feedback:function, stats:function, toJSON:function}}
+ * @throws {TypeError|RangeError} on invalid settings
+ */
+function createBandit(settings, state = null) {
+  const cfg = resolveBanditSettings(settings);
+  const names = Object.keys(cfg.variants);
+  const random = createRandom(cfg.seed === undefined ? Date.now() : cfg.seed);
+
+  // segment -> variant -> counts. Counts carry over from the state by name; new variants and
+  // segments start from zero
+  const segments = new Map();
+  function countsOf(segment) {
+    let counts = segments.get(segment);
+    if (!counts) {
+      counts = new Map(names.map(name => [name, { impressions: 0, reward: 0 }]));
+      segments.set(segment, counts);
+    }
+    return counts;
+  }
+  const exploration = { shown: 0, reward: 0 };
+  const pending = new Map(); // impressionId -> { segment, variant, eventIds, explored, feedback }
+  let served = 0;
+  if (state) {
+    for (const [segment, variants] of Object.entries(state.segments)) {
+      const counts = countsOf(segment);
+      for (const [name, c] of Object.entries(variants)) {
+        if (counts.has(name)) counts.set(name, { impressions: c.impressions, reward: c.reward });
+      }
+    }
+    Object.assign(exploration, state.exploration);
+    served = state.served;
+    for (const [id, impression] of state.pending) {
+      if (names.includes(impression.variant)) pending.set(id, impression);
+    }
+  }
+
+  const mean = c => (c.impressions > 0 ? c.reward / c.impressions : 0);
+
+  function segmentOf(user, options) {
+    if (!cfg.context) return DEFAULT_SEGMENT;
+    const segment = cfg.context(user, options);
+    if (typeof segment !== 'string' || segment === '') {
+      throw new TypeError(`settings.context must return a non-empty string (got ${typeof segment})`);
+    }
+    return segment;
+  }
+
+  /** Pick the variant for the next request in a segment, from that segment's counts. */
+  function choose(counts) {
+    if (cfg.policy === 'epsilonGreedy') {
+      if (random() < cfg.epsilon) return names[Math.floor(random() * names.length)];
+      const untried = names.find(name => counts.get(name).impressions === 0);
+      if (untried !== undefined) return untried;
+      return names.reduce((best, name) => (mean(counts.get(name)) > mean(counts.get(best)) ? name : best));
+    }
+    let best = null;
+    let bestDraw = -Infinity;
+    for (const name of names) {
+      const { impressions, reward } = counts.get(name);
+      const draw = sampleBeta(1 + reward, 1 + impressions - reward, random);
+      if (draw > bestDraw) {
+        best = name;
+        bestDraw = draw;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Serve one list with a chosen variant and open an impression for its feedback.
+   * @param {function(Object, number, Object): Array<Object>} rank - (user, limit, options) ->
+   *   results, e.g. recommender.recommend bound to its recommender
+   * @param {Object} user
+   * @param {number} [limit=5]
+   * @param {Object} [options] - the request's ranking options (the variant's are merged over them)
+   * @returns {{impressionId:string, segment:string, variant:string, results:Array<Object>,
+   *   explored:string[]}} explain records get explored: true|false and ranks in the served order
+   * @throws {TypeError} when settings.context does not return a segment name
+   */
+  function serve(rank, user, limit = 5, options = {}) {
+    if (typeof rank !== 'function') throw new TypeError('rank must be a function (user, limit, options) -> results');
+    const segment = segmentOf(user, options || {});
+    const counts = countsOf(segment);
+    const variant = choose(counts);
+    const merged = withVariant(options || {}, cfg.variants[variant]);
+
+    const slots = Math.min(cfg.exploreSlots, Math.max(0, limit));
+    let results;
+    let explored = [];
+    if (slots === 0) {
+      results = rank(user, limit, merged);
+    } else {
+      const wide = rank(user, Math.ceil(limit * cfg.explorePoolFactor), merged);
+      results = wide.slice(0, limit - slots);
+      explored = sample(wide.slice(limit - slots), slots, random);
+      for (const r of explored) results.splice(Math.floor(random() * (results.length + 1)), 0, r);
+    }
+    const idOf = r => (r.event ? r.event.id : r.id);
+    const exploredIds = explored.map(idOf);
+    if (results.length > 0 && results[0].event) {
+      const exploredSet = new Set(exploredIds);
+      results = results.map((r, i) => ({ ...r, rank: i + 1, explored: exploredSet.has(r.event.id) }));
+    }
+
+    const impressionId = `imp_${++served}`;
+    pending.set(impressionId, { segment, variant, eventIds: results.map(idOf), explored: exploredIds, feedback: {} });
+    if (pending.size > cfg.maxPending) pending.delete(pending.keys().next().value);
+    counts.get(variant).impressions++;
+    exploration.shown += exploredIds.length;
+    return { impressionId, segment, variant, results, explored: exploredIds };
+  }
+
+  /**
+   * serve() over getRecommendedEvents.
+   * @param {Object} user
+   * @param {Array<Object>} events
+   * @param {Object<string,string[]>} eventSimilarity
+   * @param {number} [limit=5]
+   * @param {Object} [options]
+   * @returns {{impressionId:string, segment:string, variant:string, results:Array<Object>,
+   *   explored:string[]}}
+   */
+  function recommend(user, events, eventSimilarity, limit = 5, options = {}) {
+    return serve((u, k, o) => getRecommendedEvents(u, events, eventSimilarity, k, o), user, limit, options);
+  }
+
+  /**
+   * Record feedback on an event of a served list.
+   * @param {string} impressionId - from serve()
+   * @param {string} eventId
+   * @param {string} type - a key of settings.rewards ('click' or 'attend')
+   * @returns {boolean} false when the impression is unknown (or forgotten) or did not show the event
+   * @throws {RangeError} on an unknown feedback type
+   */
+  function feedback(impressionId, eventId, type) {
+    if (!(type in cfg.rewards)) {
+      throw new RangeError(`type must be one of ${Object.keys(cfg.rewards).join(', ')} (got ${type})`);
+    }
+    const impression = pending.get(impressionId);
+    if (!impression || !impression.eventIds.includes(eventId)) return false;
+
+    const value = cfg.rewards[type];
+    const before = Math.max(0, ...Object.values(impression.feedback));
+    const eventBefore = impression.feedback[eventId] || 0;
+    if (value > eventBefore) impression.feedback[eventId] = value;
+    countsOf(impression.segment).get(impression.variant).reward += Math.max(0, value - before);
+    if (impression.explored.includes(eventId)) exploration.reward += Math.max(0, value - eventBefore);
+    return true;
+  }
+
+  /**
+   * What has been learned so far.
+   * @returns {{policy:string, variants:Array<{name:string, impressions:number, reward:number,
+   *   meanReward:number}>, segments:Object<string,Array<Object>>, exploration:{slots:number,
+   *   shown:number, reward:number, meanReward:number}, pending:number}} variants totals every
+   *   segment; segments has the same list per segment
+   */
+  function stats() {
+    const summarize = pick => names.map(name => {
+      const c = pick(name);
+      return { name, impressions: c.impressions, reward: c.reward, meanReward: mean(c) };
+    });
+    const total = name => {
+      const c = { impressions: 0, reward: 0 };
+      for (const counts of segments.values()) {
+        c.impressions += counts.get(name).impressions;
+        c.reward += counts.get(name).reward;
+      }
+      return c;
+    };
+    return {
+      policy: cfg.policy,
+      variants: summarize(total),
+      segments: Object.fromEntries(Array.from(segments, ([segment, counts]) => [segment, summarize(name => counts.get(name))])),
+      exploration: {
+        slots: cfg.exploreSlots,
+        shown: exploration.shown,
+        reward: exploration.reward,
+        meanReward: exploration.shown > 0 ? exploration.reward / exploration.shown : 0,
+      },
+      pending: pending.size,
+    };
+  }
+
+  function toJSON() {
+    // A restored bandit draws a fresh sequence; context is a function and is passed again on load
+    const { seed, context, ...persisted } = cfg;
+    return {
+      version: BANDIT_VERSION,
+      settings: persisted,
+      served,
+      segments: Object.fromEntries(Array.from(segments, ([segment, counts]) => [segment, Object.fromEntries(counts)])),
+      exploration: { ...exploration },
+      pending: Array.from(pending),
+    };
+  }
+
+  return { serve, recommend, feedback, stats, toJSON };
+}
+
+/**
+ * Write a bandit's state to disk as JSON.
+ * @param {Object} bandit - from createBandit
+ * @param {string} filePath
+ */
+function saveBandit(bandit, filePath) {
+  fs.writeFileSync(filePath, JSON.stringify(bandit.toJSON()));
+}
+
+/**
+ * Read a bandit written by saveBandit.
+ * @param {string} filePath
+ * @param {Object} [settings] - new settings (e.g. another set of variants); variants with the
+ *   same name keep what they learned. Default: the saved settings, without a context; pass
+ *   settings again to keep segmenting requests.
+ * @returns {Object} bandit
+ */
+function loadBandit(filePath, settings = null) {
+  const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!state || state.version !== BANDIT_VERSION || !isPlainObject(state.segments) || !Array.isArray(state.pending)) {
+    throw new Error(`${filePath} is not a bandit state file (version ${BANDIT_VERSION})`);
+  }
+  return createBandit(settings || state.settings, state);
+}
+
+module.exports = {
+  BANDIT_DEFAULTS,
+  DEFAULT_SEGMENT,
+  POLICIES,
+  createBandit,
+  saveBandit,
+  loadBandit,
+  sampleBeta,
+};
@@ -0,0 +1,371 @@
+/**
+ * Batch recommendations for every user (e.g. nightly email digests)
+ * ------------------------------------------------------
+ * Splits the dataset's users into chunks and ranks them on a pool of worker threads. Each
+ * worker loads the dataset and builds one createRecommender, then ranks the chunks it is
+ * sent. Results are appended to the output as chunks complete, so lines follow completion
+ * order, not dataset order.
+ *
+ * Output formats (scores are the final combined scores, see explain mode):
+ *  - jsonl: one line per user
+ *      {"userId":"user_1","recommendations":[{"rank":1,"eventId":"event_3","score":0.812345}, ...]}
+ *  - csv: header userId,rank,eventId,score and one row per recommendation
+ *
+ * Resume: with --resume, users already in the output are skipped. A torn last line is cut
+ * off first. In CSV, the last user's rows are cut off too, because they may be incomplete.
+ * Users with no recommendations have no CSV rows, so they are ranked again (and still
+ * produce no rows).
+ *
+ * Time: lists are ranked at options.now, by default the dataset's referenceTime (see
+ * data-generator.js), else the current time; past events are excluded. When every event has
+ * ended at that time, the batch still runs but reports a warning, since every list is empty.
+ *
+ * Fairness: options.fairness applies to every list. With fairness.minExposure, each worker
+ * tracks the exposure of the lists it has ranked (see fairness.js), so under-exposed events
+ * are spread over the batch. `node src/fairness.js` reports on the output.
+ *
+ * Usage:
+ *   node src/batch.js --data event_recommendation_data.json --out recommendations.jsonl
+ *     [--format jsonl|csv] [--k 10] [--workers 4] [--chunk-size 200] [--options options.json]
+ *     [--collaborative cf_model.json] [--taxonomy taxonomy.json] [--now 2024-06-01T00:00:00Z] [--resume]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const { parseArgs } = require('util');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const { resolveOptions } = require('./app');
+const { createRecommender } = require('./recommender');
+const { loadModel } = require('./collaborative');
+const { createExposureTracker } = require('./fairness');
+const { toTimestamp, datasetReferenceTime, allEventsEnded } = require('./time');
+
+const FORMATS = ['jsonl', 'csv'];
+const CSV_HEADER = 'userId,rank,eventId,score\n';
+
+/** ==========
+ * Formatting
+ * ===========*/
+function csvField(value) {
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// First field of a CSV row (the userId)
+function firstCsvField(line) {
+  if (!line.startsWith('"')) {
+    const comma = line.indexOf(',');
+    return comma === -1 ? line : line.slice(0, comma);
+  }
+  let out = '';
+  for (let i = 1; i < line.length; i++) {
+    if (line[i] === '"') {
+      if (line[i + 1] !== '"') break;
+      out += '"';
+      i++;
+    } else {
+      out += line[i];
+    }
+  }
+  return out;
+}
+
+function roundScore(score) {
+  return Math.round(score * 1e6) / 1e6;
+}
+
+/**
+ * Format one user's results.
+ * @param {string} userId
+ * @param {Array<{event:Object, score:number, rank:number}>} results - explain-mode records
+ * @param {string} format - 'jsonl' or 'csv'
+ * @returns {string} one JSONL line, or zero or more CSV rows (each ending in a newline)
+ */
+function formatUser(userId, results, format) {
+  if (format === 'csv') {
+    return results
+      .map(r => `${csvField(userId)},${r.rank},${csvField(r.event.id)},${roundScore(r.score)}\n`)
+      .join('');
+  }
+  const recommendations = results.map(r => ({ rank: r.rank, eventId: r.event.id, score: roundScore(r.score) }));
+  return `${JSON.stringify({ userId, recommendations })}\n`;
+}
+
+/** ======
+ * Resume
+ * =======*/
+
+/**
+ * Find the users already written to an output file.
+ * @param {string} outPath
+ * @param {string} format
+ * @returns {{done:Set<string>, validBytes:number}} validBytes is where appending should resume
+ */
+function scanOutput(outPath, format) {
+  const text = fs.readFileSync(outPath, 'utf8');
+  const done = new Set();
+  let validBytes = 0;
+  let offset = 0;    // in characters
+  let lineEnd = 0;   // in bytes
+  let lastUser = null;
+  let lastUserStart = 0;
+
+  while (offset < text.length) {
+    const newline = text.indexOf('\n', offset);
+    if (newline === -1) break; // torn last line
+    const line = text.slice(offset, newline);
+    const lineStart = lineEnd;
+    lineEnd = lineStart + Buffer.byteLength(line) + 1;
+    offset = newline + 1;
+
+    if (format === 'csv') {
+      if (lineStart === 0 && `${line}\n` === CSV_HEADER) {
+        validBytes = lineEnd;
+        continue;
+      }
+      const userId = firstCsvField(line);
+      if (userId !== lastUser) {
+        if (lastUser !== null) done.add(lastUser);
+        lastUser = userId;
+        lastUserStart = lineStart;
+      }
+      validBytes = lineEnd;
+    } else {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        break;
+      }
+      if (!record || typeof record.userId !== 'string') break;
+      done.add(record.userId);
+      validBytes = lineEnd;
+    }
+  }
+
+  // The last CSV user may have been cut short: drop its rows and rank it again
+  if (format === 'csv' && lastUser !== null) validBytes = lastUserStart;
+  return { done, validBytes };
+}
+
+/** =====
+ * Worker
+ * ======*/
+
+// fairness.minExposure needs a tracker; options come as JSON, so each worker brings its own
+function withExposureTracker(options) {
+  const { fairness } = options;
+  if (!fairness || fairness.minExposure === undefined || fairness.minExposure === null || fairness.exposure) return options;
+  return { ...options, fairness: { ...fairness, exposure: createExposureTracker() } };
+}
+
+function runWorker(settings) {
+  const dataset = JSON.parse(fs.readFileSync(settings.dataPath, 'utf8'));
+  const recommender = createRecommender(dataset.events, dataset.eventSimilarity);
+  const users = new Map();
+  for (const user of dataset.users) if (user && typeof user.id === 'string') users.set(user.id, user);
+
+  const options = withExposureTracker({ ...settings.options, explain: true });
+  if (settings.collaborativePath) options.collaborative = loadModel(settings.collaborativePath);
+  const exposure = options.fairness ? options.fairness.exposure : null;
+
+  parentPort.on('message', userIds => {
+    let out = '';
+    for (const id of userIds) {
+      const results = recommender.recommend(users.get(id), settings.k, options);
+      if (exposure) exposure.record(results);
+      out += formatUser(id, results, settings.format);
+    }
+    parentPort.postMessage({ count: userIds.length, out });
+  });
+}
+
+/** ===========
+ * Batch runner
+ * ============*/
+function defaultWorkerCount() {
+  return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+}
+
+/**
+ * Rank every user in a dataset and write the results.
+ * @param {Object} settings
+ * @param {string} settings.dataPath - dataset JSON { users, events, eventSimilarity }
+ * @param {string} settings.outPath
+ * @param {string} [settings.format='jsonl'] - 'jsonl' or 'csv'
+ * @param {number} [settings.k=10] - recommendations per user
+ * @param {number} [settings.workers] - worker threads (default: available parallelism)
+ * @param {number} [settings.chunkSize=200] - users per message to a worker
+ * @param {Object} [settings.options] - ranking options (JSON-serializable; explain is forced on).
+ *   options.now defaults to the dataset's referenceTime, else the current time
+ * @param {?string} [settings.collaborativePath] - co-attendance model file, loaded by each worker
+ * @param {boolean} [settings.resume=false] - skip users already in outPath
+ * @param {function({done:number, total:number, usersPerSecond:number, etaSeconds:number}):void}
+ *   [settings.onProgress] - called after each chunk
+ * @returns {Promise<{users:number, skipped:number, written:number, seconds:number, now:number,
+ *   warnings:string[]}>} now is the reference time ranked at (epoch ms); rejects with the first
+ *   worker or write error, once every worker has stopped
+ */
+async function runBatch(settings) {
+  const {
+    dataPath, outPath, format = 'jsonl', k = 10, workers = defaultWorkerCount(), chunkSize = 200,
+    options = {}, collaborativePath = null, resume = false, onProgress = null,
+  } = settings;
+  if (!FORMATS.includes(format)) throw new RangeError(`format must be one of ${FORMATS.join(', ')} (got ${format})`);
+  for (const [name, value] of [['k', k], ['workers', workers], ['chunkSize', chunkSize]]) {
+    if (!Number.isInteger(value) || value < 1) throw new RangeError(`${name} must be a positive integer (got ${value})`);
+  }
+  resolveOptions(withExposureTracker(options)); // fail before starting any worker
+
+  const started = Date.now();
+  const dataset = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+  const userIds = Array.from(new Set(
+    (Array.isArray(dataset.users) ? dataset.users : []).filter(u => u && typeof u.id === 'string').map(u => u.id)));
+
+  // Digests go out at the dataset's time (or now), so past events are excluded
+  let now = datasetReferenceTime(dataset);
+  if (options.now !== undefined && options.now !== null) now = toTimestamp(options.now);
+  if (now === null) now = Date.now();
+  const warnings = [];
+  if (allEventsEnded(Array.isArray(dataset.events) ? dataset.events : [], now)) {
+    warnings.push(`every event has ended at ${new Date(now).toISOString()}, so every list is empty (pass another now)`);
+  }
+
+  let done = new Set();
+  if (resume && fs.existsSync(outPath)) {
+    const existing = scanOutput(outPath, format);
+    fs.truncateSync(outPath, existing.validBytes);
+    done = existing.done;
+  } else {
+    fs.writeFileSync(outPath, '');
+  }
+  if (format === 'csv' && fs.statSync(outPath).size === 0) fs.appendFileSync(outPath, CSV_HEADER);
+
+  const pending = userIds.filter(id => !done.has(id));
+  const chunks = [];
+  for (let i = 0; i < pending.length; i += chunkSize) chunks.push(pending.slice(i, i + chunkSize));
+  const summary = () => ({
+    users: userIds.length, skipped: done.size, written: pending.length, seconds: (Date.now() - started) / 1000, now, warnings,
+  });
+  if (chunks.length === 0) return summary();
+
+  const fd = fs.openSync(outPath, 'a');
+  const workerSettings = { dataPath, format, k, options: { ...options, now }, collaborativePath };
+  const pool = [];
+  let failed = false;
+  let next = 0;
+  let finished = 0;
+  const rankStarted = Date.now();
+
+  try {
+    await Promise.all(Array.from({ length: Math.min(workers, chunks.length) }, () => new Promise((resolve, reject) => {
+      const worker = new Worker(__filename, { workerData: { batchWorker: workerSettings } });
+      pool.push(worker);
+      const sendNext = () => {
+        if (next < chunks.length) worker.postMessage(chunks[next++]);
+        else worker.terminate().then(() => resolve(), reject);
+      };
+      worker.on('message', ({ count, out }) => {
+        if (failed) return; // another worker failed: the batch is stopping
+        try {
+          fs.writeSync(fd, out);
+        } catch (err) {
+          reject(err);
+          return;
+        }
+        finished += count;
+        if (onProgress) {
+          const usersPerSecond = finished / Math.max(0.001, (Date.now() - rankStarted) / 1000);
+          onProgress({ done: finished, total: pending.length, usersPerSecond, etaSeconds: (pending.length - finished) / usersPerSecond });
+        }
+        sendNext();
+      });
+      worker.on('error', reject);
+      worker.on('exit', code => {
+        // terminate() exits with 1; crashes are reported through 'error' first
+        if (code !== 0 && code !== 1) reject(new Error(`batch worker exited with code ${code}`));
+      });
+      sendNext();
+    })));
+  } catch (err) {
+    // Stop every other worker before the output closes under them
+    failed = true;
+    await Promise.all(pool.map(worker => worker.terminate()));
+    throw err;
+  } finally {
+    fs.closeSync(fd);
+  }
+  return summary();
+}
+
+/** =====
+ * CLI
+ * ======*/
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      data: { type: 'string', default: 'event_recommendation_data.json' },
+      out: { type: 'string', default: 'recommendations.jsonl' },
+      format: { type: 'string' },
+      k: { type: 'string', default: '10' },
+      workers: { type: 'string' },
+      'chunk-size': { type: 'string', default: '200' },
+      options: { type: 'string' },
+      collaborative: { type: 'string' },
+      taxonomy: { type: 'string' },
+      now: { type: 'string' },
+      resume: { type: 'boolean', default: false },
+    },
+  });
+
+  const format = values.format || (values.out.endsWith('.csv') ? 'csv' : 'jsonl');
+  const options = values.options ? JSON.parse(fs.readFileSync(values.options, 'utf8')) : {};
+  // A taxonomy definition is plain JSON, so each worker can compile its own
+  if (values.taxonomy) options.taxonomy = JSON.parse(fs.readFileSync(values.taxonomy, 'utf8'));
+  if (values.now !== undefined) options.now = values.now;
+
+  let lastReport = 0;
+  const onProgress = ({ done, total, usersPerSecond, etaSeconds }) => {
+    const now = Date.now();
+    if (done < total && now - lastReport < 1000) return;
+    lastReport = now;
+    const pct = ((done / total) * 100).toFixed(1);
+    console.error(`${done}/${total} users (${pct}%), ${Math.round(usersPerSecond)} users/s, ETA ${Math.ceil(etaSeconds)}s`);
+  };
+
+  runBatch({
+    dataPath: values.data,
+    outPath: values.out,
+    format,
+    k: Number(values.k),
+    workers: values.workers === undefined ? undefined : Number(values.workers),
+    chunkSize: Number(values['chunk-size']),
+    options,
+    collaborativePath: values.collaborative || null,
+    resume: values.resume,
+    onProgress,
+  }).then(({ users, skipped, written, seconds, warnings }) => {
+    for (const warning of warnings) console.error(`Warning: ${warning}`);
+    const resumed = skipped > 0 ? ` (${skipped} already done)` : '';
+    console.log(`Wrote ${written} of ${users} users${resumed} to ${values.out} in ${seconds.toFixed(1)}s`);
+  }).catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
+
+if (!isMainThread && workerData && workerData.batchWorker) {
+  runWorker(workerData.batchWorker);
+} else if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  runBatch,
+  scanOutput,
+  formatUser,
+};
@@ -0,0 +1,179 @@
+/**
+ * Item-item collaborative filtering from co-attendance
+ * ------------------------------------------------------
+ * Two events are similar when the same users attended both. For every pair (a, b):
+ *  - cosine:  co(a, b) / sqrt(n(a) * n(b))
+ *  - jaccard: co(a, b) / (n(a) + n(b) - co(a, b))
+ * where n(x) is the number of users who attended x and co(a, b) the number who attended both.
+ * Only the top maxNeighbors neighbors per event are kept.
+ *
+ * The model is plain JSON ({ version, metric, neighbors: { eventId: [[neighborId, score], ...] } }),
+ * built offline once and passed to getRecommendedEvents / recommend as options.collaborative.
+ *
+ * Time complexity (U users, A attended per user ≤ 15, E events, M neighbors kept):
+ *  - Co-occurrence counting: O(U * A^2)
+ *  - Neighbor selection: O(P log M) where P = distinct co-attended pairs
+ *
+ * Usage:
+ *   node src/collaborative.js --data event_recommendation_data.json --out cf_model.json [--metric cosine]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+const MODEL_VERSION = 1;
+const METRICS = ['cosine', 'jaccard'];
+
+/**
+ * Build the co-attendance model from users' attendedEvents lists.
+ * @param {Array<Object>} users - user objects with attendedEvents[]
+ * @param {Object} [settings]
+ * @param {'cosine'|'jaccard'} [settings.metric='cosine']
+ * @param {number} [settings.maxNeighbors=20] - neighbors kept per event
+ * @param {number} [settings.minCoCount=1] - pairs co-attended fewer times are ignored
+ * @returns {{version:number, metric:string, neighbors:Object<string, Array<[string, number]>>}}
+ */
+function buildCoAttendanceModel(users, settings = {}) {
+  const { metric = 'cosine', maxNeighbors = 20, minCoCount = 1 } = settings;
+  if (!METRICS.includes(metric)) {
+    throw new RangeError(`metric must be one of ${METRICS.join(', ')} (got ${metric})`);
+  }
+  if (!Number.isInteger(maxNeighbors) || maxNeighbors <= 0) {
+    throw new RangeError(`maxNeighbors must be a positive integer (got ${maxNeighbors})`);
+  }
+  if (!Number.isInteger(minCoCount) || minCoCount <= 0) {
+    throw new RangeError(`minCoCount must be a positive integer (got ${minCoCount})`);
+  }
+
+  const attendees = new Map(); // eventId -> n(event)
+  const co = new Map();        // eventId -> Map<eventId, co-count>, both directions
+
+  for (const user of Array.isArray(users) ? users : []) {
+    if (!user || !Array.isArray(user.attendedEvents)) continue;
+    const attended = Array.from(new Set(user.attendedEvents));
+    for (const eid of attended) attendees.set(eid, (attendees.get(eid) || 0) + 1);
+    for (let i = 0; i < attended.length; i++) {
+      for (let j = i + 1; j < attended.length; j++) {
+        bump(co, attended[i], attended[j]);
+        bump(co, attended[j], attended[i]);
+      }
+    }
+  }
+
+  const neighbors = {};
+  for (const [a, row] of co) {
+    const na = attendees.get(a);
+    const scored = [];
+    for (const [b, count] of row) {
+      if (count < minCoCount) continue;
+      const nb = attendees.get(b);
+      const score = metric === 'cosine'
+        ? count / Math.sqrt(na * nb)
+        : count / (na + nb - count);
+      scored.push([b, score]);
+    }
+    if (scored.length === 0) continue;
+    // Highest score first, id as a deterministic tie-break
+    scored.sort((x, y) => y[1] - x[1] || (x[0] < y[0] ? -1 : x[0] > y[0] ? 1 : 0));
+    neighbors[a] = scored.slice(0, maxNeighbors);
+  }
+
+  return { version: MODEL_VERSION, metric, neighbors };
+}
+
+function bump(co, a, b) {
+  let row = co.get(a);
+  if (!row) {
+    row = new Map();
+    co.set(a, row);
+  }
+  row.set(b, (row.get(b) || 0) + 1);
+}
+
+/**
+ * Score candidates for one user: for each event, the highest co-attendance similarity
+ * to any event in the user's history. Raw similarities are small on sparse data, so
+ * score is rescaled so the user's strongest candidate gets 1.
+ * @param {Object} model - from buildCoAttendanceModel
+ * @param {Array<string>} attended - user's attended event ids
+ * @returns {Map<string, {score:number, similarity:number, via:string}>} candidate id ->
+ *   normalized score, raw similarity, and the attended event it came from
+ */
+function scoreFromHistory(model, attended) {
+  const scores = new Map();
+  if (!model || !model.neighbors || !Array.isArray(attended)) return scores;
+  let best = 0;
+  for (const eid of attended) {
+    const row = model.neighbors[eid];
+    if (!Array.isArray(row)) continue;
+    for (const [nid, similarity] of row) {
+      const prev = scores.get(nid);
+      if (!prev || similarity > prev.similarity) scores.set(nid, { score: 0, similarity, via: eid });
+      if (similarity > best) best = similarity;
+    }
+  }
+  if (best > 0) for (const hit of scores.values()) hit.score = hit.similarity / best;
+  return scores;
+}
+
+/**
+ * Write a model to disk as JSON.
+ * @param {Object} model
+ * @param {string} filePath
+ */
+function saveModel(model, filePath) {
+  fs.writeFileSync(filePath, JSON.stringify(model));
+}
+
+/**
+ * Read a model written by saveModel.
+ * @param {string} filePath
+ * @returns {Object}
+ */
+function loadModel(filePath) {
+  const model = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!model || model.version !== MODEL_VERSION || typeof model.neighbors !== 'object') {
+    throw new Error(`${filePath} is not a co-attendance model (version ${MODEL_VERSION})`);
+  }
+  return model;
+}
+
+/** =====
+ * CLI
+ * ======*/
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      data: { type: 'string', default: 'event_recommendation_data.json' },
+      out: { type: 'string', default: 'cf_model.json' },
+      metric: { type: 'string', default: 'cosine' },
+      'max-neighbors': { type: 'string', default: '20' },
+      'min-co-count': { type: 'string', default: '1' },
+    },
+  });
+
+  console.time('Co-attendance model');
+  const { users } = JSON.parse(fs.readFileSync(values.data, 'utf8'));
+  const model = buildCoAttendanceModel(users, {
+    metric: values.metric,
+    maxNeighbors: Number(values['max-neighbors']),
+    minCoCount: Number(values['min-co-count']),
+  });
+  saveModel(model, values.out);
+  console.timeEnd('Co-attendance model');
+  console.log(`Wrote ${Object.keys(model.neighbors).length} event neighbor lists to ${values.out}`);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  buildCoAttendanceModel,
+  scoreFromHistory,
+  saveModel,
+  loadModel,
+};
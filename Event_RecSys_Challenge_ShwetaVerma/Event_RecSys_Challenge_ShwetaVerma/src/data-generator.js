@@ -1,111 +1,256 @@
 /**
  * Data generation script for event recommendation algorithm testing
- * Generates 10K users, events, and relevant similarity data
+ * Generates users, events, and relevant similarity data (10K users / 2K events by default)
+ *
+ * Every random choice comes from a seeded generator, and the event schedule is laid out around
+ * a reference time (--now, default the current hour), so the same flags, --seed and --now always
+ * produce the same dataset. The reference time is recorded in the dataset as referenceTime;
+ * passing it back as --now regenerates the same dataset.
+ *
+ * Similarity lists are drawn from per-category buckets (an inverted index), so the cost is
+ * O(events * similar) rather than O(events^2) and the generator scales to 100k+ events.
+ *
+ * With --structured, users mostly attend events that match their preferences and are near
+ * them, and popularity follows attendance, so ranking quality can be measured.
+ *
+ * Usage:
+ *   node src/data-generator.js [--seed 42] [--users 10000] [--events 2000] [--categories 20]
+ *     [--max-preferences 5] [--max-attended 15] [--max-similar 8]
+ *     [--region us|europe|world|latMin,latMax,lngMin,lngMax] [--now 2024-01-01T00:00:00Z]
+ *     [--structured] [--out ../event_recommendation_data.json]
  */
 
-// Configuration
-const NUM_USERS = 10000;
-const NUM_EVENTS = 2000;
-const NUM_CATEGORIES = 20;
-const MAX_PREFERENCES_PER_USER = 5;
-const MAX_ATTENDED_EVENTS_PER_USER = 15;
-const MAX_SIMILAR_EVENTS = 8;
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { createRandom, sample } = require('./random');
+const { calculateDistance } = require('./app');
+
+// Default configuration
+const DEFAULTS = {
+    seed: 42,
+    users: 10000,
+    events: 2000,
+    categories: 20,
+    maxPreferences: 5,
+    maxAttended: 15,
+    maxSimilar: 8,
+    region: 'us',
+    // Reference time for the event schedule when generateData is called without one (fixed, so
+    // a seed always gives the same dataset); the CLI defaults to the current hour instead
+    now: Date.parse('2024-01-01T00:00:00Z'),
+    structured: false,
+    out: '../event_recommendation_data.json'
+};
+const SCHEDULE_PAST_DAYS = 30;     // some events are already over when the data is used
+const SCHEDULE_FUTURE_DAYS = 90;
+const MAX_EVENT_DURATION_HOURS = 8;
+
+// Structured behavior tuning
+const STRUCTURED_NOISE_SHARE = 0.1;     // share of attended events picked at random
+const STRUCTURED_DISTANCE_DECAY_KM = 500;
+const STRUCTURED_CANDIDATES_PER_PICK = 10;
+
+// Geographic regions: [latMin, latMax, lngMin, lngMax]
+const REGIONS = {
+    us: [25, 49, -124, -66],       // roughly continental US
+    europe: [36, 60, -10, 30],
+    world: [-60, 70, -180, 180]
+};
+
+const BASE_CATEGORIES = [
+    'music', 'technology', 'food', 'sports', 'art', 'business',
+    'education', 'health', 'travel', 'fashion', 'gaming', 'literature',
+    'movies', 'politics', 'science', 'photography', 'dance', 'charity',
+    'family', 'finance', 'history', 'pets', 'religion', 'beauty',
+    'automotive', 'environment', 'crafts', 'comedy'
+];
 
 // Helper functions
+const HOUR_MS = 60 * 60 * 1000;
 const generateRandomId = (prefix, index) => `${prefix}_${index}`;
-const getRandomInt = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
-const getRandomFloat = (min, max) => Math.random() * (max - min) + min;
-const pickRandomElements = (array, count) => {
-    const shuffled = [...array].sort(() => 0.5 - Math.random());
-    return shuffled.slice(0, count);
+const createHelpers = (random) => ({
+    getRandomInt: (min, max) => Math.floor(random() * (max - min + 1)) + min,
+    getRandomFloat: (min, max) => random() * (max - min) + min,
+    pickRandomElements: (array, count) => sample(array, count, random)
+});
+
+const parseRegion = (region) => {
+    if (REGIONS[region]) return REGIONS[region];
+    const bounds = String(region).split(',').map(Number);
+    const [latMin, latMax, lngMin, lngMax] = bounds;
+    if (bounds.length !== 4 || bounds.some(b => !Number.isFinite(b)) ||
+        latMin < -90 || latMax > 90 || latMin >= latMax ||
+        lngMin < -180 || lngMax > 180 || lngMin >= lngMax) {
+        throw new RangeError(`region must be one of ${Object.keys(REGIONS).join(', ')} or latMin,latMax,lngMin,lngMax (got ${region})`);
+    }
+    return bounds;
 };
 
 // Generate categories
-const generateCategories = (count) => {
-    const baseCategories = [
-        'music', 'technology', 'food', 'sports', 'art', 'business',
-        'education', 'health', 'travel', 'fashion', 'gaming', 'literature',
-        'movies', 'politics', 'science', 'photography', 'dance', 'charity',
-        'family', 'finance', 'history', 'pets', 'religion', 'beauty',
-        'automotive', 'environment', 'crafts', 'comedy'
-    ];
-
+const generateCategories = (count, random) => {
     // If we need more than we have in base categories, we'll combine some
-    if (count <= baseCategories.length) {
-        return baseCategories.slice(0, count);
+    if (count <= BASE_CATEGORIES.length) {
+        return BASE_CATEGORIES.slice(0, count);
     } else {
         // Add combined categories
-        const categories = [...baseCategories];
-        while (categories.length < count) {
-            const cat1 = baseCategories[Math.floor(Math.random() * baseCategories.length)];
-            const cat2 = baseCategories[Math.floor(Math.random() * baseCategories.length)];
-            if (cat1 !== cat2) {
-                categories.push(`${cat1}-${cat2}`);
+        const categories = [...BASE_CATEGORIES];
+        const seen = new Set(categories);
+        const maxCombined = BASE_CATEGORIES.length * (BASE_CATEGORIES.length - 1);
+        while (categories.length < count && seen.size < BASE_CATEGORIES.length + maxCombined) {
+            const cat1 = BASE_CATEGORIES[Math.floor(random() * BASE_CATEGORIES.length)];
+            const cat2 = BASE_CATEGORIES[Math.floor(random() * BASE_CATEGORIES.length)];
+            const combined = `${cat1}-${cat2}`;
+            if (cat1 !== cat2 && !seen.has(combined)) {
+                seen.add(combined);
+                categories.push(combined);
             }
         }
         return categories.slice(0, count);
     }
 };
 
-// Generate location within bounds (roughly continental US)
-const generateLocation = () => {
+// Generate location within region bounds
+const generateLocation = (helpers, [latMin, latMax, lngMin, lngMax]) => {
     return {
-        lat: getRandomFloat(25, 49),  // US latitude range approximately
-        lng: getRandomFloat(-124, -66)  // US longitude range approximately
+        lat: helpers.getRandomFloat(latMin, latMax),
+        lng: helpers.getRandomFloat(lngMin, lngMax)
     };
 };
 
+// Generate a start/end time around the reference date (ISO 8601 strings)
+const generateSchedule = (helpers, now) => {
+    const start = now + helpers.getRandomInt(-SCHEDULE_PAST_DAYS * 24, SCHEDULE_FUTURE_DAYS * 24) * HOUR_MS;
+    const end = start + helpers.getRandomInt(1, MAX_EVENT_DURATION_HOURS) * HOUR_MS;
+    return {
+        startTime: new Date(start).toISOString(),
+        endTime: new Date(end).toISOString()
+    };
+};
+
+// Category -> indices of events carrying it
+const buildCategoryBuckets = (events) => {
+    const buckets = new Map();
+    events.forEach((event, index) => {
+        event.categories.forEach(cat => {
+            if (!buckets.has(cat)) buckets.set(cat, []);
+            buckets.get(cat).push(index);
+        });
+    });
+    return buckets;
+};
+
+// Similar events share at least one category: draw from the event's category buckets
+const generateSimilarity = (events, buckets, settings, helpers, random) => {
+    const eventSimilarity = {};
+    events.forEach((event, index) => {
+        const poolSize = event.categories.reduce((sum, cat) => sum + buckets.get(cat).length - 1, 0);
+        const wanted = Math.min(poolSize, helpers.getRandomInt(1, settings.maxSimilar));
+        const picked = new Set();
+        // Rejection sampling; the attempt cap only matters for tiny, overlapping buckets
+        for (let attempts = 0; picked.size < wanted && attempts < wanted * 20; attempts++) {
+            const bucket = buckets.get(event.categories[Math.floor(random() * event.categories.length)]);
+            const candidate = bucket[Math.floor(random() * bucket.length)];
+            if (candidate !== index) picked.add(candidate);
+        }
+        eventSimilarity[event.id] = Array.from(picked, i => events[i].id);
+    });
+    return eventSimilarity;
+};
+
+// Weighted sampling without replacement (Efraimidis–Spirakis keys)
+const weightedSample = (items, weights, count, random) => {
+    return items
+        .map((item, i) => ({ item, key: weights[i] > 0 ? Math.pow(random(), 1 / weights[i]) : -1 }))
+        .filter(entry => entry.key >= 0)
+        .sort((a, b) => b.key - a.key)
+        .slice(0, count)
+        .map(entry => entry.item);
+};
+
+// Structured attendance: mostly events in the user's preferred categories, near the user
+const pickStructuredAttendance = (user, count, events, buckets, helpers, random) => {
+    const noise = Math.round(count * STRUCTURED_NOISE_SHARE);
+    const pool = new Set();
+    const preferredBuckets = user.preferences.map(cat => buckets.get(cat)).filter(b => b && b.length > 0);
+    for (let i = 0; i < (count - noise) * STRUCTURED_CANDIDATES_PER_PICK && preferredBuckets.length > 0; i++) {
+        const bucket = preferredBuckets[Math.floor(random() * preferredBuckets.length)];
+        pool.add(bucket[Math.floor(random() * bucket.length)]);
+    }
+
+    const candidates = Array.from(pool);
+    const weights = candidates.map(i => {
+        const event = events[i];
+        const matches = event.categories.filter(cat => user.preferences.includes(cat)).length;
+        const distance = calculateDistance(user.location, event.location);
+        return matches * Math.exp(-distance / STRUCTURED_DISTANCE_DECAY_KM);
+    });
+    const attended = new Set(weightedSample(candidates, weights, count - noise, random));
+    while (attended.size < count) attended.add(Math.floor(random() * events.length));
+    return helpers.pickRandomElements(Array.from(attended, i => events[i].id), attended.size);
+};
+
+// Popularity follows attendance (percentile rank), blended with noise
+const derivePopularity = (events, users, random) => {
+    const counts = new Map(events.map(e => [e.id, 0]));
+    users.forEach(user => user.attendedEvents.forEach(id => counts.set(id, counts.get(id) + 1)));
+    const ranked = events.slice().sort((a, b) => counts.get(a.id) - counts.get(b.id));
+    ranked.forEach((event, rank) => {
+        const percentile = ranked.length > 1 ? rank / (ranked.length - 1) : 1;
+        event.popularity = 0.7 * percentile + 0.3 * random();
+    });
+};
+
 // Generate all data
-const generateData = () => {
+const generateData = (options = {}) => {
+    const settings = { ...DEFAULTS, ...options };
+    const random = createRandom(settings.seed);
+    const helpers = createHelpers(random);
+    const region = parseRegion(settings.region);
+
     console.time('Data generation');
 
     // Generate categories
-    const categories = generateCategories(NUM_CATEGORIES);
+    const categories = generateCategories(settings.categories, random);
     console.log(`Generated ${categories.length} categories`);
 
-    // Generate events
+    // Generate events (start times on the hour)
+    const now = Math.floor((settings.now === undefined ? DEFAULTS.now : settings.now) / HOUR_MS) * HOUR_MS;
     const events = [];
-    for (let i = 0; i < NUM_EVENTS; i++) {
-        const numCategories = getRandomInt(1, 3);
+    for (let i = 0; i < settings.events; i++) {
+        const numCategories = helpers.getRandomInt(1, Math.min(3, categories.length));
         events.push({
             id: generateRandomId('event', i),
             title: `Event ${i}`,
-            categories: pickRandomElements(categories, numCategories),
-            location: generateLocation(),
-            popularity: getRandomFloat(0, 1)
+            categories: helpers.pickRandomElements(categories, numCategories),
+            location: generateLocation(helpers, region),
+            popularity: helpers.getRandomFloat(0, 1),
+            ...generateSchedule(helpers, now)
         });
     }
     console.log(`Generated ${events.length} events`);
 
     // Generate event similarity mappings
-    const eventSimilarity = {};
-    events.forEach(event => {
-        // Find events with at least one matching category
-        const similarEvents = events
-            .filter(e =>
-                e.id !== event.id &&
-                e.categories.some(cat => event.categories.includes(cat))
-            )
-            .map(e => e.id);
-
-        // Take a subset of those similar events
-        const numSimilar = Math.min(similarEvents.length, getRandomInt(1, MAX_SIMILAR_EVENTS));
-        eventSimilarity[event.id] = pickRandomElements(similarEvents, numSimilar);
-    });
+    const buckets = buildCategoryBuckets(events);
+    const eventSimilarity = generateSimilarity(events, buckets, settings, helpers, random);
     console.log(`Generated event similarity mappings`);
 
     // Generate users
+    const eventIds = events.map(e => e.id);
     const users = [];
-    for (let i = 0; i < NUM_USERS; i++) {
-        const numPreferences = getRandomInt(1, MAX_PREFERENCES_PER_USER);
-        const numAttended = getRandomInt(0, MAX_ATTENDED_EVENTS_PER_USER);
+    for (let i = 0; i < settings.users; i++) {
+        const numPreferences = helpers.getRandomInt(1, Math.min(settings.maxPreferences, categories.length));
+        const numAttended = Math.min(helpers.getRandomInt(0, settings.maxAttended), events.length);
 
-        users.push({
+        const user = {
             id: generateRandomId('user', i),
-            location: generateLocation(),
-            preferences: pickRandomElements(categories, numPreferences),
-            attendedEvents: pickRandomElements(events.map(e => e.id), numAttended)
-        });
+            location: generateLocation(helpers, region),
+            preferences: helpers.pickRandomElements(categories, numPreferences),
+            attendedEvents: []
+        };
+        user.attendedEvents = settings.structured
+            ? pickStructuredAttendance(user, numAttended, events, buckets, helpers, random)
+            : helpers.pickRandomElements(eventIds, numAttended);
+        users.push(user);
 
         // Progress update for large generations
         if (i % 1000 === 0) {
@@ -114,27 +259,80 @@ const generateData = () => {
     }
     console.log(`Generated ${users.length} users`);
 
+    if (settings.structured) derivePopularity(events, users, random);
+
     console.timeEnd('Data generation');
 
     return {
         users,
         events,
         eventSimilarity,
-        categories
+        categories,
+        referenceTime: new Date(now).toISOString()
     };
 };
 
-// Generate the data
-const data = generateData();
+const parseCount = (value, name, min) => {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min) throw new RangeError(`--${name} must be an integer >= ${min} (got ${value})`);
+    return n;
+};
+
+const main = (argv) => {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            seed: { type: 'string', default: String(DEFAULTS.seed) },
+            users: { type: 'string', default: String(DEFAULTS.users) },
+            events: { type: 'string', default: String(DEFAULTS.events) },
+            categories: { type: 'string', default: String(DEFAULTS.categories) },
+            'max-preferences': { type: 'string', default: String(DEFAULTS.maxPreferences) },
+            'max-attended': { type: 'string', default: String(DEFAULTS.maxAttended) },
+            'max-similar': { type: 'string', default: String(DEFAULTS.maxSimilar) },
+            region: { type: 'string', default: DEFAULTS.region },
+            now: { type: 'string' },
+            structured: { type: 'boolean', default: false },
+            out: { type: 'string', default: DEFAULTS.out }
+        }
+    });
 
-// Display sample data
-console.log('\n--- SAMPLE DATA ---');
-console.log('Sample User:', data.users[0]);
-console.log('Sample Event:', data.events[0]);
-console.log('Sample Event Similarity:', Object.entries(data.eventSimilarity)[0]);
+    // Events around the present by default; the dataset records the time used
+    let now = Date.now();
+    if (values.now !== undefined) {
+        now = Date.parse(values.now);
+        if (Number.isNaN(now)) throw new RangeError(`--now must be a date (got ${values.now})`);
+    }
 
-console.log('\n--- Writing DATA ---');
-const fs = require('fs');
-fs.writeFileSync('../event_recommendation_data.json', JSON.stringify(data, null, 2));
-console.log('Data saved to event_recommendation_data.json');
+    // Generate the data
+    const data = generateData({
+        seed: parseCount(values.seed, 'seed', 0),
+        users: parseCount(values.users, 'users', 0),
+        events: parseCount(values.events, 'events', 1),
+        categories: parseCount(values.categories, 'categories', 1),
+        maxPreferences: parseCount(values['max-preferences'], 'max-preferences', 1),
+        maxAttended: parseCount(values['max-attended'], 'max-attended', 0),
+        maxSimilar: parseCount(values['max-similar'], 'max-similar', 1),
+        region: values.region,
+        now,
+        structured: values.structured
+    });
+
+    // Display sample data
+    console.log('\n--- SAMPLE DATA ---');
+    console.log('Sample User:', data.users[0]);
+    console.log('Sample Event:', data.events[0]);
+    console.log('Sample Event Similarity:', Object.entries(data.eventSimilarity)[0]);
+
+    console.log('\n--- Writing DATA ---');
+    fs.writeFileSync(values.out, JSON.stringify(data, null, 2));
+    console.log(`Data saved to ${values.out}`);
+    console.log(`Reference time ${data.referenceTime} (pass --now ${data.referenceTime} to generate it again)`);
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
 
+module.exports = {
+    generateData
+};
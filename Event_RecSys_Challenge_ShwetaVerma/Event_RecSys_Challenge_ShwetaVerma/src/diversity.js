@@ -0,0 +1,290 @@
+/**
+ * Diversity stage: pick the final results from a pool of scored candidates
+ * ------------------------------------------------------
+ * The ranking loop keeps the best poolFactor * k candidates by score. A strategy then picks
+ * and orders k of them, so a more diverse event from just outside the top k can make it in:
+ *  - category: greedy penalty for categories already picked, plus a soft per-category cap
+ *    (the default; its pool defaults to k, so it only reorders the top k)
+ *  - mmr: maximal marginal relevance, lambda * score - (1 - lambda) * max similarity to the
+ *    events already picked; similarity is category overlap (Jaccard), eventSimilarity links
+ *    (1 when either event lists the other), or the larger of the two
+ *  - geo: score - strength * max proximity to the events already picked, where proximity is
+ *    exp(-km / spreadKm), so results are not all from one city
+ *  - novelty: score + weight * (1 - popularity), to surface long-tail events
+ *
+ * Candidates are heap nodes { score, distance, popularity, id, event } sorted best first.
+ * Ties always go to the better-ranked candidate. With a taxonomy (context.taxonomy, see
+ * taxonomy.js), related categories count as partial repeats in the category strategy and as
+ * partial overlap in mmr.
+ *
+ * Time complexity for a pool of p candidates: O(p * k) for mmr and geo (plus O(p * S) to index
+ * eventSimilarity links), O(p^2) for category, O(p log p) for novelty.
+ */
+
+'use strict';
+
+const STRATEGIES = ['category', 'mmr', 'geo', 'novelty'];
+const MMR_SIMILARITIES = ['categories', 'eventSimilarity', 'both'];
+
+function categoriesOf(node) {
+  return Array.isArray(node.event.categories) ? node.event.categories : [];
+}
+
+/** ========
+ * Category
+ * =========*/
+
+/**
+ * Re-rank a small candidate set to improve category diversity.
+ * Greedy MMR-style: at each step, select the item with the best (score - alpha * repeatPenalty)
+ * where repeatPenalty grows with how often a category has already been selected.
+ * A soft cap biases selection away from categories already chosen cap times.
+ *
+ * @param {Array<{event:Object, score:number}>} nodes
+ * @param {number} alpha - diversity strength (0=off)
+ * @param {number} perCategoryCap - soft cap for repeats (Infinity to disable)
+ * @param {Map<string,number>} [initialCounts] - categories already shown (e.g. on earlier pages)
+ * @param {number} [capPenalty=0.5] - extra penalty once a category has reached the cap
+ * @param {Object} [taxonomy] - count picks toward every node a category expands to, weighted
+ *   (picking "jazz" counts half a "music" repeat)
+ * @returns {Array} re-ordered nodes (same length as input)
+ */
+function rerankWithCategoryDiversity(nodes, alpha = 0.08, perCategoryCap = 3, initialCounts = undefined, capPenalty = 0.5, taxonomy = null) {
+  // Pre-extract categories and base scores
+  const N = nodes.length;
+  const used = new Array(N).fill(false);
+  const out = [];
+  const catCounts = new Map(taxonomy ? undefined : initialCounts);
+
+  // Record picks: flat counts, or weighted counts over the taxonomy nodes
+  function count(cats, times) {
+    if (!taxonomy) {
+      for (const c of cats) catCounts.set(c, (catCounts.get(c) || 0) + times);
+      return;
+    }
+    for (const [node, w] of taxonomy.expandAll(cats)) catCounts.set(node, (catCounts.get(node) || 0) + times * w);
+  }
+  if (taxonomy && initialCounts) {
+    for (const [c, times] of initialCounts) count([c], times);
+  }
+
+  // Helper to compute penalty for an event given current counts
+  function penaltyFor(ev) {
+    const cats = Array.isArray(ev.categories) ? ev.categories : [];
+    if (cats.length === 0) return 0;
+    let maxCount = 0;
+    if (taxonomy) {
+      for (const [node, w] of taxonomy.expandAll(cats)) maxCount = Math.max(maxCount, w * (catCounts.get(node) || 0));
+    } else {
+      maxCount = cats.reduce((m, c) => Math.max(m, catCounts.get(c) || 0), 0);
+    }
+
+    // Soft cap penalty: if already reached perCategoryCap for any category, add an extra nudge
+    const capNudge = (Number.isFinite(perCategoryCap) && maxCount >= perCategoryCap) ? capPenalty : 0;
+
+    return alpha * maxCount + capNudge;
+  }
+
+  for (let step = 0; step < N; step++) {
+    let bestIdx = -1;
+    let bestVal = -Infinity;
+
+    for (let i = 0; i < N; i++) {
+      if (used[i]) continue;
+      const node = nodes[i];
+      const base = node.score; // in [0,1] approximately
+      const pen = penaltyFor(node.event);
+      const val = base - pen;
+
+      // If tie, fall back to original ordering (which already considered distance/popularity/id)
+      if (val > bestVal) {
+        bestVal = val;
+        bestIdx = i;
+      }
+    }
+
+    used[bestIdx] = true;
+    const chosen = nodes[bestIdx];
+    out.push(chosen);
+
+    // Update category counts
+    count(Array.isArray(chosen.event.categories) ? chosen.event.categories : [], 1);
+  }
+
+  return out;
+}
+
+/** ==============================
+ * Greedy "penalize what is picked"
+ * ===============================*/
+
+// Pick k nodes maximizing relevance(i) - penalty * maxSimilarity(i, picked), keeping each
+// candidate's max similarity up to date as picks are made (O(p) work per pick).
+function greedySelect(nodes, k, relevance, penalty, similarity, alreadyPicked) {
+  const N = nodes.length;
+  const maxSim = new Array(N).fill(0);
+  for (const p of alreadyPicked) {
+    for (let i = 0; i < N; i++) maxSim[i] = Math.max(maxSim[i], similarity(nodes[i], p));
+  }
+
+  const used = new Array(N).fill(false);
+  const out = [];
+  while (out.length < k && out.length < N) {
+    let bestIdx = -1;
+    let bestVal = -Infinity;
+    for (let i = 0; i < N; i++) {
+      if (used[i]) continue;
+      const val = relevance(nodes[i]) - penalty * maxSim[i];
+      if (val > bestVal) {
+        bestVal = val;
+        bestIdx = i;
+      }
+    }
+    used[bestIdx] = true;
+    const chosen = nodes[bestIdx];
+    out.push(chosen);
+    for (let i = 0; i < N; i++) {
+      if (!used[i]) maxSim[i] = Math.max(maxSim[i], similarity(nodes[i], chosen));
+    }
+  }
+  return out;
+}
+
+/** ===
+ * MMR
+ * ====*/
+function categoryJaccard(setA, setB) {
+  if (setA.size === 0 || setB.size === 0) return 0;
+  let inter = 0;
+  for (const v of setA) if (setB.has(v)) inter++;
+  return inter / (setA.size + setB.size - inter);
+}
+
+/**
+ * Maximal marginal relevance over the pool.
+ * @param {Array<Object>} nodes - candidates, best first
+ * @param {number} k
+ * @param {{lambda:number, similarity:string}} settings - lambda in [0, 1] (1 = score only)
+ * @param {Object} [context] - { eventSimilarity, taxonomy, picked: nodes already shown above these }
+ * @returns {Array<Object>} k nodes in pick order
+ */
+function selectMmr(nodes, k, settings, context = {}) {
+  const { lambda, similarity } = settings;
+  const all = nodes.concat(context.picked || []);
+
+  const catSets = new Map();
+  if (similarity !== 'eventSimilarity' && !context.taxonomy) {
+    for (const n of all) catSets.set(n.id, new Set(categoriesOf(n)));
+  }
+
+  // Links between pool members only
+  const links = new Map();
+  if (similarity !== 'categories' && context.eventSimilarity) {
+    const ids = new Set(all.map(n => n.id));
+    for (const n of all) {
+      const listed = context.eventSimilarity[n.id];
+      if (!Array.isArray(listed)) continue;
+      for (const other of listed) {
+        if (!ids.has(other) || other === n.id) continue;
+        if (!links.has(n.id)) links.set(n.id, new Set());
+        if (!links.has(other)) links.set(other, new Set());
+        links.get(n.id).add(other);
+        links.get(other).add(n.id);
+      }
+    }
+  }
+
+  const sim = (a, b) => {
+    const linked = links.has(a.id) && links.get(a.id).has(b.id) ? 1 : 0;
+    if (similarity === 'eventSimilarity') return linked;
+    const overlap = context.taxonomy
+      ? context.taxonomy.setSimilarity(categoriesOf(a), categoriesOf(b))
+      : categoryJaccard(catSets.get(a.id), catSets.get(b.id));
+    return similarity === 'both' ? Math.max(overlap, linked) : overlap;
+  };
+  return greedySelect(nodes, k, n => lambda * n.score, 1 - lambda, sim, context.picked || []);
+}
+
+/** ==========
+ * Geo spread
+ * ===========*/
+
+/**
+ * Spread results geographically.
+ * @param {Array<Object>} nodes - candidates, best first
+ * @param {number} k
+ * @param {{spreadKm:number, strength:number}} settings
+ * @param {Object} context - { locationOf(event), distanceKm(a, b), picked }
+ * @returns {Array<Object>} k nodes in pick order (events without a location are never penalized)
+ */
+function selectGeoSpread(nodes, k, settings, context) {
+  const { spreadKm, strength } = settings;
+  const locations = new Map();
+  for (const n of nodes.concat(context.picked || [])) locations.set(n.id, context.locationOf(n.event));
+
+  const proximity = (a, b) => {
+    const la = locations.get(a.id);
+    const lb = locations.get(b.id);
+    if (!la || !lb) return 0;
+    return Math.exp(-context.distanceKm(la, lb) / spreadKm);
+  };
+  return greedySelect(nodes, k, n => n.score, strength, proximity, context.picked || []);
+}
+
+/** =======
+ * Novelty
+ * ========*/
+
+/**
+ * Trade some score for less popular (long-tail) events.
+ * @param {Array<Object>} nodes - candidates, best first
+ * @param {number} k
+ * @param {{weight:number}} settings
+ * @returns {Array<Object>} top k by score + weight * (1 - popularity)
+ */
+function selectNovelty(nodes, k, settings) {
+  const value = n => n.score + settings.weight * (1 - n.popularity);
+  return nodes
+    .map((node, i) => ({ node, i, v: value(node) }))
+    .sort((a, b) => b.v - a.v || a.i - b.i)
+    .slice(0, k)
+    .map(x => x.node);
+}
+
+/** ========
+ * Dispatch
+ * =========*/
+
+/**
+ * Run the configured diversity strategy.
+ * @param {Array<Object>} nodes - candidate pool, best first
+ * @param {number} k - how many to pick
+ * @param {Object} settings - resolved options.diversity (see app.js resolveDiversity)
+ * @param {Object} context - { eventSimilarity, locationOf, distanceKm, initialCounts (categories
+ *   already shown), picked (nodes already placed above these: pinned, or shown on earlier pages),
+ *   taxonomy (optional) }; novelty scores each node alone and uses none of it
+ * @returns {Array<Object>} up to k nodes in final order
+ */
+function diversify(nodes, k, settings, context) {
+  switch (settings.strategy) {
+    case 'mmr':
+      return selectMmr(nodes, k, settings.mmr, context);
+    case 'geo':
+      return selectGeoSpread(nodes, k, settings.geo, context);
+    case 'novelty':
+      return selectNovelty(nodes, k, settings.novelty);
+    default:
+      return rerankWithCategoryDiversity(
+        nodes, settings.alpha, settings.perCategoryCap, context.initialCounts, settings.capPenalty, context.taxonomy).slice(0, k);
+  }
+}
+
+module.exports = {
+  STRATEGIES,
+  MMR_SIMILARITIES,
+  diversify,
+  rerankWithCategoryDiversity,
+  selectMmr,
+  selectGeoSpread,
+  selectNovelty,
+};
@@ -0,0 +1,283 @@
+/**
+ * Offline evaluation harness
+ * ------------------------------------------------------
+ * Leave-some-out protocol:
+ *  1. For each user with enough history, hold out a seeded random fraction of attendedEvents.
+ *  2. Recommend k events from the remaining history.
+ *  3. Score the list against the held-out events.
+ *
+ * Metrics (binary relevance: an event is relevant if it was held out):
+ *  - precision@k, recall@k, NDCG@k and MAP (average precision@k), averaged over users
+ *  - catalog coverage: distinct recommended events / catalog size
+ *  - intra-list diversity: mean pairwise (1 - Jaccard) between recommended events' categories
+ *
+ * Two option sets (per-call CONFIG overrides, see resolveOptions) can be compared on the
+ * same split, so weight changes are judged on identical users and held-out events.
+ *
+ * Usage:
+ *   node src/evaluate.js --data event_recommendation_data.json [--k 10] [--holdout 0.2]
+ *     [--users 1000] [--seed 42] [--config a.json] [--compare b.json] [--collaborative] [--json]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+const { jaccard } = require('./app');
+const { createRecommender } = require('./recommender');
+const { buildCoAttendanceModel } = require('./collaborative');
+const { createRandom, shuffle } = require('./random');
+
+/** =========
+ * Splitting
+ * ==========*/
+
+/**
+ * Hold out part of each user's history.
+ * @param {Array<Object>} users
+ * @param {Object} [settings]
+ * @param {number} [settings.holdoutFraction=0.2] - share of attendedEvents held out (at least one)
+ * @param {number} [settings.minHistory=2] - users with fewer distinct attended events are skipped
+ * @param {number} [settings.maxUsers=Infinity] - evaluate a seeded random sample of this size
+ * @param {number} [settings.seed=42]
+ * @returns {Array<{user:Object, heldOut:Set<string>}>} users carry only the remaining history
+ */
+function splitHoldout(users, settings = {}) {
+  const { holdoutFraction = 0.2, minHistory = 2, maxUsers = Infinity, seed = 42 } = settings;
+  if (!(holdoutFraction > 0 && holdoutFraction < 1)) {
+    throw new RangeError(`holdoutFraction must be between 0 and 1 (got ${holdoutFraction})`);
+  }
+  if (maxUsers !== Infinity && !(Number.isInteger(maxUsers) && maxUsers >= 1)) {
+    throw new RangeError(`maxUsers must be a positive integer (got ${maxUsers})`);
+  }
+  if (!Number.isInteger(seed)) throw new RangeError(`seed must be an integer (got ${seed})`);
+  const random = createRandom(seed);
+
+  let eligible = users.filter(u => u && Array.isArray(u.attendedEvents) && new Set(u.attendedEvents).size >= minHistory);
+  if (eligible.length > maxUsers) eligible = shuffle(eligible, random).slice(0, maxUsers);
+
+  return eligible.map(user => {
+    const history = shuffle(Array.from(new Set(user.attendedEvents)), random);
+    const count = Math.max(1, Math.floor(history.length * holdoutFraction));
+    return {
+      user: { ...user, attendedEvents: history.slice(count) },
+      heldOut: new Set(history.slice(0, count)),
+    };
+  });
+}
+
+/** =======
+ * Metrics
+ * ========*/
+function precisionAtK(ids, relevant, k) {
+  let hits = 0;
+  for (const id of ids.slice(0, k)) if (relevant.has(id)) hits++;
+  return k > 0 ? hits / k : 0;
+}
+
+function recallAtK(ids, relevant, k) {
+  if (relevant.size === 0) return 0;
+  let hits = 0;
+  for (const id of ids.slice(0, k)) if (relevant.has(id)) hits++;
+  return hits / relevant.size;
+}
+
+function ndcgAtK(ids, relevant, k) {
+  let dcg = 0;
+  ids.slice(0, k).forEach((id, i) => {
+    if (relevant.has(id)) dcg += 1 / Math.log2(i + 2);
+  });
+  let idcg = 0;
+  for (let i = 0; i < Math.min(k, relevant.size); i++) idcg += 1 / Math.log2(i + 2);
+  return idcg > 0 ? dcg / idcg : 0;
+}
+
+function averagePrecisionAtK(ids, relevant, k) {
+  let hits = 0;
+  let sum = 0;
+  ids.slice(0, k).forEach((id, i) => {
+    if (relevant.has(id)) {
+      hits++;
+      sum += hits / (i + 1);
+    }
+  });
+  const denom = Math.min(k, relevant.size);
+  return denom > 0 ? sum / denom : 0;
+}
+
+function intraListDiversity(events) {
+  let pairs = 0;
+  let sum = 0;
+  for (let i = 0; i < events.length; i++) {
+    for (let j = i + 1; j < events.length; j++) {
+      sum += 1 - jaccard(events[i].categories, events[j].categories);
+      pairs++;
+    }
+  }
+  return pairs > 0 ? sum / pairs : 0;
+}
+
+/** ==========
+ * Evaluation
+ * ===========*/
+
+/**
+ * Evaluate one option set on a prepared split.
+ * @param {Object} recommender - from createRecommender
+ * @param {Array<{user:Object, heldOut:Set<string>}>} split - from splitHoldout
+ * @param {number} catalogSize
+ * @param {Object} [options] - ranking options passed to every request
+ * @param {number} [k=10]
+ * @returns {{users:number, k:number, precision:number, recall:number, ndcg:number, map:number,
+ *   coverage:number, diversity:number}}
+ */
+function evaluateSplit(recommender, split, catalogSize, options = {}, k = 10) {
+  const totals = { precision: 0, recall: 0, ndcg: 0, map: 0, diversity: 0 };
+  const recommended = new Set();
+
+  for (const { user, heldOut } of split) {
+    const events = recommender.recommend(user, k, options);
+    const ids = events.map(e => e.id);
+    for (const id of ids) recommended.add(id);
+
+    totals.precision += precisionAtK(ids, heldOut, k);
+    totals.recall += recallAtK(ids, heldOut, k);
+    totals.ndcg += ndcgAtK(ids, heldOut, k);
+    totals.map += averagePrecisionAtK(ids, heldOut, k);
+    totals.diversity += intraListDiversity(events);
+  }
+
+  const n = split.length || 1;
+  return {
+    users: split.length,
+    k,
+    precision: totals.precision / n,
+    recall: totals.recall / n,
+    ndcg: totals.ndcg / n,
+    map: totals.map / n,
+    coverage: catalogSize > 0 ? recommended.size / catalogSize : 0,
+    diversity: totals.diversity / n,
+  };
+}
+
+/**
+ * Split a dataset and evaluate one or more option sets on the same split.
+ * @param {Object} dataset - { users, events, eventSimilarity }
+ * @param {Object<string, Object>} configs - label -> ranking options
+ * @param {Object} [settings] - splitHoldout settings plus:
+ * @param {number} [settings.k=10]
+ * @param {boolean} [settings.collaborative=false] - train a co-attendance model on the
+ *   remaining histories (never on held-out events) and pass it to every config
+ * @returns {Object<string, Object>} label -> metrics from evaluateSplit
+ * @throws {RangeError} on a bad k, holdoutFraction, maxUsers or seed
+ */
+function evaluate(dataset, configs, settings = {}) {
+  const { k = 10 } = settings;
+  if (!Number.isInteger(k) || k < 1) throw new RangeError(`k must be a positive integer (got ${k})`);
+  const split = splitHoldout(dataset.users, settings);
+  const recommender = createRecommender(dataset.events, dataset.eventSimilarity);
+
+  let collaborative;
+  if (settings.collaborative) {
+    // Train on what the engine is allowed to see: split users' remaining history plus everyone else
+    const testIds = new Set(split.map(s => s.user.id));
+    const training = dataset.users.filter(u => !testIds.has(u.id)).concat(split.map(s => s.user));
+    collaborative = buildCoAttendanceModel(training);
+  }
+
+  const results = {};
+  for (const [label, options] of Object.entries(configs)) {
+    const withModel = collaborative ? { collaborative, ...options } : options;
+    results[label] = evaluateSplit(recommender, split, dataset.events.length, withModel, k);
+  }
+  return results;
+}
+
+/** =====
+ * CLI
+ * ======*/
+const METRIC_KEYS = ['precision', 'recall', 'ndcg', 'map', 'coverage', 'diversity'];
+
+function formatTable(results) {
+  const labels = Object.keys(results);
+  const k = results[labels[0]].k;
+  const header = ['metric', ...labels];
+  if (labels.length === 2) header.push('delta');
+
+  const rows = METRIC_KEYS.map(key => {
+    const name = ['precision', 'recall', 'ndcg'].includes(key) ? `${key}@${k}` : key;
+    const values = labels.map(l => results[l][key]);
+    const row = [name, ...values.map(v => v.toFixed(4))];
+    if (labels.length === 2) {
+      const delta = values[1] - values[0];
+      row.push(`${delta >= 0 ? '+' : ''}${delta.toFixed(4)}`);
+    }
+    return row;
+  });
+
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const line = cells => cells.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(header), line(widths.map(w => '-'.repeat(w))), ...rows.map(line)].join('\n');
+}
+
+function readOptions(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      data: { type: 'string', default: 'event_recommendation_data.json' },
+      k: { type: 'string', default: '10' },
+      holdout: { type: 'string', default: '0.2' },
+      users: { type: 'string' },
+      seed: { type: 'string', default: '42' },
+      config: { type: 'string' },
+      compare: { type: 'string' },
+      collaborative: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+    },
+  });
+
+  const dataset = JSON.parse(fs.readFileSync(values.data, 'utf8'));
+  // Configs are keyed by label (the file name), so comparing a file with itself would drop one
+  const label = values.config || 'default';
+  if (values.compare === label) throw new RangeError(`--compare must differ from --config (both ${label})`);
+  const configs = { [label]: values.config ? readOptions(values.config) : {} };
+  if (values.compare) configs[values.compare] = readOptions(values.compare);
+
+  console.time('Evaluation');
+  const results = evaluate(dataset, configs, {
+    k: Number(values.k),
+    holdoutFraction: Number(values.holdout),
+    maxUsers: values.users === undefined ? Infinity : Number(values.users),
+    seed: Number(values.seed),
+    collaborative: values.collaborative,
+  });
+  console.timeEnd('Evaluation');
+
+  if (values.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    const first = results[Object.keys(results)[0]];
+    console.log(`\nEvaluated ${first.users} users, k=${first.k}, holdout=${values.holdout}, seed=${values.seed}\n`);
+    console.log(formatTable(results));
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  splitHoldout,
+  precisionAtK,
+  recallAtK,
+  ndcgAtK,
+  averagePrecisionAtK,
+  intraListDiversity,
+  evaluateSplit,
+  evaluate,
+};
@@ -0,0 +1,408 @@
+/**
+ * Exposure fairness: tracking, reporting and a minimum-exposure re-rank
+ * ------------------------------------------------------
+ * Popularity is a fixed share of every score and the cold-start prior sums popularity by
+ * category, so already-popular events (and categories) fill most lists. This module measures
+ * and corrects that:
+ *  - createExposureTracker records the lists users were shown. An impression at rank r adds
+ *    1 / log2(r + 1) to the event (the NDCG discount; 1 with positionWeighting 'uniform').
+ *    With halfLifeDays, exposure fades over time, so one tracker can follow a live service.
+ *  - exposureReport summarizes how exposure is spread over a catalog: the Gini coefficient over
+ *    events and over categories (0 = perfectly even, toward 1 = a few get everything), catalog
+ *    coverage and the long-tail share (exposure of events at or below longTailPopularity).
+ *  - applyMinExposure is the re-rank behind options.fairness (see app.js resolveOptions): each
+ *    list keeps minSlots slots for protected events (popularity <= longTailPopularity, or
+ *    tracked exposure below minExposure, which covers new events). Missing ones are promoted,
+ *    best score first, into the lowest-ranked unprotected slots.
+ *
+ * Usage (report over a batch.js output file, JSONL or CSV):
+ *   node src/fairness.js --data event_recommendation_data.json --recommendations recommendations.jsonl
+ *     [--long-tail 0.3] [--top 10] [--json]
+ *
+ * Time complexity: O(k) per recorded list of k, O(n log n) for a report over n events, and
+ * O(k) per list for the re-rank (the engine keeps the best minSlots protected events in a heap).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+const { toTimestamp } = require('./time');
+
+const TRACKER_VERSION = 1;
+const POSITION_WEIGHTINGS = ['log', 'uniform'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// options.fairness defaults (see app.js resolveFairness)
+const FAIRNESS_DEFAULTS = {
+  // Slots per result list kept for protected events (when any pass the filters)
+  minSlots: 1,
+  // Events at or below this popularity are protected (null: none by popularity alone)
+  longTailPopularity: 0.3,
+  // With a tracker (fairness.exposure), events below this tracked exposure are protected too
+  minExposure: null,
+};
+
+const REPORT_DEFAULTS = {
+  // Events at or below this popularity make up the long tail
+  longTailPopularity: FAIRNESS_DEFAULTS.longTailPopularity,
+  // Most exposed events listed in the report
+  top: 10,
+};
+
+/** ================
+ * Exposure tracker
+ * =================*/
+
+function requireTime(value, path) {
+  const t = toTimestamp(value);
+  if (Number.isNaN(t)) throw new TypeError(`${path} must be a Date, epoch milliseconds or a date string (got ${JSON.stringify(value)})`);
+  return t;
+}
+
+/**
+ * Track how much exposure each event gets across the lists users are shown.
+ * @param {Object} [settings]
+ * @param {string} [settings.positionWeighting='log'] - 'log' (1 / log2(rank + 1)) or 'uniform' (1)
+ * @param {?number} [settings.halfLifeDays=null] - exposure halves every halfLifeDays (null: never)
+ * @param {Object} [state] - a tracker's toJSON(), to continue from (see loadExposure)
+ * @returns {{
+ *   record: function(Array<Object>, (Date|number|string)=): void,
+ *   exposureOf: function(string, (Date|number|string)=): number,
+ *   snapshot: function((Date|number|string)=): Map<string,number>,
+ *   lists: number,
+ *   toJSON: function(): Object
+ * }}
+ * @throws {TypeError|RangeError} on invalid settings
+ */
+function createExposureTracker(settings = {}, state = null) {
+  if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new TypeError('settings must be an object');
+  }
+  const { positionWeighting = 'log', halfLifeDays = null } = settings;
+  if (!POSITION_WEIGHTINGS.includes(positionWeighting)) {
+    throw new RangeError(`settings.positionWeighting must be one of ${POSITION_WEIGHTINGS.join(', ')} (got ${positionWeighting})`);
+  }
+  if (halfLifeDays !== null) {
+    if (typeof halfLifeDays !== 'number') throw new TypeError(`settings.halfLifeDays must be a number or null (got ${typeof halfLifeDays})`);
+    if (!(halfLifeDays > 0)) throw new RangeError(`settings.halfLifeDays must be greater than 0 (got ${halfLifeDays})`);
+  }
+  const halfLifeMs = halfLifeDays === null ? null : halfLifeDays * DAY_MS;
+
+  const exposure = new Map(); // eventId -> { value, at } (value as of time at)
+  let lists = 0;
+  let clock = null; // latest recording time
+  if (state) {
+    lists = state.lists;
+    clock = state.clock;
+    for (const [id, [value, at]] of Object.entries(state.exposure)) exposure.set(id, { value, at });
+  }
+
+  const decay = elapsedMs => (halfLifeMs === null || elapsedMs <= 0 ? 1 : Math.pow(0.5, elapsedMs / halfLifeMs));
+  const weightAt = rank => (positionWeighting === 'uniform' ? 1 : 1 / Math.log2(rank + 1));
+
+  /**
+   * Record one list as shown. Ranks come from explain records when present (so later pages
+   * count less), else from the position in the list.
+   * @param {Array<Object>} results - events or explain records, best first
+   * @param {Date|number|string} [at=Date.now()] - when the list was shown
+   */
+  function record(results, at = Date.now()) {
+    if (!Array.isArray(results)) throw new TypeError('results must be an array of events or explain records');
+    const t = requireTime(at, 'at');
+    results.forEach((r, i) => {
+      const ev = r && r.event ? r.event : r;
+      if (!ev || typeof ev.id !== 'string') return;
+      const w = weightAt(r.event && typeof r.rank === 'number' ? r.rank : i + 1);
+      const entry = exposure.get(ev.id);
+      if (!entry) exposure.set(ev.id, { value: w, at: t });
+      else if (t >= entry.at) exposure.set(ev.id, { value: entry.value * decay(t - entry.at) + w, at: t });
+      else entry.value += w * decay(entry.at - t); // recorded out of order
+    });
+    lists++;
+    if (clock === null || t > clock) clock = t;
+  }
+
+  /**
+   * Exposure of one event.
+   * @param {string} eventId
+   * @param {?(Date|number|string)} [at] - decay up to this time (default: the latest recording)
+   * @returns {number}
+   */
+  function exposureOf(eventId, at = null) {
+    const entry = exposure.get(eventId);
+    if (!entry) return 0;
+    const t = at === null ? clock : requireTime(at, 'at');
+    return entry.value * decay(t - entry.at);
+  }
+
+  /**
+   * Exposure of every event seen so far.
+   * @param {?(Date|number|string)} [at] - as for exposureOf
+   * @returns {Map<string,number>}
+   */
+  function snapshot(at = null) {
+    const out = new Map();
+    for (const id of exposure.keys()) out.set(id, exposureOf(id, at));
+    return out;
+  }
+
+  function toJSON() {
+    const entries = {};
+    for (const [id, { value, at }] of exposure) entries[id] = [value, at];
+    return { version: TRACKER_VERSION, settings: { positionWeighting, halfLifeDays }, lists, clock, exposure: entries };
+  }
+
+  return {
+    record,
+    exposureOf,
+    snapshot,
+    get lists() { return lists; },
+    toJSON,
+  };
+}
+
+/**
+ * Write a tracker to disk as JSON.
+ * @param {Object} tracker - from createExposureTracker
+ * @param {string} filePath
+ */
+function saveExposure(tracker, filePath) {
+  fs.writeFileSync(filePath, JSON.stringify(tracker.toJSON()));
+}
+
+/**
+ * Read a tracker written by saveExposure; it keeps recording where it left off.
+ * @param {string} filePath
+ * @returns {Object} tracker
+ */
+function loadExposure(filePath) {
+  const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!state || state.version !== TRACKER_VERSION || typeof state.exposure !== 'object' || state.exposure === null) {
+    throw new Error(`${filePath} is not an exposure tracker (version ${TRACKER_VERSION})`);
+  }
+  return createExposureTracker(state.settings, state);
+}
+
+/** =========
+ * Reporting
+ * ==========*/
+
+/**
+ * Gini coefficient of non-negative values: 0 when all are equal, (n - 1) / n when one value
+ * holds everything.
+ * @param {Iterable<number>} values
+ * @returns {number}
+ */
+function gini(values) {
+  const sorted = Float64Array.from(values).sort();
+  const n = sorted.length;
+  let total = 0;
+  let weighted = 0;
+  for (let i = 0; i < n; i++) {
+    total += sorted[i];
+    weighted += (i + 1) * sorted[i];
+  }
+  if (n === 0 || total <= 0) return 0;
+  return (2 * weighted) / (n * total) - (n + 1) / n;
+}
+
+/**
+ * Summarize how exposure is spread over a catalog. Events that were never shown count as 0,
+ * and an event's exposure is split evenly between its categories.
+ * @param {Object|Map<string,number>} exposure - a tracker, or eventId -> exposure
+ * @param {Array<Object>} events - the catalog
+ * @param {Object} [settings]
+ * @param {number} [settings.longTailPopularity=0.3] - in [0, 1]
+ * @param {number} [settings.top=10] - most exposed events to list
+ * @param {Date|number|string} [settings.at] - decay a tracker's exposure up to this time
+ * @returns {{lists:?number, totalExposure:number,
+ *   events:{count:number, exposed:number, coverage:number, gini:number, longTailShare:number,
+ *     longTailCatalogShare:number, top:Array<{eventId:string, popularity:number, exposure:number, share:number}>},
+ *   categories:{count:number, gini:number, shares:Array<{category:string, exposure:number, share:number}>}}}
+ *   shares are of totalExposure; longTailCatalogShare is the long tail's share of the catalog
+ *   (what longTailShare would be if exposure were even)
+ * @throws {TypeError|RangeError} on invalid settings
+ */
+function exposureReport(exposure, events, settings = {}) {
+  const { longTailPopularity, top } = { ...REPORT_DEFAULTS, ...settings };
+  if (typeof longTailPopularity !== 'number' || !(longTailPopularity >= 0 && longTailPopularity <= 1)) {
+    throw new RangeError(`settings.longTailPopularity must be in [0, 1] (got ${longTailPopularity})`);
+  }
+  if (!Number.isInteger(top) || top < 0) throw new RangeError(`settings.top must be a non-negative integer (got ${top})`);
+  const tracked = exposure instanceof Map ? exposure : exposure.snapshot(settings.at === undefined ? null : settings.at);
+
+  const perEvent = [];
+  const byCategory = new Map();
+  let total = 0;
+  let longTail = 0;
+  let longTailEvents = 0;
+  for (const ev of Array.isArray(events) ? events : []) {
+    if (!ev || typeof ev.id !== 'string') continue;
+    const value = tracked.get(ev.id) || 0;
+    const popularity = typeof ev.popularity === 'number' ? Math.max(0, Math.min(1, ev.popularity)) : 0;
+    perEvent.push({ eventId: ev.id, popularity, exposure: value });
+    total += value;
+    if (popularity <= longTailPopularity) {
+      longTail += value;
+      longTailEvents++;
+    }
+    const categories = Array.isArray(ev.categories) ? Array.from(new Set(ev.categories)) : [];
+    for (const c of categories) byCategory.set(c, (byCategory.get(c) || 0) + value / categories.length);
+  }
+
+  const share = value => (total > 0 ? value / total : 0);
+  const exposed = perEvent.filter(e => e.exposure > 0).length;
+  const topEvents = perEvent
+    .filter(e => e.exposure > 0)
+    .sort((a, b) => b.exposure - a.exposure || (a.eventId < b.eventId ? -1 : 1))
+    .slice(0, top)
+    .map(e => ({ ...e, share: share(e.exposure) }));
+  const categoryShares = Array.from(byCategory, ([category, value]) => ({ category, exposure: value, share: share(value) }))
+    .sort((a, b) => b.exposure - a.exposure || (a.category < b.category ? -1 : 1));
+
+  return {
+    lists: exposure instanceof Map ? null : exposure.lists,
+    totalExposure: total,
+    events: {
+      count: perEvent.length,
+      exposed,
+      coverage: perEvent.length > 0 ? exposed / perEvent.length : 0,
+      gini: gini(perEvent.map(e => e.exposure)),
+      longTailShare: share(longTail),
+      longTailCatalogShare: perEvent.length > 0 ? longTailEvents / perEvent.length : 0,
+      top: topEvents,
+    },
+    categories: {
+      count: categoryShares.length,
+      gini: gini(categoryShares.map(c => c.exposure)),
+      shares: categoryShares,
+    },
+  };
+}
+
+/** ====================
+ * Minimum-exposure re-rank
+ * =====================*/
+
+/**
+ * Whether an event gets a protected slot under options.fairness.
+ * @param {Object} fairness - resolved options.fairness (see app.js resolveFairness)
+ * @param {{id:string, popularity:number}} node - heap node (popularity clamped to [0, 1])
+ * @param {?number} now - reference time for a decaying tracker (null: its latest recording)
+ * @returns {boolean}
+ */
+function isProtected(fairness, node, now) {
+  if (fairness.longTailPopularity !== null && node.popularity <= fairness.longTailPopularity) return true;
+  return fairness.minExposure !== null && fairness.exposure.exposureOf(node.id, now) < fairness.minExposure;
+}
+
+/**
+ * Make sure a result list holds at least minSlots protected events (nodes marked protected).
+ * Missing ones are taken from candidates, best first, and replace the lowest-ranked
+ * unprotected nodes, keeping their own order at the bottom of the list.
+ * @param {Array<Object>} picked - final nodes, best first
+ * @param {Array<Object>} candidates - protected nodes, best first (may overlap picked)
+ * @param {number} minSlots
+ * @param {number} [fixed=0] - leading nodes that keep their slots (pinned events)
+ * @returns {Array<Object>} the list, same length; promoted nodes are copies with promoted: true
+ */
+function applyMinExposure(picked, candidates, minSlots, fixed = 0) {
+  let missing = Math.min(minSlots, picked.length) - picked.filter(n => n.protected).length;
+  if (missing <= 0) return picked;
+
+  const shown = new Set(picked.map(n => n.id));
+  const replaceable = [];
+  for (let i = picked.length - 1; i >= fixed && replaceable.length < missing; i--) {
+    if (!picked[i].protected) replaceable.push(i);
+  }
+  missing = Math.min(missing, replaceable.length);
+  const promoted = candidates.filter(n => !shown.has(n.id)).slice(0, missing);
+  if (promoted.length === 0) return picked;
+
+  const dropped = new Set(replaceable.slice(0, promoted.length));
+  return picked.filter((n, i) => !dropped.has(i)).concat(promoted.map(n => ({ ...n, promoted: true })));
+}
+
+/** =====
+ * CLI
+ * ======*/
+
+// Rank lists from a batch.js output file: userId -> [eventId, ...] in rank order
+function readBatchOutput(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line !== '');
+  const lists = new Map();
+  if (filePath.endsWith('.csv')) {
+    for (const line of lines.slice(1)) {
+      // userId,rank,eventId,score; ids with commas are quoted
+      const fields = line.match(/("([^"]|"")*"|[^,]*)(,|$)/g).map(f => f.replace(/,$/, '').replace(/^"|"$/g, '').replace(/""/g, '"'));
+      const [userId, rank, eventId] = fields;
+      if (!lists.has(userId)) lists.set(userId, []);
+      lists.get(userId)[Number(rank) - 1] = eventId;
+    }
+  } else {
+    for (const line of lines) {
+      const { userId, recommendations } = JSON.parse(line);
+      lists.set(userId, recommendations.map(r => r.eventId));
+    }
+  }
+  return lists;
+}
+
+function formatReport(report, longTailPopularity) {
+  const pct = x => `${(x * 100).toFixed(1)}%`;
+  const { events, categories } = report;
+  const out = [
+    `Lists: ${report.lists}, total exposure ${report.totalExposure.toFixed(2)}`,
+    `Events shown: ${events.exposed} of ${events.count} (${pct(events.coverage)})`,
+    `Event exposure Gini: ${events.gini.toFixed(4)}`,
+    `Long tail (popularity <= ${longTailPopularity}): ${pct(events.longTailShare)} of exposure, ${pct(events.longTailCatalogShare)} of the catalog`,
+    `Category exposure Gini: ${categories.gini.toFixed(4)}`,
+    '',
+    'Most exposed events:',
+    ...events.top.map(e => `  ${e.eventId.padEnd(14)} ${pct(e.share).padStart(6)}  popularity ${e.popularity.toFixed(2)}`),
+    '',
+    'Category shares:',
+    ...categories.shares.map(c => `  ${c.category.padEnd(14)} ${pct(c.share).padStart(6)}`),
+  ];
+  return out.join('\n');
+}
+
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      data: { type: 'string', default: 'event_recommendation_data.json' },
+      recommendations: { type: 'string', default: 'recommendations.jsonl' },
+      'long-tail': { type: 'string', default: String(REPORT_DEFAULTS.longTailPopularity) },
+      top: { type: 'string', default: String(REPORT_DEFAULTS.top) },
+      json: { type: 'boolean', default: false },
+    },
+  });
+
+  const { events } = JSON.parse(fs.readFileSync(values.data, 'utf8'));
+  const tracker = createExposureTracker();
+  for (const ids of readBatchOutput(values.recommendations).values()) {
+    tracker.record(ids.map(id => ({ id })));
+  }
+  const longTailPopularity = Number(values['long-tail']);
+  const report = exposureReport(tracker, events, { longTailPopularity, top: Number(values.top) });
+  console.log(values.json ? JSON.stringify(report, null, 2) : formatReport(report, longTailPopularity));
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  FAIRNESS_DEFAULTS,
+  REPORT_DEFAULTS,
+  createExposureTracker,
+  saveExposure,
+  loadExposure,
+  gini,
+  exposureReport,
+  isProtected,
+  applyMinExposure,
+};
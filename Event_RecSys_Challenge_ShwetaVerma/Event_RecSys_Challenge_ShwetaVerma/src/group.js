@@ -0,0 +1,268 @@
+/**
+ * Group recommendations ("plan with friends")
+ * ------------------------------------------------------
+ * Recommends events for several users attending together:
+ *  1. Each member's relevance is scored with the single-user engine (all signals except geo,
+ *     with their own preferences, history, interactions, dismissals and options.filters).
+ *  2. Only events every member could be recommended are kept: anything a member attended
+ *     or RSVPed to is excluded for the whole group.
+ *  3. Member relevance is aggregated with the group strategy:
+ *       average       mean of the members' scores
+ *       leastMisery   the lowest member score (nobody is unhappy)
+ *       mostPleasure  the highest member score (somebody is thrilled)
+ *  4. Proximity is measured to the group: each member's distance is to their best applicable
+ *     location (see locations.js), combined as the largest ('minimax': nobody travels far) or
+ *     the mean ('average') distance, then decayed with options.distanceDecayKm.
+ *  5. score = (1 - geoWeight) * aggregated relevance + geoWeight * group proximity, and the
+ *     diversity stage (options.diversity) picks the final list. With options.fairness, the
+ *     group list (not each member's) keeps its slots for protected events (see fairness.js).
+ * Members without any location do not count toward the group distance; when no member has
+ * one, proximity is left out (geoWeight 0).
+ *
+ * Events are scored in one pass: each candidate is scored once per member (see app.js
+ * startRanking's score) and only the group top-k is kept, never a member's full ranking.
+ *
+ * Time complexity: O(m * n + n log k) for m members over n events, plus the diversity stage;
+ * memory O(k). With a radius limit and an indexed catalog, n is the smallest member's candidates.
+ */
+
+'use strict';
+
+const { resolveOptions, startRanking, createArrayCatalog, calculateDistance, heapOffer, byRank } = require('./app');
+const { diversify } = require('./diversity');
+const { isProtected, applyMinExposure } = require('./fairness');
+const { resolveUserLocations } = require('./locations');
+
+const GROUP_STRATEGIES = ['average', 'leastMisery', 'mostPleasure'];
+const GROUP_DISTANCES = ['minimax', 'average'];
+
+const GROUP_DEFAULTS = {
+  strategy: 'average',
+  distance: 'minimax',
+  // Share of the final score that comes from group proximity.
+  geoWeight: 0.2,
+};
+
+/** ===========
+ * Group options
+ * ============*/
+
+/**
+ * Merge options.group over the defaults and validate it.
+ * @param {Object} [group]
+ * @returns {{strategy:string, distance:string, geoWeight:number}}
+ * @throws {TypeError|RangeError}
+ */
+function resolveGroupSettings(group) {
+  const out = { ...GROUP_DEFAULTS };
+  if (group === undefined || group === null) return out;
+  if (typeof group !== 'object' || Array.isArray(group)) throw new TypeError('options.group must be an object');
+  if (group.strategy !== undefined) {
+    if (!GROUP_STRATEGIES.includes(group.strategy)) {
+      throw new RangeError(`options.group.strategy must be one of ${GROUP_STRATEGIES.join(', ')} (got ${group.strategy})`);
+    }
+    out.strategy = group.strategy;
+  }
+  if (group.distance !== undefined) {
+    if (!GROUP_DISTANCES.includes(group.distance)) {
+      throw new RangeError(`options.group.distance must be one of ${GROUP_DISTANCES.join(', ')} (got ${group.distance})`);
+    }
+    out.distance = group.distance;
+  }
+  if (group.geoWeight !== undefined) {
+    if (typeof group.geoWeight !== 'number') {
+      throw new TypeError(`options.group.geoWeight must be a number (got ${typeof group.geoWeight})`);
+    }
+    if (!(group.geoWeight >= 0 && group.geoWeight <= 1)) {
+      throw new RangeError(`options.group.geoWeight must be in [0, 1] (got ${group.geoWeight})`);
+    }
+    out.geoWeight = group.geoWeight;
+  }
+  return out;
+}
+
+function aggregate(scores, strategy) {
+  if (strategy === 'leastMisery') return Math.min(...scores);
+  if (strategy === 'mostPleasure') return Math.max(...scores);
+  return scores.reduce((s, v) => s + v, 0) / scores.length;
+}
+
+function memberKey(user, i) {
+  return user && typeof user.id === 'string' && user.id !== '' ? user.id : `members[${i}]`;
+}
+
+/** ==============
+ * Group ranking
+ * ===============*/
+
+/**
+ * Rank events for a group over a catalog (see app.js createArrayCatalog).
+ * @param {Array<Object>} users - the members
+ * @param {Object} catalog
+ * @param {Object<string,string[]>} eventSimilarity
+ * @param {number} limit
+ * @param {Object} [options] - ranking options (see getGroupRecommendations)
+ * @returns {Array<Object>}
+ */
+function rankGroup(users, catalog, eventSimilarity, limit, options = {}) {
+  if (!Array.isArray(users)) throw new TypeError('users must be an array of users');
+  if (users.length === 0) throw new RangeError('users must contain at least one user');
+  if (options == null) options = {};
+  if (options.boost !== undefined && options.boost !== null) {
+    throw new RangeError('options.boost is not supported for group recommendations');
+  }
+  const cfg = resolveOptions(options);
+  const group = resolveGroupSettings(options.group);
+
+  const k = Math.min(Math.max(0, limit | 0), catalog.size);
+  if (k === 0) return [];
+
+  // Relevance per member, geo left to the group stage: each member's ranking only scores
+  const memberOptions = {
+    ...options,
+    explain: false,
+    weights: { ...options.weights, geo: 0 },
+    diversity: { enabled: false },
+    fairness: null,
+  };
+  const memberCfg = resolveOptions(memberOptions);
+  const members = users.map((user, i) => ({
+    key: memberKey(user, i),
+    located: Boolean(user) && resolveUserLocations(user, cfg.distanceDecayKm).length > 0,
+    ranking: startRanking(user, catalog, eventSimilarity, k, memberCfg, memberOptions),
+  }));
+  if (members.some(m => !m.ranking)) return [];
+
+  // Every member must accept an event, so the smallest candidate set covers the group's. Strict
+  // mode scans the whole catalog, so every member sees every id for its reference checks.
+  let candidates = catalog.events;
+  let candidateCount = catalog.size;
+  if (!cfg.strict) {
+    for (const m of members) {
+      const narrowed = m.ranking.candidates;
+      if (Array.isArray(narrowed) && narrowed.length < candidateCount) {
+        candidates = narrowed;
+        candidateCount = narrowed.length;
+      }
+    }
+  }
+
+  const located = members.filter(m => m.located);
+  const geoWeight = located.length > 0 ? group.geoWeight : 0;
+  const explain = Boolean(options.explain);
+
+  // Events every member can go to, scored for the group
+  const pool = cfg.diversity.enabled ? Math.max(k, Math.ceil(k * cfg.diversity.poolFactor)) : k;
+  const heap = [];
+  const fairness = cfg.fairness;
+  const fairHeap = [];
+  for (const ev of candidates) {
+    // Every member scores the event (in strict mode, every member validates it too)
+    const scored = new Map();
+    let eligible = true;
+    for (const m of members) {
+      const node = m.ranking.score(ev);
+      if (node) {
+        scored.set(m, node);
+      } else {
+        eligible = false;
+        if (!cfg.strict) break;
+      }
+    }
+    if (!eligible) continue;
+
+    const id = ev.id;
+    const scores = members.map(m => scored.get(m).score);
+    const relevance = aggregate(scores, group.strategy);
+
+    let distanceKm = Infinity;
+    if (located.length > 0) {
+      const distances = located.map(m => scored.get(m).distance);
+      distanceKm = group.distance === 'minimax'
+        ? Math.max(...distances)
+        : distances.reduce((s, d) => s + d, 0) / distances.length;
+    }
+    const proximity = Number.isFinite(distanceKm) ? Math.exp(-distanceKm / cfg.distanceDecayKm) : 0;
+
+    const node = {
+      score: (1 - geoWeight) * relevance + geoWeight * proximity,
+      distance: distanceKm,
+      popularity: typeof ev.popularity === 'number' ? Math.max(0, Math.min(1, ev.popularity)) : 0,
+      id,
+      event: ev,
+    };
+    if (explain) {
+      node.relevance = relevance;
+      node.proximity = proximity;
+      node.memberScores = Object.fromEntries(members.map((m, i) => [m.key, scores[i]]));
+      node.memberDistancesKm = Object.fromEntries(located.map(m => {
+        const d = scored.get(m).distance;
+        return [m.key, Number.isFinite(d) ? d : null];
+      }));
+    }
+    if (fairness && isProtected(fairness, node, cfg.now)) {
+      node.protected = true;
+      heapOffer(fairHeap, node, Math.min(fairness.minSlots, k));
+    }
+    heapOffer(heap, node, pool);
+  }
+  // Strict reference checks (each member's ranking has kept nothing, so this only validates)
+  if (cfg.strict) for (const m of members) m.ranking.finish();
+
+  const nodes = heap.sort(byRank);
+  let picked = cfg.diversity.enabled && nodes.length > 1
+    ? diversify(nodes, k, cfg.diversity, {
+      eventSimilarity,
+      locationOf: ev => catalog.locationOf(ev),
+      distanceKm: calculateDistance,
+      initialCounts: new Map(),
+      picked: [],
+      taxonomy: cfg.taxonomy,
+    })
+    : nodes.slice(0, k);
+  if (fairHeap.length > 0) picked = applyMinExposure(picked, fairHeap.sort(byRank), fairness.minSlots);
+
+  if (!explain) return picked.map(n => n.event);
+  return picked.map((n, i) => ({
+    event: n.event,
+    score: n.score,
+    relevance: n.relevance,
+    proximity: n.proximity,
+    distanceKm: Number.isFinite(n.distance) ? n.distance : null,
+    memberScores: n.memberScores,
+    memberDistancesKm: n.memberDistancesKm,
+    promoted: n.promoted === true,
+    rank: i + 1,
+  }));
+}
+
+/**
+ * Recommend events for a group of users attending together.
+ * @param {Array<Object>} users - members (same format as getRecommendedEvents' user)
+ * @param {Array<Object>} events
+ * @param {Object<string,string[]>} eventSimilarity
+ * @param {number} [limit=5]
+ * @param {Object} [options] - ranking options as for getRecommendedEvents (applied to every
+ *   member; boost is not supported), plus:
+ * @param {Object} [options.group]
+ * @param {string} [options.group.strategy='average'] - 'average', 'leastMisery' or 'mostPleasure'
+ * @param {string} [options.group.distance='minimax'] - 'minimax' or 'average' member distance
+ * @param {number} [options.group.geoWeight=0.2] - share of the score from group proximity, in [0, 1]
+ * @param {boolean} [options.explain=false] - return records { event, score, relevance,
+ *   proximity, distanceKm (group distance, null when unknown), memberScores (member id ->
+ *   relevance), memberDistancesKm (located member id -> km or null), promoted (brought in by
+ *   options.fairness), rank }
+ * @returns {Array<Object>} events, best for the group first
+ * @throws {TypeError|RangeError} on an empty or non-array users, or invalid options
+ */
+function getGroupRecommendations(users, events, eventSimilarity, limit = 5, options = {}) {
+  return rankGroup(users, createArrayCatalog(Array.isArray(events) ? events : []), eventSimilarity, limit, options);
+}
+
+module.exports = {
+  GROUP_STRATEGIES,
+  GROUP_DISTANCES,
+  getGroupRecommendations,
+  rankGroup,
+  resolveGroupSettings,
+};
@@ -0,0 +1,96 @@
+/**
+ * Implicit feedback from user.interactions
+ * ------------------------------------------------------
+ * A user may carry typed, timestamped interactions:
+ *   interactions: [{ eventId: "event_7", type: "click", timestamp: "2024-05-01T18:00:00Z" }, ...]
+ *
+ * Each type has a weight (see CONFIG.interactions.typeWeights in app.js), decayed by age with a
+ * half-life measured from the reference "now". Without a "now" nothing decays. Per event, the
+ * decayed weights are summed and capped at 1:
+ *  - positive types (view, click, rsvp, attend): events at or above similarityThreshold count
+ *    as history sources for the content-similarity signal, like attendedEvents
+ *  - dismiss: the event is demoted, and so are the events its eventSimilarity entry lists
+ *  - rsvp and attend also mark the event as taken, so it is skipped like an attended event
+ *
+ * Time complexity: O(I) to summarize I interactions, O(D * S) to spread D dismissals to their
+ * S similar events.
+ */
+
+'use strict';
+
+const { toTimestamp } = require('./time');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INTERACTION_TYPES = ['view', 'click', 'rsvp', 'attend', 'dismiss'];
+const COMMITTED_TYPES = new Set(['rsvp', 'attend']);
+
+/**
+ * Decay factor for an interaction of the given age.
+ * @param {number} timestamp - epoch ms (NaN when unknown: no decay)
+ * @param {?number} now - epoch ms, or null for no decay
+ * @param {number} halfLifeDays - Infinity for no decay
+ * @returns {number} in (0, 1]
+ */
+function decayFactor(timestamp, now, halfLifeDays) {
+  if (now === null || Number.isNaN(timestamp) || !Number.isFinite(halfLifeDays)) return 1;
+  const ageDays = Math.max(0, now - timestamp) / DAY_MS; // future timestamps count as fresh
+  return Math.pow(0.5, ageDays / halfLifeDays);
+}
+
+/**
+ * Aggregate a user's interactions per event.
+ * Malformed entries (unknown type, missing eventId) are skipped.
+ *
+ * @param {Array<{eventId:string, type:string, timestamp:*}>} interactions
+ * @param {{typeWeights:Object<string,number>, halfLifeDays:number}} settings
+ * @param {?number} now - epoch ms, or null for no decay
+ * @returns {{positive:Map<string,number>, dismissed:Map<string,number>, committed:Set<string>}}
+ *   positive and dismissed map eventId -> decayed weight in (0, 1]
+ */
+function summarizeInteractions(interactions, settings, now) {
+  const positive = new Map();
+  const dismissed = new Map();
+  const committed = new Set();
+  if (!Array.isArray(interactions)) return { positive, dismissed, committed };
+
+  for (const it of interactions) {
+    if (!it || typeof it.eventId !== 'string' || !INTERACTION_TYPES.includes(it.type)) continue;
+    const weight = settings.typeWeights[it.type] * decayFactor(toTimestamp(it.timestamp), now, settings.halfLifeDays);
+    if (COMMITTED_TYPES.has(it.type)) committed.add(it.eventId);
+    if (weight <= 0) continue;
+    const target = it.type === 'dismiss' ? dismissed : positive;
+    target.set(it.eventId, Math.min(1, (target.get(it.eventId) || 0) + weight));
+  }
+  return { positive, dismissed, committed };
+}
+
+/**
+ * Spread dismissals to the dismissed events and their similar events.
+ * An event keeps its strongest demotion.
+ *
+ * @param {Map<string,number>} dismissed - eventId -> weight, from summarizeInteractions
+ * @param {Object<string,string[]>} eventSimilarity
+ * @param {number} neighborShare - share of the demotion applied to similar events, in [0, 1]
+ * @returns {Map<string,{demotion:number, via:string}>} demotion in (0, 1]; via is the dismissed event
+ */
+function buildDemotions(dismissed, eventSimilarity, neighborShare) {
+  const demotions = new Map();
+  const offer = (id, demotion, via) => {
+    const current = demotions.get(id);
+    if (demotion > 0 && (!current || demotion > current.demotion)) demotions.set(id, { demotion, via });
+  };
+  for (const [id, weight] of dismissed) {
+    offer(id, weight, id);
+    const similar = eventSimilarity ? eventSimilarity[id] : undefined;
+    if (!Array.isArray(similar)) continue;
+    for (const sid of similar) offer(sid, weight * neighborShare, id);
+  }
+  return demotions;
+}
+
+module.exports = {
+  INTERACTION_TYPES,
+  summarizeInteractions,
+  buildDemotions,
+};
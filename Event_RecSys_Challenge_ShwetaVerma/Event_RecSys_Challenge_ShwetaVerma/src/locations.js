@@ -0,0 +1,110 @@
+/**
+ * Multi-location users
+ * ------------------------------------------------------
+ * Besides user.location, a user may carry named locations, optionally limited to a time window
+ * (e.g. a trip) and with their own distance decay:
+ *   distanceDecayKm: 5,                 // this user's decay (walkable); default CONFIG.distanceDecayKm
+ *   locations: [
+ *     { name: "work", location: { lat: 40.75, lng: -73.99 } },
+ *     { name: "lisbon-trip", location: { lat: 38.72, lng: -9.14 },
+ *       from: "2024-07-01", to: "2024-07-08", distanceDecayKm: 50 },
+ *   ]
+ * user.location, when valid, is the location named "primary" (no window, the user's decay).
+ *
+ * A windowed location applies to an event when the event's time overlaps [from, to); events
+ * without a start time only match locations without a window. Each event is matched to the
+ * applicable location with the highest proximity exp(-km / decayKm); the geo signal scores that
+ * proximity and explain names the location. Hard geo cutoffs and the radius filter (without a
+ * radiusCenter) use the nearest applicable location.
+ *
+ * Time complexity: O(L) per event for L user locations (a handful).
+ */
+
+'use strict';
+
+const { toTimestamp, overlapsWindow } = require('./time');
+
+const PRIMARY_LOCATION = 'primary';
+
+function isPoint(loc) {
+  return Boolean(loc) &&
+    typeof loc.lat === 'number' && Number.isFinite(loc.lat) &&
+    typeof loc.lng === 'number' && Number.isFinite(loc.lng);
+}
+
+function isDecay(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Collect a user's usable locations.
+ * Malformed entries (no valid point, unparseable or inverted window) are skipped.
+ *
+ * @param {Object} user
+ * @param {number} defaultDecayKm - used unless the user or the location sets distanceDecayKm
+ * @returns {Array<{name:string, point:{lat:number, lng:number}, from:number, to:number,
+ *   decayKm:number}>} from/to are epoch ms (-Infinity / Infinity when open)
+ */
+function resolveUserLocations(user, defaultDecayKm) {
+  const userDecayKm = isDecay(user.distanceDecayKm) ? user.distanceDecayKm : defaultDecayKm;
+  const out = [];
+  if (isPoint(user.location)) {
+    out.push({ name: PRIMARY_LOCATION, point: user.location, from: -Infinity, to: Infinity, decayKm: userDecayKm });
+  }
+  if (!Array.isArray(user.locations)) return out;
+
+  user.locations.forEach((entry, i) => {
+    if (!entry || !isPoint(entry.location)) return;
+    const from = entry.from === undefined ? -Infinity : toTimestamp(entry.from);
+    const to = entry.to === undefined ? Infinity : toTimestamp(entry.to);
+    if (Number.isNaN(from) || Number.isNaN(to) || from >= to) return;
+    out.push({
+      name: typeof entry.name === 'string' && entry.name !== '' ? entry.name : `locations[${i}]`,
+      point: entry.location,
+      from,
+      to,
+      decayKm: isDecay(entry.distanceDecayKm) ? entry.distanceDecayKm : userDecayKm,
+    });
+  });
+  return out;
+}
+
+/** Whether any location only applies during a time window (events then need their times). */
+function hasTimeWindows(locations) {
+  return locations.some(loc => loc.from !== -Infinity || loc.to !== Infinity);
+}
+
+function appliesTo(loc, interval) {
+  if (loc.from === -Infinity && loc.to === Infinity) return true;
+  return interval !== null && overlapsWindow(interval, loc);
+}
+
+/**
+ * Match an event to the user's best applicable location.
+ * @param {Array<Object>} locations - from resolveUserLocations
+ * @param {{lat:number, lng:number}} evLocation
+ * @param {?{start:number, end:number}} interval - the event's times (see time.js)
+ * @param {function(Object, Object): number} distanceKm - e.g. calculateDistance
+ * @returns {?{location:Object, distanceKm:number, proximity:number, nearestKm:number}} null when
+ *   no location applies; ties go to the location listed first
+ */
+function matchLocation(locations, evLocation, interval, distanceKm) {
+  let best = null;
+  let nearestKm = Infinity;
+  for (const loc of locations) {
+    if (!appliesTo(loc, interval)) continue;
+    const km = distanceKm(loc.point, evLocation);
+    const proximity = Math.exp(-km / loc.decayKm);
+    if (km < nearestKm) nearestKm = km;
+    if (!best || proximity > best.proximity) best = { location: loc, distanceKm: km, proximity };
+  }
+  if (best) best.nearestKm = nearestKm;
+  return best;
+}
+
+module.exports = {
+  PRIMARY_LOCATION,
+  resolveUserLocations,
+  hasTimeWindows,
+  matchLocation,
+};
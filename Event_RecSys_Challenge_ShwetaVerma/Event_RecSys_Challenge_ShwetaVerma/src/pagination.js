@@ -0,0 +1,131 @@
+/**
+ * Cursor pagination for recommendations ("load more")
+ * ------------------------------------------------------
+ * Asking for a bigger limit and dropping the first page does not work: the diversity
+ * re-rank reorders the larger window, so results jump between pages. Instead, each page
+ * continues the ranking where the previous one stopped:
+ *  - events already shown are excluded from scoring
+ *  - the diversity re-rank starts from what was already shown: category counts for the
+ *    category strategy, the shown events themselves for mmr and geo (novelty needs neither)
+ *  - the reference time ("now") stays the first page's, so scores and past-event exclusion do
+ *    not shift between pages
+ *
+ * The cursor is opaque to callers (base64url JSON). It carries the shown event ids, category
+ * counts and now, so the same cursor always yields the same next page, and no event is ever
+ * shown twice. Its size grows with the number of events shown.
+ *
+ * Time complexity per page: O(n log k) for the scan plus O(k^2) for the re-rank, as for
+ * a single call, where k = pageSize; mmr and geo add O(k * s) for s events already shown.
+ */
+
+'use strict';
+
+const { resolveOptions, rankEvents, createArrayCatalog, DatasetValidationError } = require('./app');
+
+const CURSOR_VERSION = 2;
+
+/** =======
+ * Cursors
+ * ========*/
+function encodeCursor(state) {
+  const payload = {
+    v: CURSOR_VERSION,
+    shown: state.shown,
+    cats: Object.fromEntries(state.categoryCounts),
+    now: state.now,
+  };
+  return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (cursor === undefined || cursor === null) return null;
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new RangeError('Invalid cursor');
+  }
+  if (
+    !payload || payload.v !== CURSOR_VERSION ||
+    !Array.isArray(payload.shown) || !payload.shown.every(id => typeof id === 'string') ||
+    !payload.cats || typeof payload.cats !== 'object' ||
+    !Object.values(payload.cats).every(n => Number.isInteger(n) && n > 0) ||
+    !(payload.now === null || Number.isFinite(payload.now))
+  ) {
+    throw new RangeError('Invalid cursor');
+  }
+  return { shown: payload.shown, categoryCounts: new Map(Object.entries(payload.cats)), now: payload.now };
+}
+
+/** ==================
+ * Page over a catalog
+ * ===================*/
+
+/**
+ * Rank one page for a user over a catalog (see app.js createArrayCatalog).
+ * @param {Object} user
+ * @param {Object} catalog
+ * @param {Object<string,string[]>} eventSimilarity
+ * @param {{pageSize?:number, cursor?:(string|null)}} paging
+ * @param {Object} options - ranking options (same as getRecommendedEvents)
+ * @returns {{items:Array<Object>, nextCursor:(string|null)}}
+ */
+function rankPage(user, catalog, eventSimilarity, paging, options) {
+  const { pageSize = 10, cursor = null } = paging || {};
+  if (!Number.isInteger(pageSize) || pageSize <= 0) {
+    throw new RangeError(`pageSize must be a positive integer (got ${pageSize})`);
+  }
+  // Later pages rank at the first page's now, whatever the caller passes
+  const state = decodeCursor(cursor) || { shown: [], categoryCounts: new Map(), now: undefined };
+  if (state.now !== undefined) options = { ...options, now: state.now };
+  const cfg = resolveOptions(options);
+
+  const items = rankEvents(user, catalog, eventSimilarity, pageSize, cfg, options, {
+    exclude: new Set(state.shown),
+    categoryCounts: state.categoryCounts,
+    rankOffset: state.shown.length,
+  });
+
+  // A short page means nothing is left to rank
+  if (items.length < pageSize) return { items, nextCursor: null };
+
+  const shown = state.shown.slice();
+  const categoryCounts = new Map(state.categoryCounts);
+  for (const item of items) {
+    const ev = options && options.explain ? item.event : item;
+    shown.push(ev.id);
+    for (const c of Array.isArray(ev.categories) ? ev.categories : []) {
+      categoryCounts.set(c, (categoryCounts.get(c) || 0) + 1);
+    }
+  }
+  return { items, nextCursor: encodeCursor({ shown, categoryCounts, now: cfg.now }) };
+}
+
+/**
+ * Recommend one page of events for a user.
+ * Pass the returned nextCursor back to get the following page; it is null once the
+ * ranking is exhausted.
+ *
+ * @param {Object} user
+ * @param {Array<Object>} events
+ * @param {Object<string,string[]>} eventSimilarity
+ * @param {Object} [paging]
+ * @param {number} [paging.pageSize=10]
+ * @param {?string} [paging.cursor] - nextCursor from the previous page (omit for the first page)
+ * @param {Object} [options] - ranking options, same as getRecommendedEvents; keep them
+ *   identical across the pages of one listing (options.now is taken from the cursor)
+ * @returns {{items:Array<Object>, nextCursor:(string|null)}}
+ * @throws {RangeError} on an invalid pageSize or cursor
+ * @throws {DatasetValidationError} in strict mode, on malformed input
+ */
+function getRecommendationPage(user, events, eventSimilarity, paging = {}, options = {}) {
+  if (options && options.strict && !Array.isArray(events)) {
+    throw new DatasetValidationError('Invalid events: events must be an array', [{ path: 'events', message: 'must be an array' }]);
+  }
+  return rankPage(user, createArrayCatalog(Array.isArray(events) ? events : []), eventSimilarity, paging, options);
+}
+
+module.exports = {
+  getRecommendationPage,
+  rankPage,
+};
@@ -0,0 +1,67 @@
+/**
+ * Seeded randomness shared by the data generator and the evaluation harness
+ * ------------------------------------------------------
+ * mulberry32: a small 32-bit generator, fast and good enough for sampling.
+ * The same seed always yields the same sequence.
+ */
+
+'use strict';
+
+/**
+ * @param {number} seed - any integer (only the low 32 bits are used)
+ * @returns {function(): number} uniform numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher–Yates shuffle into a new array.
+ * @param {Array} array
+ * @param {function(): number} random
+ * @returns {Array}
+ */
+function shuffle(array, random) {
+  const out = array.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    const t = out[i]; out[i] = out[j]; out[j] = t;
+  }
+  return out;
+}
+
+/**
+ * Pick count distinct elements uniformly at random, in random order.
+ * O(count) for small samples of large arrays (no copy of the array).
+ * @param {Array} array
+ * @param {number} count
+ * @param {function(): number} random
+ * @returns {Array}
+ */
+function sample(array, count, random) {
+  const n = array.length;
+  if (count >= n) return shuffle(array, random);
+  if (count * 2 > n) return shuffle(array, random).slice(0, count);
+  const picked = new Set();
+  const out = [];
+  while (out.length < count) {
+    const i = Math.floor(random() * n);
+    if (picked.has(i)) continue;
+    picked.add(i);
+    out.push(array[i]);
+  }
+  return out;
+}
+
+module.exports = {
+  createRandom,
+  shuffle,
+  sample,
+};
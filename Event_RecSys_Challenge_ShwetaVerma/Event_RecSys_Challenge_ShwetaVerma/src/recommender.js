@@ -0,0 +1,247 @@
+/**
+ * Precomputed recommender over one event catalog
+ * ------------------------------------------------------
+ * getRecommendedEvents rebuilds everything it needs on each call. When many users
+ * are served against the same catalog, createRecommender builds that state once:
+ *  - id → event map (insertion ordered, so scans stay deterministic)
+ *  - normalized event locations (validated, longitude wrapped to [-180, 180))
+ *  - the cold-start category-popularity prior
+ *  - a spatial grid index, so radius-limited requests (hardGeoCutoffKm) only score
+ *    events inside the radius, and eventsWithin(point, km) can be answered directly
+ *
+ * Catalog changes are applied incrementally:
+ *  - addEvent / updateEvent / removeEvent: O(c) for the prior tally, c ≤ 3 categories
+ *  - the prior's normalizer (max over events) is recomputed lazily, O(n), and only
+ *    the next time a cold-start user actually needs it
+ *  - priors over a taxonomy (options.taxonomy) are rebuilt lazily, O(n), after a change
+ */
+
+'use strict';
+
+const { resolveOptions, rankEvents, normalizeLocation, buildCategoryPrior } = require('./app');
+const { createSpatialIndex } = require('./spatial-index');
+const { rankPage } = require('./pagination');
+const { rankGroup } = require('./group');
+const { rankSimilar, buildLinks } = require('./similar-events');
+
+/** =======
+ * Helpers
+ * ========*/
+function clampPopularity(ev) {
+  return typeof ev.popularity === 'number' ? Math.max(0, Math.min(1, ev.popularity)) : 0;
+}
+
+function categoriesOf(ev) {
+  return Array.isArray(ev.categories) ? ev.categories : [];
+}
+
+function requireEvent(event, action) {
+  if (!event || typeof event !== 'object' || !event.id) {
+    throw new TypeError(`${action}: event must be an object with an id`);
+  }
+}
+
+/** ======================
+ * Public factory function
+ * =======================*/
+
+/**
+ * Build a recommender that serves many users against one event catalog.
+ * @param {Array<Object>} events - initial event catalog
+ * @param {Object<string,string[]>} eventSimilarity - map from eventId -> similar eventIds[]
+ * @param {Object} [settings]
+ * @param {number} [settings.cellSizeDeg=1] - spatial index cell size in degrees
+ * @returns {{
+ *   recommend: function(Object, number=, Object=): Array<Object>,
+ *   recommendPage: function(Object, Object=, Object=): {items:Array<Object>, nextCursor:(string|null)},
+ *   recommendGroup: function(Array<Object>, number=, Object=): Array<Object>,
+ *   similarEvents: function(string, Object=): Array<Object>,
+ *   eventsWithin: function({lat:number, lng:number}, number): Array<{event:Object, distanceKm:number}>,
+ *   addEvent: function(Object): void,
+ *   updateEvent: function(Object): void,
+ *   removeEvent: function(string): boolean,
+ *   getEvent: function(string): (Object|undefined),
+ *   size: number
+ * }}
+ */
+function createRecommender(events = [], eventSimilarity = {}, settings = {}) {
+  const byId = new Map();      // eventId -> event
+  const locations = new Map(); // eventId -> normalized {lat, lng} or null
+  const unlocated = new Set(); // eventIds without a usable location
+  const spatial = createSpatialIndex({ cellSizeDeg: settings.cellSizeDeg });
+  const popByCat = new Map();  // category -> sum(popularity)
+  let maxPrior = 0;
+  let maxPriorDirty = true;
+  let version = 0;             // bumped on every catalog change
+  const taxonomyPriors = new WeakMap(); // taxonomy -> { version, prior }
+  let links = null;            // undirected similarity links, built on first similarEvents
+
+  function tally(ev, sign) {
+    const pop = clampPopularity(ev);
+    for (const c of categoriesOf(ev)) {
+      const next = (popByCat.get(c) || 0) + sign * pop;
+      // Drop categories that no longer have events, and float dust from subtraction
+      if (next <= 1e-12) popByCat.delete(c);
+      else popByCat.set(c, next);
+    }
+    maxPriorDirty = true;
+    version++;
+  }
+
+  function insert(ev) {
+    const location = normalizeLocation(ev.location);
+    byId.set(ev.id, ev);
+    locations.set(ev.id, location);
+    if (location) {
+      spatial.insert(ev.id, location, ev);
+      unlocated.delete(ev.id);
+    } else {
+      spatial.remove(ev.id);
+      unlocated.add(ev.id);
+    }
+    tally(ev, +1);
+  }
+
+  const catalog = {
+    get events() { return byId.values(); },
+    get size() { return byId.size; },
+    eventById(id) {
+      return byId.get(id);
+    },
+    locationOf(ev) {
+      return locations.has(ev.id) ? locations.get(ev.id) : normalizeLocation(ev.location);
+    },
+    categoryPrior(taxonomy = null) {
+      if (taxonomy) {
+        const cached = taxonomyPriors.get(taxonomy);
+        if (cached && cached.version === version) return cached.prior;
+        const prior = buildCategoryPrior(Array.from(byId.values()), taxonomy);
+        taxonomyPriors.set(taxonomy, { version, prior });
+        return prior;
+      }
+      if (maxPriorDirty) {
+        maxPrior = 0;
+        for (const ev of byId.values()) {
+          const sum = categoriesOf(ev).reduce((s, c) => s + (popByCat.get(c) || 0), 0);
+          if (sum > maxPrior) maxPrior = sum;
+        }
+        maxPriorDirty = false;
+      }
+      return { popByCat, maxPrior };
+    },
+    candidatesWithin(point, radiusKm) {
+      const out = spatial.within(point, radiusKm).map(hit => hit.item);
+      for (const id of unlocated) out.push(byId.get(id));
+      return out;
+    },
+  };
+
+  for (const ev of Array.isArray(events) ? events : []) {
+    if (!ev || !ev.id) continue; // same leniency as getRecommendedEvents
+    if (byId.has(ev.id)) tally(byId.get(ev.id), -1); // last duplicate wins
+    insert(ev);
+  }
+
+  return {
+    /**
+     * Recommend events for a user (same contract as getRecommendedEvents).
+     * @param {Object} user
+     * @param {number} [limit=5]
+     * @param {Object} [options]
+     * @returns {Array<Object>}
+     */
+    recommend(user, limit = 5, options = {}) {
+      const cfg = resolveOptions(options);
+      return rankEvents(user, catalog, eventSimilarity, limit, cfg, options);
+    },
+
+    /**
+     * One page of recommendations (same contract as getRecommendationPage).
+     * Cursors stay valid across catalog updates: shown events are still skipped, and
+     * events added since the previous page can appear on later pages.
+     * @param {Object} user
+     * @param {{pageSize?:number, cursor?:(string|null)}} [paging]
+     * @param {Object} [options]
+     * @returns {{items:Array<Object>, nextCursor:(string|null)}}
+     */
+    recommendPage(user, paging = {}, options = {}) {
+      return rankPage(user, catalog, eventSimilarity, paging, options);
+    },
+
+    /**
+     * Recommend events for a group (same contract as getGroupRecommendations). One pass scores
+     * each candidate once per member, O(m * n + n log k) for m members; with a radius limit
+     * the spatial index narrows the candidates first.
+     * @param {Array<Object>} users
+     * @param {number} [limit=5]
+     * @param {Object} [options]
+     * @returns {Array<Object>}
+     */
+    recommendGroup(users, limit = 5, options = {}) {
+      return rankGroup(users, catalog, eventSimilarity, limit, options);
+    },
+
+    /**
+     * Events similar to one event (same contract as getSimilarEvents).
+     * @param {string} eventId
+     * @param {Object} [options]
+     * @returns {Array<Object>}
+     */
+    similarEvents(eventId, options = {}) {
+      if (!links) links = buildLinks(eventSimilarity);
+      return rankSimilar(eventId, catalog, eventSimilarity, options, links);
+    },
+
+    /**
+     * Events within radiusKm of a point, nearest first.
+     * @param {{lat:number, lng:number}} point
+     * @param {number} radiusKm
+     * @returns {Array<{event:Object, distanceKm:number}>}
+     */
+    eventsWithin(point, radiusKm) {
+      return spatial.within(point, radiusKm)
+        .sort((a, b) => a.distanceKm - b.distanceKm || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+        .map(hit => ({ event: hit.item, distanceKm: hit.distanceKm }));
+    },
+
+    /** @param {Object} event - new event; throws if its id already exists */
+    addEvent(event) {
+      requireEvent(event, 'addEvent');
+      if (byId.has(event.id)) throw new Error(`addEvent: event ${event.id} already exists`);
+      insert(event);
+    },
+
+    /** @param {Object} event - replacement for the event with the same id; throws if unknown */
+    updateEvent(event) {
+      requireEvent(event, 'updateEvent');
+      const previous = byId.get(event.id);
+      if (!previous) throw new Error(`updateEvent: unknown event ${event.id}`);
+      tally(previous, -1);
+      insert(event);
+    },
+
+    /** @returns {boolean} whether an event was removed */
+    removeEvent(eventId) {
+      const previous = byId.get(eventId);
+      if (!previous) return false;
+      tally(previous, -1);
+      byId.delete(eventId);
+      locations.delete(eventId);
+      unlocated.delete(eventId);
+      spatial.remove(eventId);
+      return true;
+    },
+
+    getEvent(eventId) {
+      return byId.get(eventId);
+    },
+
+    get size() {
+      return byId.size;
+    },
+  };
+}
+
+module.exports = {
+  createRecommender,
+};
@@ -0,0 +1,358 @@
+/**
+ * HTTP recommendation service (Node core modules only)
+ * ------------------------------------------------------
+ * Loads the dataset once at startup, builds a recommender over its events and serves:
+ *  - GET  /users/:id/recommendations?limit=&lat=&lng=&explain=&now=&cursor=
+ *  - POST /recommendations   body: { user, limit?, options? }
+ *  - POST /groups/recommendations   body: { userIds: [...] or users: [...], limit?, options? }
+ *  - GET  /events/:id/similar?limit=&explain=&now=
+ *  - GET  /exposure?top=&longTail=
+ *
+ * Every response is JSON. Errors look like { "error": { "status": 404, "message": "..." } }.
+ * Recommendations rank at the service's "now" (past events are excluded) unless the request
+ * says otherwise: NOW if set, else the dataset's referenceTime (see data-generator.js), else the
+ * current time. Pages after the first keep the first page's now (it is in the cursor).
+ *
+ * Every recommendation list served (users, ad-hoc users, groups) is recorded in an exposure
+ * tracker (see fairness.js). /exposure reports on it, and options.fairness uses it for
+ * minExposure unless a request brings its own tracker.
+ *
+ * Usage:
+ *   PORT=3000 DATA_PATH=event_recommendation_data.json [CF_MODEL_PATH=cf_model.json]
+ *     [TAXONOMY_PATH=taxonomy.json] [FAIRNESS_PATH=fairness.json] [NOW=2024-06-01T00:00:00Z]
+ *     node src/server.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const { URL } = require('url');
+
+const { DatasetValidationError } = require('./app');
+const { createRecommender } = require('./recommender');
+const { loadModel } = require('./collaborative');
+const { loadTaxonomy } = require('./taxonomy');
+const { createExposureTracker, exposureReport } = require('./fairness');
+const { toTimestamp, datasetReferenceTime, allEventsEnded } = require('./time');
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 100;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/** ============
+ * HTTP helpers
+ * =============*/
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, payload) {
+  const body = JSON.stringify(payload);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+function sendError(res, status, message) {
+  sendJson(res, status, { error: { status, message } });
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on('data', chunk => {
+      if (tooLarge) return; // keep draining so the error response can still be written
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        tooLarge = true;
+        chunks.length = 0;
+        reject(new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (text.trim() === '') return reject(new HttpError(400, 'Request body must be a JSON object'));
+      try {
+        resolve(JSON.parse(text));
+      } catch (err) {
+        reject(new HttpError(400, `Invalid JSON body: ${err.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/** =====================
+ * Query parameter parsing
+ * ======================*/
+function parseLimit(raw) {
+  if (raw === null || raw === undefined) return DEFAULT_LIMIT;
+  const limit = Number(raw);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400, `limit must be an integer between 1 and ${MAX_LIMIT} (got ${raw})`);
+  }
+  return limit;
+}
+
+function parseLocation(latRaw, lngRaw) {
+  if (latRaw === null && lngRaw === null) return null;
+  if (latRaw === null || lngRaw === null) throw new HttpError(400, 'lat and lng must be given together');
+  const lat = Number(latRaw);
+  const lng = Number(lngRaw);
+  if (latRaw.trim() === '' || !Number.isFinite(lat) || lat < -90 || lat > 90) {
+    throw new HttpError(400, `lat must be a number between -90 and 90 (got ${latRaw})`);
+  }
+  if (lngRaw.trim() === '' || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+    throw new HttpError(400, `lng must be a number between -180 and 180 (got ${lngRaw})`);
+  }
+  return { lat, lng };
+}
+
+function parseBoolean(raw, name) {
+  if (raw === null) return false;
+  if (raw === 'true' || raw === '1') return true;
+  if (raw === 'false' || raw === '0') return false;
+  throw new HttpError(400, `${name} must be true or false (got ${raw})`);
+}
+
+/** ==========
+ * Handlers
+ * ===========*/
+// The service's reference time: fixed when configured, else the time of the request
+function nowOf(ctx) {
+  return ctx.now === null ? Date.now() : ctx.now;
+}
+
+function withDefaults(ctx, options) {
+  const out = { now: nowOf(ctx), taxonomy: ctx.taxonomy, fairness: ctx.fairness, ...options, collaborative: ctx.collaborative };
+  // Fairness decisions use the service's exposure unless the request brings a tracker
+  const fairness = out.fairness;
+  if (fairness !== null && typeof fairness === 'object' && !Array.isArray(fairness) && fairness.exposure === undefined) {
+    out.fairness = { ...fairness, exposure: ctx.exposure };
+  }
+  return out;
+}
+
+// Count a served list toward event exposure
+function served(ctx, results) {
+  ctx.exposure.record(results);
+  return results;
+}
+
+function clientErrors(fn) {
+  try {
+    return fn();
+  } catch (err) {
+    // Option and cursor validation errors (TypeError/RangeError) are the caller's fault, and so
+    // is data that fails a strict: true request
+    if (err instanceof TypeError || err instanceof RangeError || err instanceof DatasetValidationError) {
+      throw new HttpError(400, err.message);
+    }
+    throw err;
+  }
+}
+
+function recommend(ctx, user, limit, options) {
+  return served(ctx, clientErrors(() => ctx.recommender.recommend(user, limit, withDefaults(ctx, options))));
+}
+
+function getUserRecommendations(ctx, userId, query) {
+  const user = ctx.users.get(userId);
+  if (!user) throw new HttpError(404, `Unknown user ${userId}`);
+
+  const limit = parseLimit(query.get('limit'));
+  const location = parseLocation(query.get('lat'), query.get('lng'));
+  const explain = parseBoolean(query.get('explain'), 'explain');
+  const options = { explain };
+  if (query.get('now') !== null) options.now = query.get('now');
+
+  // Each response is one page; pass nextCursor back as ?cursor= to load more
+  const cursor = query.get('cursor');
+  const page = clientErrors(() => ctx.recommender.recommendPage(
+    location ? { ...user, location } : user, { pageSize: limit, cursor }, withDefaults(ctx, options)));
+  return { userId, recommendations: served(ctx, page.items), nextCursor: page.nextCursor };
+}
+
+function postRecommendations(ctx, body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+  const { user, limit = DEFAULT_LIMIT, options = {} } = body;
+  if (user === null || typeof user !== 'object' || Array.isArray(user)) {
+    throw new HttpError(400, 'body.user must be an object');
+  }
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw new HttpError(400, 'body.options must be an object');
+  }
+  const recommendations = recommend(ctx, user, parseLimit(limit), options);
+  return { userId: user.id === undefined ? null : user.id, recommendations };
+}
+
+function postGroupRecommendations(ctx, body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+  const { userIds, users, limit = DEFAULT_LIMIT, options = {} } = body;
+  if ((userIds === undefined) === (users === undefined)) {
+    throw new HttpError(400, 'body must have exactly one of userIds (known users) or users (user objects)');
+  }
+  let members;
+  if (userIds !== undefined) {
+    if (!Array.isArray(userIds) || userIds.length === 0 || !userIds.every(id => typeof id === 'string')) {
+      throw new HttpError(400, 'body.userIds must be a non-empty array of user ids');
+    }
+    members = userIds.map(id => {
+      const user = ctx.users.get(id);
+      if (!user) throw new HttpError(404, `Unknown user ${id}`);
+      return user;
+    });
+  } else {
+    if (!Array.isArray(users) || users.length === 0 || !users.every(u => u !== null && typeof u === 'object' && !Array.isArray(u))) {
+      throw new HttpError(400, 'body.users must be a non-empty array of user objects');
+    }
+    members = users;
+  }
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw new HttpError(400, 'body.options must be an object');
+  }
+  const recommendations = served(ctx,
+    clientErrors(() => ctx.recommender.recommendGroup(members, parseLimit(limit), withDefaults(ctx, options))));
+  return { userIds: members.map(u => (u.id === undefined ? null : u.id)), recommendations };
+}
+
+function getSimilarEvents(ctx, eventId, query) {
+  if (!ctx.recommender.getEvent(eventId)) throw new HttpError(404, `Unknown event ${eventId}`);
+  const options = {
+    limit: parseLimit(query.get('limit')),
+    explain: parseBoolean(query.get('explain'), 'explain'),
+    now: query.get('now') !== null ? query.get('now') : nowOf(ctx),
+    taxonomy: ctx.taxonomy,
+  };
+  const similar = clientErrors(() => ctx.recommender.similarEvents(eventId, options));
+  return { eventId, similar };
+}
+
+function getExposure(ctx, query) {
+  const settings = {};
+  if (query.get('top') !== null) {
+    settings.top = Number(query.get('top'));
+    if (!Number.isInteger(settings.top) || settings.top < 0 || settings.top > MAX_LIMIT) {
+      throw new HttpError(400, `top must be an integer between 0 and ${MAX_LIMIT} (got ${query.get('top')})`);
+    }
+  }
+  if (query.get('longTail') !== null) settings.longTailPopularity = Number(query.get('longTail'));
+  return clientErrors(() => exposureReport(ctx.exposure, ctx.events, settings));
+}
+
+/** ======
+ * Router
+ * =======*/
+const ROUTES = [
+  { method: 'GET', pattern: /^\/users\/([^/]+)\/recommendations$/, handler: (ctx, m, url) => getUserRecommendations(ctx, m[1], url.searchParams) },
+  { method: 'POST', pattern: /^\/recommendations$/, handler: async (ctx, m, url, req) => postRecommendations(ctx, await readJsonBody(req)) },
+  { method: 'POST', pattern: /^\/groups\/recommendations$/, handler: async (ctx, m, url, req) => postGroupRecommendations(ctx, await readJsonBody(req)) },
+  { method: 'GET', pattern: /^\/events\/([^/]+)\/similar$/, handler: (ctx, m, url) => getSimilarEvents(ctx, m[1], url.searchParams) },
+  { method: 'GET', pattern: /^\/exposure$/, handler: (ctx, m, url) => getExposure(ctx, url.searchParams) },
+];
+
+/**
+ * Create the HTTP server (not yet listening).
+ * @param {Object} dataset - { users, events, eventSimilarity, referenceTime? }
+ * @param {Object} [settings]
+ * @param {Date|number|string} [settings.now] - default reference time of every request
+ *   (default: the dataset's referenceTime, else the current time of each request)
+ * @param {Object} [settings.collaborative] - co-attendance model passed to every request
+ * @param {Object} [settings.taxonomy] - category taxonomy used unless a request brings its own
+ * @param {Object} [settings.fairness] - options.fairness used unless a request brings its own
+ * @param {Object} [settings.exposure] - exposure tracker (default: a new createExposureTracker())
+ * @returns {http.Server}
+ * @throws {TypeError} on an unparseable settings.now
+ */
+function createServer(dataset, settings = {}) {
+  let now = datasetReferenceTime(dataset);
+  if (settings.now !== undefined && settings.now !== null) {
+    now = toTimestamp(settings.now);
+    if (Number.isNaN(now)) throw new TypeError(`settings.now must be a Date, epoch milliseconds or a date string (got ${JSON.stringify(settings.now)})`);
+  }
+  const ctx = {
+    now,
+    users: new Map((dataset.users || []).map(u => [u.id, u])),
+    events: dataset.events || [],
+    recommender: createRecommender(dataset.events || [], dataset.eventSimilarity || {}),
+    collaborative: settings.collaborative || null,
+    taxonomy: settings.taxonomy || null,
+    fairness: settings.fairness || null,
+    exposure: settings.exposure || createExposureTracker(),
+  };
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let pathname;
+    try {
+      pathname = decodeURIComponent(url.pathname);
+    } catch (err) {
+      return sendError(res, 400, 'Malformed URL');
+    }
+
+    const matches = ROUTES.filter(r => r.pattern.test(pathname));
+    if (matches.length === 0) return sendError(res, 404, `No route for ${pathname}`);
+    const route = matches.find(r => r.method === req.method);
+    if (!route) {
+      res.setHeader('Allow', matches.map(r => r.method).join(', '));
+      return sendError(res, 405, `Method ${req.method} not allowed for ${pathname}`);
+    }
+
+    try {
+      const payload = await route.handler(ctx, pathname.match(route.pattern), url, req);
+      sendJson(res, 200, payload);
+    } catch (err) {
+      if (err instanceof HttpError) return sendError(res, err.status, err.message);
+      console.error(err);
+      sendError(res, 500, 'Internal server error');
+    }
+  });
+}
+
+function main() {
+  const port = Number(process.env.PORT || 3000);
+  const dataPath = process.env.DATA_PATH || 'event_recommendation_data.json';
+
+  console.time('Dataset load');
+  const dataset = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+  const collaborative = process.env.CF_MODEL_PATH ? loadModel(process.env.CF_MODEL_PATH) : null;
+  const taxonomy = process.env.TAXONOMY_PATH ? loadTaxonomy(process.env.TAXONOMY_PATH) : null;
+  const fairness = process.env.FAIRNESS_PATH ? JSON.parse(fs.readFileSync(process.env.FAIRNESS_PATH, 'utf8')) : null;
+  const server = createServer(dataset, { collaborative, taxonomy, fairness, now: process.env.NOW || null });
+  console.timeEnd('Dataset load');
+
+  const now = process.env.NOW ? toTimestamp(process.env.NOW) : datasetReferenceTime(dataset);
+  if (allEventsEnded(dataset.events || [], now === null ? Date.now() : now)) {
+    console.warn('Warning: every event has ended at the default now, so recommendations will be empty unless requests pass ?now= (set NOW to rank at another time)');
+  }
+
+  server.listen(port, () => {
+    console.log(`Loaded ${dataset.users.length} users and ${dataset.events.length} events from ${dataPath}`);
+    console.log(`Ranking at ${now === null ? 'the current time' : new Date(now).toISOString()} unless a request passes now`);
+    console.log(`Recommendation service listening on http://localhost:${port}`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createServer,
+};
@@ -0,0 +1,92 @@
+/**
+ * Scoring signal registry
+ * ------------------------------------------------------
+ * The combined score is a weighted average over the signals active for the user:
+ *   score = sum(weight_i * score_i(event)) / sum(weight_i)
+ * (plus the dismissal penalty and boosts, which sit outside the average).
+ *
+ * A signal is a plain object:
+ *   {
+ *     name: 'venueRating',            // key in options.weights and in explain contributions
+ *     defaultWeight: 0.1,             // used unless options.weights overrides it
+ *     prepare(request) {},            // optional: once per request; returns the signal's state
+ *     isActive(request, state) {},    // optional (default: active); false drops the signal and
+ *                                     //   its weight from the average for this user
+ *     score(event, facts, request, state) {}, // per event, in [0, 1] (clamped; NaN counts as 0)
+ *     explain(event, facts, request, state) {} // optional: extra fields for explain records
+ *   }
+ *
+ * request (one per ranking call, shared by every signal):
+ *   user, options (raw caller options, so signals can read their own), cfg (resolved options),
+ *   catalog (eventById, locationOf, categoryPrior), eventSimilarity,
+ *   prefs, attended, history (attended + strong positive interactions),
+ *   historyWeight (Map id -> weight), historyTotal, userLocations (see locations.js),
+ *   hasPrefs, hasHistory, hasGeo, coldStart
+ *
+ * facts (one per event, after the hard filters):
+ *   categories (array), popularity (clamped to [0, 1]), distanceKm (Infinity when unknown),
+ *   interval ({start, end} epoch ms when options.now or timeWindow is set or the user has
+ *   time-windowed locations, else null), matchedLocation (the user location the event was
+ *   matched to, {name, point, from, to, decayKm}, or null)
+ *
+ * Signals with weight 0 are skipped entirely (prepare is not called). The built-in signals
+ * (pref, sim, geo, pop, cold, collab, urgency) are registered by app.js and cannot be
+ * unregistered; set their weight to 0 instead.
+ */
+
+'use strict';
+
+const BUILT_IN_SIGNALS = ['pref', 'sim', 'geo', 'pop', 'cold', 'collab', 'urgency'];
+const RESERVED_NAMES = new Set(['dismiss', 'boost']); // other explain contributions
+
+const registry = new Map(); // name -> signal, in registration order
+
+/**
+ * Add a scoring signal for every later ranking call.
+ * @param {{name:string, defaultWeight:number, score:Function, prepare?:Function,
+ *   isActive?:Function, explain?:Function}} signal
+ * @throws {TypeError} on a malformed signal
+ * @throws {Error} when the name is taken
+ */
+function registerSignal(signal) {
+  if (signal === null || typeof signal !== 'object') throw new TypeError('signal must be an object');
+  const { name, defaultWeight } = signal;
+  if (typeof name !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(name)) {
+    throw new TypeError(`signal.name must be an identifier-like string (got ${JSON.stringify(name)})`);
+  }
+  if (RESERVED_NAMES.has(name)) throw new Error(`signal name ${name} is reserved`);
+  if (registry.has(name)) throw new Error(`signal ${name} is already registered`);
+  if (typeof defaultWeight !== 'number' || !Number.isFinite(defaultWeight) || defaultWeight < 0) {
+    throw new TypeError(`signal.defaultWeight must be a finite non-negative number (got ${defaultWeight})`);
+  }
+  if (typeof signal.score !== 'function') throw new TypeError('signal.score must be a function');
+  for (const hook of ['prepare', 'isActive', 'explain']) {
+    if (signal[hook] !== undefined && typeof signal[hook] !== 'function') {
+      throw new TypeError(`signal.${hook} must be a function when given`);
+    }
+  }
+  registry.set(name, Object.freeze({ ...signal }));
+}
+
+/**
+ * Remove a custom signal.
+ * @param {string} name
+ * @returns {boolean} whether a signal was removed
+ * @throws {Error} for built-in signals
+ */
+function unregisterSignal(name) {
+  if (BUILT_IN_SIGNALS.includes(name)) throw new Error(`built-in signal ${name} cannot be unregistered (set its weight to 0)`);
+  return registry.delete(name);
+}
+
+/** @returns {Array<Object>} registered signals, in registration order */
+function listSignals() {
+  return Array.from(registry.values());
+}
+
+module.exports = {
+  BUILT_IN_SIGNALS,
+  registerSignal,
+  unregisterSignal,
+  listSignals,
+};
@@ -0,0 +1,287 @@
+/**
+ * "More like this": event-to-event recommendations
+ * ------------------------------------------------------
+ * Ranks the events most similar to one source event (e.g. for an event detail page):
+ *   score = weighted mean of
+ *     link        1 for events listed in eventSimilarity next to the source, hopDecay^(h-1)
+ *                 for events h links away (links count in either direction)
+ *     category    Jaccard overlap of the categories (jaccard in app.js; with options.taxonomy,
+ *                 its soft Jaccard, so related categories partly overlap)
+ *     geo         exp(-km / distanceDecayKm) between the two events (calculateDistance)
+ *     popularity  the event's popularity in [0, 1]
+ * The graph is expanded one hop at a time, up to maxHops, only while fewer than limit events
+ * are linked: a long direct list stays direct, a short one borrows its neighbors' neighbors.
+ * As in the user ranking, a signal the source cannot support (no categories, no location)
+ * drops out of the mean instead of counting as 0.
+ *
+ * Every other event is scored into the top-k heap of app.js; the diversity stage
+ * (options.diversity) then picks the final list from the pool.
+ *
+ * Time complexity: O(L) to build the links over L similarity entries (once per
+ * createRecommender), O(links reached) to expand them, plus O(n log k) for n events.
+ */
+
+'use strict';
+
+const {
+  resolveOptions, createArrayCatalog, calculateDistance, jaccard, heapOffer, byRank,
+} = require('./app');
+const { diversify } = require('./diversity');
+const { eventInterval, hasEnded } = require('./time');
+
+const SIMILAR_DEFAULTS = {
+  limit: 5,
+  weights: { link: 0.4, category: 0.3, geo: 0.2, popularity: 0.1 },
+  // Expand the link graph up to this many hops away from the source
+  maxHops: 2,
+  // Link score multiplier per extra hop
+  hopDecay: 0.5,
+};
+
+/** ============
+ * Options
+ * =============*/
+
+/**
+ * Merge options over SIMILAR_DEFAULTS (and the engine's distanceDecayKm, diversity, now and
+ * taxonomy, see resolveOptions) and validate them.
+ * @param {Object} [options]
+ * @returns {{limit:number, weights:Object<string,number>, maxHops:number, hopDecay:number,
+ *   distanceDecayKm:number, diversity:Object, now:?number, taxonomy:?Object, explain:boolean}}
+ * @throws {TypeError|RangeError}
+ */
+function resolveSimilarOptions(options = {}) {
+  if (options == null) options = {};
+  if (typeof options !== 'object' || Array.isArray(options)) throw new TypeError('options must be an object');
+
+  const engine = {};
+  for (const key of ['distanceDecayKm', 'diversity', 'now', 'taxonomy']) {
+    if (options[key] !== undefined) engine[key] = options[key];
+  }
+  const cfg = resolveOptions(engine);
+  const out = {
+    ...SIMILAR_DEFAULTS,
+    weights: { ...SIMILAR_DEFAULTS.weights },
+    distanceDecayKm: cfg.distanceDecayKm,
+    diversity: cfg.diversity,
+    now: cfg.now,
+    taxonomy: cfg.taxonomy,
+    explain: Boolean(options.explain),
+  };
+
+  if (options.limit !== undefined) {
+    if (typeof options.limit !== 'number') throw new TypeError(`options.limit must be a number (got ${typeof options.limit})`);
+    if (!Number.isInteger(options.limit) || options.limit < 0) {
+      throw new RangeError(`options.limit must be a non-negative integer (got ${options.limit})`);
+    }
+    out.limit = options.limit;
+  }
+  if (options.weights !== undefined) {
+    if (options.weights === null || typeof options.weights !== 'object' || Array.isArray(options.weights)) {
+      throw new TypeError('options.weights must be an object');
+    }
+    for (const [key, value] of Object.entries(options.weights)) {
+      if (!(key in out.weights)) {
+        throw new RangeError(`options.weights.${key} is not a similarity signal (expected one of: ${Object.keys(out.weights).join(', ')})`);
+      }
+      if (typeof value !== 'number') throw new TypeError(`options.weights.${key} must be a number (got ${typeof value})`);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new RangeError(`options.weights.${key} must be a finite non-negative number (got ${value})`);
+      }
+      out.weights[key] = value;
+    }
+  }
+  if (options.maxHops !== undefined) {
+    if (typeof options.maxHops !== 'number') throw new TypeError(`options.maxHops must be a number (got ${typeof options.maxHops})`);
+    if (!Number.isInteger(options.maxHops) || options.maxHops < 1) {
+      throw new RangeError(`options.maxHops must be an integer of at least 1 (got ${options.maxHops})`);
+    }
+    out.maxHops = options.maxHops;
+  }
+  if (options.hopDecay !== undefined) {
+    if (typeof options.hopDecay !== 'number') throw new TypeError(`options.hopDecay must be a number (got ${typeof options.hopDecay})`);
+    if (!(options.hopDecay > 0 && options.hopDecay <= 1)) {
+      throw new RangeError(`options.hopDecay must be in (0, 1] (got ${options.hopDecay})`);
+    }
+    out.hopDecay = options.hopDecay;
+  }
+  return out;
+}
+
+/** ==============
+ * Link expansion
+ * ===============*/
+
+/**
+ * Undirected adjacency over the similarity lists (an entry links both ways).
+ * createRecommender builds it once; getSimilarEvents builds it per call.
+ * @param {Object<string,string[]>} eventSimilarity
+ * @returns {Map<string,Set<string>>}
+ */
+function buildLinks(eventSimilarity) {
+  const links = new Map();
+  const link = (a, b) => {
+    if (!links.has(a)) links.set(a, new Set());
+    links.get(a).add(b);
+  };
+  for (const [id, similar] of Object.entries(eventSimilarity || {})) {
+    if (!Array.isArray(similar)) continue;
+    for (const other of similar) {
+      if (typeof other !== 'string' || other === id) continue;
+      link(id, other);
+      link(other, id);
+    }
+  }
+  return links;
+}
+
+/**
+ * Hop distance from the source for linked events, breadth first.
+ * @param {string} sourceId
+ * @param {Map<string,Set<string>>} links - from buildLinks
+ * @param {number} wanted - stop expanding once this many events are linked
+ * @param {number} maxHops
+ * @returns {Map<string,number>} eventId -> hops (1 = listed next to the source)
+ */
+function expandLinks(sourceId, links, wanted, maxHops) {
+  const hops = new Map();
+  let frontier = [sourceId];
+  for (let hop = 1; hop <= maxHops && frontier.length > 0; hop++) {
+    if (hop > 1 && hops.size >= wanted) break;
+    const next = [];
+    for (const id of frontier) {
+      for (const other of links.get(id) || []) {
+        if (other === sourceId || hops.has(other)) continue;
+        hops.set(other, hop);
+        next.push(other);
+      }
+    }
+    frontier = next;
+  }
+  return hops;
+}
+
+/** ===========
+ * Ranking
+ * ============*/
+
+/**
+ * Rank the events most similar to one event over a catalog (see app.js createArrayCatalog).
+ * @param {string} eventId
+ * @param {Object} catalog
+ * @param {Object<string,string[]>} eventSimilarity
+ * @param {Object} [options] - see getSimilarEvents
+ * @param {Map<string,Set<string>>} [links] - buildLinks(eventSimilarity), when already built
+ * @returns {Array<Object>}
+ */
+function rankSimilar(eventId, catalog, eventSimilarity, options = {}, links = null) {
+  const cfg = resolveSimilarOptions(options);
+  const source = catalog.eventById(eventId);
+  const k = Math.min(cfg.limit, Math.max(0, catalog.size - 1));
+  if (!source || k === 0) return [];
+
+  const sourceCategories = Array.isArray(source.categories) ? source.categories : [];
+  const sourceLocation = catalog.locationOf(source);
+  const hops = expandLinks(eventId, links || buildLinks(eventSimilarity), k, cfg.maxHops);
+
+  // Signals the source can support, and the sum of their weights for normalization
+  const { weights, taxonomy } = cfg;
+  const categoryOverlap = taxonomy ? taxonomy.setSimilarity : jaccard;
+  const active = {
+    link: weights.link > 0,
+    category: weights.category > 0 && sourceCategories.length > 0,
+    geo: weights.geo > 0 && sourceLocation !== null,
+    popularity: weights.popularity > 0,
+  };
+  let weightSum = 0;
+  for (const name of Object.keys(active)) if (active[name]) weightSum += weights[name];
+  if (weightSum <= 0) weightSum = 1; // safety
+
+  const pool = cfg.diversity.enabled ? Math.max(k, Math.ceil(k * cfg.diversity.poolFactor)) : k;
+  const heap = [];
+  for (const ev of catalog.events) {
+    if (!ev || !ev.id || ev.id === eventId) continue;
+    if (cfg.now !== null && hasEnded(eventInterval(ev), cfg.now)) continue;
+
+    const hop = hops.has(ev.id) ? hops.get(ev.id) : null;
+    const popularity = typeof ev.popularity === 'number' ? Math.max(0, Math.min(1, ev.popularity)) : 0;
+    const evLocation = sourceLocation ? catalog.locationOf(ev) : null;
+    const distanceKm = evLocation ? calculateDistance(sourceLocation, evLocation) : Infinity;
+
+    const contributions = {
+      link: active.link && hop !== null ? (weights.link * Math.pow(cfg.hopDecay, hop - 1)) / weightSum : 0,
+      category: active.category ? (weights.category * categoryOverlap(sourceCategories, ev.categories)) / weightSum : 0,
+      geo: active.geo && Number.isFinite(distanceKm) ? (weights.geo * Math.exp(-distanceKm / cfg.distanceDecayKm)) / weightSum : 0,
+      popularity: active.popularity ? (weights.popularity * popularity) / weightSum : 0,
+    };
+    const node = {
+      score: contributions.link + contributions.category + contributions.geo + contributions.popularity,
+      distance: distanceKm,
+      popularity,
+      id: ev.id,
+      event: ev,
+    };
+    if (cfg.explain) {
+      node.contributions = contributions;
+      node.hops = hop;
+    }
+    heapOffer(heap, node, pool);
+  }
+
+  const nodes = heap.sort(byRank);
+  const picked = cfg.diversity.enabled && nodes.length > 1
+    ? diversify(nodes, k, cfg.diversity, {
+      eventSimilarity,
+      locationOf: ev => catalog.locationOf(ev),
+      distanceKm: calculateDistance,
+      initialCounts: new Map(),
+      picked: [],
+      taxonomy,
+    })
+    : nodes.slice(0, k);
+
+  if (!cfg.explain) return picked.map(n => n.event);
+  const baseRank = new Map(nodes.map((n, i) => [n.id, i + 1]));
+  return picked.map((n, i) => ({
+    event: n.event,
+    score: n.score,
+    contributions: n.contributions,
+    hops: n.hops,
+    distanceKm: Number.isFinite(n.distance) ? n.distance : null,
+    rank: i + 1,
+    baseRank: baseRank.get(n.id),
+  }));
+}
+
+/**
+ * Recommend events similar to one event ("more like this").
+ * @param {string} eventId - the source event; unknown ids give an empty list
+ * @param {Array<Object>} events
+ * @param {Object<string,string[]>} eventSimilarity - map from eventId -> similar eventIds[]
+ * @param {Object} [options]
+ * @param {number} [options.limit=5]
+ * @param {Object<string,number>} [options.weights] - partial override of link, category, geo
+ *   and popularity (each >= 0)
+ * @param {number} [options.maxHops=2] - how far the link graph may be expanded (>= 1)
+ * @param {number} [options.hopDecay=0.5] - link score multiplier per extra hop, in (0, 1]
+ * @param {number} [options.distanceDecayKm] - as for getRecommendedEvents
+ * @param {Object} [options.diversity] - as for getRecommendedEvents
+ * @param {Date|number|string} [options.now] - exclude events that are already over
+ * @param {Object} [options.taxonomy] - category taxonomy or its definition (see taxonomy.js)
+ * @param {boolean} [options.explain=false] - return records { event, score, contributions
+ *   (per signal, already normalized), hops (null when not linked), distanceKm (from the
+ *   source, null when unknown), rank, baseRank (rank before the diversity stage) }
+ * @returns {Array<Object>} events, most similar first (never the source itself)
+ * @throws {TypeError|RangeError} on invalid options
+ */
+function getSimilarEvents(eventId, events, eventSimilarity, options = {}) {
+  return rankSimilar(eventId, createArrayCatalog(Array.isArray(events) ? events : []), eventSimilarity, options);
+}
+
+module.exports = {
+  SIMILAR_DEFAULTS,
+  buildLinks,
+  getSimilarEvents,
+  rankSimilar,
+  resolveSimilarOptions,
+};
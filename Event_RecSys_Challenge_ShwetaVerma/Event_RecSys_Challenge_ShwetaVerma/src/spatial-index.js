@@ -0,0 +1,145 @@
+/**
+ * Spatial index for radius queries over event locations
+ * ------------------------------------------------------
+ * A uniform latitude/longitude grid (cells of cellSizeDeg degrees). A radius query
+ * converts the circle into a bounding box of cells, visits only those cells, and then
+ * filters with the exact Haversine distance from calculateDistance, so the result is
+ * identical to checking every point by brute force.
+ *
+ * Bounding box of a spherical cap (radius r, center φ, λ; R = Earth radius):
+ *  - Δφ = r / R
+ *  - Δλ = asin(sin(r / R) / cos φ), unless the cap contains a pole, in which case
+ *    every longitude is visited
+ *  - longitude cells wrap around the antimeridian
+ *
+ * Time complexity:
+ *  - insert / remove: O(1)
+ *  - within(point, r): O(cells in box + points in those cells), independent of the
+ *    catalog size when points are spread out and r is small relative to the region
+ */
+
+'use strict';
+
+const { calculateDistance, hasValidLocation } = require('./app');
+
+const EARTH_RADIUS_KM = 6371;
+// Guards the bounding box against floating-point error; exact filtering happens after.
+const BOX_EPSILON_DEG = 1e-9;
+
+function toDeg(rad) {
+  return (rad * 180) / Math.PI;
+}
+
+/**
+ * Create an empty grid index.
+ * @param {Object} [settings]
+ * @param {number} [settings.cellSizeDeg=1] - grid cell edge in degrees (> 0, ≤ 180)
+ * @returns {{
+ *   insert: function(string, {lat:number, lng:number}, *): boolean,
+ *   remove: function(string): boolean,
+ *   within: function({lat:number, lng:number}, number): Array<{id:string, item:*, distanceKm:number}>,
+ *   size: number
+ * }}
+ */
+function createSpatialIndex(settings = {}) {
+  const cellSizeDeg = settings.cellSizeDeg === undefined ? 1 : settings.cellSizeDeg;
+  if (typeof cellSizeDeg !== 'number' || !(cellSizeDeg > 0) || cellSizeDeg > 180) {
+    throw new RangeError(`cellSizeDeg must be a number in (0, 180] (got ${cellSizeDeg})`);
+  }
+
+  const latCells = Math.ceil(180 / cellSizeDeg);
+  const lngCells = Math.ceil(360 / cellSizeDeg);
+  const cells = new Map();   // cellKey -> Map<id, entry>
+  const entries = new Map(); // id -> { key, location, item }
+
+  function latIndex(lat) {
+    return Math.min(latCells - 1, Math.max(0, Math.floor((lat + 90) / cellSizeDeg)));
+  }
+
+  function lngIndex(lng) {
+    const wrapped = ((lng + 180) % 360 + 360) % 360; // [0, 360)
+    return Math.min(lngCells - 1, Math.floor(wrapped / cellSizeDeg));
+  }
+
+  function cellKey(li, gi) {
+    return li * lngCells + gi;
+  }
+
+  function remove(id) {
+    const entry = entries.get(id);
+    if (!entry) return false;
+    const cell = cells.get(entry.key);
+    cell.delete(id);
+    if (cell.size === 0) cells.delete(entry.key);
+    entries.delete(id);
+    return true;
+  }
+
+  function insert(id, location, item) {
+    remove(id);
+    if (!hasValidLocation(location) || location.lat < -90 || location.lat > 90) return false;
+    const key = cellKey(latIndex(location.lat), lngIndex(location.lng));
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = new Map();
+      cells.set(key, cell);
+    }
+    const entry = { key, location, item };
+    cell.set(id, entry);
+    entries.set(id, entry);
+    return true;
+  }
+
+  function within(point, radiusKm) {
+    if (!hasValidLocation(point) || typeof radiusKm !== 'number' || !(radiusKm >= 0)) return [];
+
+    const angular = radiusKm / EARTH_RADIUS_KM;
+    const latMin = point.lat - toDeg(angular) - BOX_EPSILON_DEG;
+    const latMax = point.lat + toDeg(angular) + BOX_EPSILON_DEG;
+
+    // Longitude span: all of it when the cap covers a pole or is a hemisphere or more
+    let allLng = latMin <= -90 || latMax >= 90 || angular >= Math.PI / 2;
+    let lngMin = 0, lngMax = 0;
+    if (!allLng) {
+      const dLng = toDeg(Math.asin(Math.min(1, Math.sin(angular) / Math.cos(point.lat * Math.PI / 180))));
+      lngMin = point.lng - dLng - BOX_EPSILON_DEG;
+      lngMax = point.lng + dLng + BOX_EPSILON_DEG;
+      // Spans this wide can start and end in the same wrapped cell; just visit them all
+      if (lngMax - lngMin >= 360 - cellSizeDeg) allLng = true;
+    }
+
+    const liFrom = latIndex(Math.max(-90, latMin));
+    const liTo = latIndex(Math.min(90, latMax));
+    let giFrom = 0, giCount = lngCells;
+    if (!allLng) {
+      giFrom = lngIndex(lngMin);
+      giCount = ((lngIndex(lngMax) - giFrom) % lngCells + lngCells) % lngCells + 1;
+    }
+
+    const out = [];
+    for (let li = liFrom; li <= liTo; li++) {
+      for (let step = 0; step < giCount; step++) {
+        const cell = cells.get(cellKey(li, (giFrom + step) % lngCells));
+        if (!cell) continue;
+        for (const [id, entry] of cell) {
+          const distanceKm = calculateDistance(point, entry.location);
+          if (distanceKm <= radiusKm) out.push({ id, item: entry.item, distanceKm });
+        }
+      }
+    }
+    return out;
+  }
+
+  return {
+    insert,
+    remove,
+    within,
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+module.exports = {
+  createSpatialIndex,
+};
@@ -0,0 +1,481 @@
+/**
+ * Streaming datasets (NDJSON)
+ * ------------------------------------------------------
+ * The single-file dataset has to fit through one JSON.parse. For larger catalogs a dataset can
+ * instead be a directory of newline-delimited JSON files, read and written one record at a time:
+ *   users.ndjson       one user per line
+ *   events.ndjson      one event per line
+ *   similarity.ndjson  one {"eventId": "...", "similar": ["...", ...]} per line
+ *   manifest.json      { format, version, counts: {users, events, similarity}, categoryPrior,
+ *                        metadata }
+ * The manifest carries what the engine would otherwise need a full pass over the events for:
+ * the event count and the cold-start category prior ({popByCat, maxPrior}, see app.js), tallied
+ * by the writer as events go by. metadata keeps any other top-level fields of a single-file
+ * dataset (such as the generator's category list), so conversions round-trip.
+ *
+ * recommendFromStream ranks events from any iterable or async iterable with the same top-k
+ * heap as getRecommendedEvents, so memory is O(k) plus whatever the caller keeps around.
+ * Events are not indexed, so there are no radius candidates up front: every event is scored.
+ * The manifest also lists each distinct category list with its summed popularity, so the prior
+ * over a taxonomy (options.taxonomy) can be derived without reading the events.
+ *
+ * Usage:
+ *   node src/stream-io.js to-ndjson event_recommendation_data.json dataset/
+ *   node src/stream-io.js to-json dataset/ event_recommendation_data.json
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const { resolveOptions, startRanking, normalizeLocation } = require('./app');
+
+const DATASET_FORMAT = 'event-recsys-ndjson';
+const DATASET_VERSION = 1;
+const FILES = {
+  users: 'users.ndjson',
+  events: 'events.ndjson',
+  similarity: 'similarity.ndjson',
+  manifest: 'manifest.json',
+};
+
+/** =======
+ * Helpers
+ * ========*/
+function clampPopularity(ev) {
+  return typeof ev.popularity === 'number' ? Math.max(0, Math.min(1, ev.popularity)) : 0;
+}
+
+function categoriesOf(ev) {
+  return Array.isArray(ev.categories) ? ev.categories : [];
+}
+
+function requireRecord(record, what) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new TypeError(`${what} must be an object`);
+  }
+}
+
+// A write stream that keeps its first error (instead of raising an unhandled 'error' event)
+// for the next write or end to reject with
+function openWriteStream(filePath) {
+  const stream = fs.createWriteStream(filePath);
+  stream.failure = null;
+  stream.on('error', err => {
+    if (!stream.failure) stream.failure = err;
+  });
+  return stream;
+}
+
+// Resolve once the stream can take more (backpressure); reject if it has failed
+function writeText(stream, text) {
+  if (stream.failure) return Promise.reject(stream.failure);
+  if (stream.write(text)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onError = err => {
+      stream.off('drain', onDrain);
+      reject(err);
+    };
+    const onDrain = () => {
+      stream.off('error', onError);
+      resolve();
+    };
+    stream.once('drain', onDrain);
+    stream.once('error', onError);
+  });
+}
+
+function writeLine(stream, value) {
+  return writeText(stream, `${JSON.stringify(value)}\n`);
+}
+
+function endStream(stream) {
+  if (stream.failure) return Promise.reject(stream.failure);
+  return new Promise((resolve, reject) => {
+    stream.once('error', reject);
+    stream.end(err => (err ? reject(err) : resolve()));
+  });
+}
+
+/** ======
+ * Reading
+ * =======*/
+
+/**
+ * Read an NDJSON file one record at a time. Blank lines are skipped.
+ * @param {string} filePath
+ * @returns {AsyncGenerator<*>}
+ * @throws {SyntaxError} naming the file and line of the first malformed record
+ */
+async function* readNdjson(filePath) {
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (line.trim() === '') continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      lines.close();
+      throw new SyntaxError(`${filePath}:${lineNumber}: ${err.message}`);
+    }
+    yield record;
+  }
+}
+
+/**
+ * Read a dataset directory's manifest.
+ * @param {string} dir
+ * @returns {{format:string, version:number, counts:{users:number, events:number, similarity:number},
+ *   categoryPrior:{popByCat:Map<string,number>, maxPrior:number,
+ *   categoryLists:Array<{categories:string[], popularity:number}>}, metadata:Object}}
+ */
+function readManifest(dir) {
+  const filePath = path.join(dir, FILES.manifest);
+  const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!manifest || manifest.format !== DATASET_FORMAT || manifest.version !== DATASET_VERSION) {
+    throw new Error(`${filePath} is not an NDJSON dataset manifest (version ${DATASET_VERSION})`);
+  }
+  const prior = manifest.categoryPrior || {};
+  return {
+    ...manifest,
+    categoryPrior: {
+      popByCat: new Map(Object.entries(prior.popByCat || {})),
+      maxPrior: typeof prior.maxPrior === 'number' ? prior.maxPrior : 0,
+      categoryLists: Array.isArray(prior.categoryLists) ? prior.categoryLists : [],
+    },
+  };
+}
+
+/** ======
+ * Writing
+ * =======*/
+
+/**
+ * Write a dataset directory one record at a time. Each write resolves once the file can take
+ * more, so awaiting them keeps memory flat; close() must be awaited to write the manifest.
+ * @param {string} dir - created if missing; existing dataset files are overwritten
+ * @param {Object} [metadata] - stored in the manifest as is (must be JSON-serializable)
+ * @returns {{
+ *   writeUser: function(Object): Promise<void>,
+ *   writeEvent: function(Object): Promise<void>,
+ *   writeSimilarity: function(string, string[]): Promise<void>,
+ *   close: function(): Promise<Object>
+ * }} close resolves to the manifest as written; once a file fails (EACCES, ENOSPC, ...), the
+ *   next write and close reject with its error
+ */
+function createDatasetWriter(dir, metadata = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const streams = {
+    users: openWriteStream(path.join(dir, FILES.users)),
+    events: openWriteStream(path.join(dir, FILES.events)),
+    similarity: openWriteStream(path.join(dir, FILES.similarity)),
+  };
+  const counts = { users: 0, events: 0, similarity: 0 };
+
+  // Category prior: popularity summed per category, and per distinct category list so the
+  // normalizer (the best-scoring event) can be found when the tally is complete
+  const popByCat = new Map();
+  const categoryLists = new Map(); // JSON key -> { categories, popularity }
+  let closed = false;
+
+  function assertOpen() {
+    if (closed) throw new Error(`dataset writer for ${dir} is closed`);
+  }
+
+  return {
+    writeUser(user) {
+      assertOpen();
+      requireRecord(user, 'user');
+      counts.users++;
+      return writeLine(streams.users, user);
+    },
+
+    writeEvent(event) {
+      assertOpen();
+      requireRecord(event, 'event');
+      const pop = clampPopularity(event);
+      const cats = categoriesOf(event);
+      for (const c of cats) popByCat.set(c, (popByCat.get(c) || 0) + pop);
+      if (cats.length > 0) {
+        const key = JSON.stringify(cats);
+        if (!categoryLists.has(key)) categoryLists.set(key, { categories: cats, popularity: 0 });
+        categoryLists.get(key).popularity += pop;
+      }
+      counts.events++;
+      return writeLine(streams.events, event);
+    },
+
+    writeSimilarity(eventId, similar) {
+      assertOpen();
+      if (typeof eventId !== 'string') throw new TypeError(`eventId must be a string (got ${typeof eventId})`);
+      counts.similarity++;
+      return writeLine(streams.similarity, { eventId, similar });
+    },
+
+    async close() {
+      assertOpen();
+      closed = true;
+      await Promise.all(Object.values(streams).map(endStream));
+
+      let maxPrior = 0;
+      for (const { categories } of categoryLists.values()) {
+        const sum = categories.reduce((s, c) => s + (popByCat.get(c) || 0), 0);
+        if (sum > maxPrior) maxPrior = sum;
+      }
+      const manifest = {
+        format: DATASET_FORMAT,
+        version: DATASET_VERSION,
+        counts,
+        categoryPrior: {
+          popByCat: Object.fromEntries(popByCat),
+          maxPrior,
+          categoryLists: Array.from(categoryLists.values()),
+        },
+        metadata,
+      };
+      fs.writeFileSync(path.join(dir, FILES.manifest), `${JSON.stringify(manifest, null, 2)}\n`);
+      return manifest;
+    },
+  };
+}
+
+/** ==================
+ * Streaming ranking
+ * ===================*/
+
+// Prior over a taxonomy from the category lists: each list stands in for its events
+function taxonomyPrior(categoryLists, taxonomy) {
+  const popByCat = new Map();
+  for (const { categories, popularity } of categoryLists) {
+    for (const [node, w] of taxonomy.expandAll(categories)) popByCat.set(node, (popByCat.get(node) || 0) + popularity * w);
+  }
+  let maxPrior = 0;
+  for (const { categories } of categoryLists) {
+    let sum = 0;
+    for (const [node, w] of taxonomy.expandAll(categories)) sum += w * (popByCat.get(node) || 0);
+    if (sum > maxPrior) maxPrior = sum;
+  }
+  return { popByCat, maxPrior };
+}
+
+// A catalog (see app.js) without an event list: the caller offers the events itself
+function createStreamCatalog(source) {
+  const prior = source.categoryPrior || { popByCat: new Map(), maxPrior: 0 };
+  const historyEvents = source.historyEvents || new Map();
+  const taxonomyPriors = new Map();
+  return {
+    events: null,
+    size: typeof source.eventCount === 'number' ? source.eventCount : Infinity,
+    eventById: id => historyEvents.get(id),
+    locationOf: ev => normalizeLocation(ev.location),
+    categoryPrior(taxonomy = null) {
+      if (!taxonomy || !Array.isArray(prior.categoryLists)) return prior;
+      if (!taxonomyPriors.has(taxonomy)) taxonomyPriors.set(taxonomy, taxonomyPrior(prior.categoryLists, taxonomy));
+      return taxonomyPriors.get(taxonomy);
+    },
+  };
+}
+
+/**
+ * Recommend events for a user from a stream of events, keeping only the top-k heap.
+ * Ranks exactly like getRecommendedEvents over the same events, given the same category prior
+ * and history events.
+ * @param {Object} user
+ * @param {Iterable<Object>|AsyncIterable<Object>} events - e.g. dataset.events()
+ * @param {Object<string,string[]>} eventSimilarity - map from eventId -> similar eventIds[]
+ * @param {number} [limit=5]
+ * @param {Object} [options] - as for getRecommendedEvents
+ * @param {Object} [source] - what a single pass over the events cannot provide up front:
+ * @param {{popByCat:Map<string,number>, maxPrior:number, categoryLists?:Array<Object>}}
+ *   [source.categoryPrior] - cold-start prior over the whole catalog (a manifest's); without it
+ *   cold-start users score 0 on it, and without categoryLists it is used as is with a taxonomy
+ * @param {number} [source.eventCount] - number of events in the stream
+ * @param {Map<string,Object>} [source.historyEvents] - the user's attended and interacted
+ *   events by id, for the affinity preference model (see findEvents)
+ * @returns {Promise<Array<Object>>} as getRecommendedEvents
+ */
+async function recommendFromStream(user, events, eventSimilarity, limit = 5, options = {}, source = {}) {
+  const cfg = resolveOptions(options);
+  const ranking = startRanking(user, createStreamCatalog(source || {}), eventSimilarity, limit, cfg, options);
+  if (!ranking) return [];
+  for await (const ev of events) ranking.offer(ev);
+  return ranking.finish();
+}
+
+// Every event id whose categories the affinity model may look up for this user
+function historyIds(user) {
+  const ids = new Set(Array.isArray(user.attendedEvents) ? user.attendedEvents : []);
+  if (Array.isArray(user.interactions)) {
+    for (const entry of user.interactions) if (entry && typeof entry.eventId === 'string') ids.add(entry.eventId);
+  }
+  return ids;
+}
+
+/**
+ * Open a dataset directory written by createDatasetWriter.
+ * @param {string} dir
+ * @returns {{
+ *   manifest: Object,
+ *   users: function(): AsyncGenerator<Object>,
+ *   events: function(): AsyncGenerator<Object>,
+ *   similarity: function(): AsyncGenerator<{eventId:string, similar:string[]}>,
+ *   loadSimilarity: function(): Promise<Object<string,string[]>>,
+ *   findEvents: function(Iterable<string>): Promise<Map<string,Object>>,
+ *   recommend: function(Object, number=, Object=): Promise<Array<Object>>
+ * }}
+ * @throws {Error} when the manifest is missing or of another format
+ */
+function openNdjsonDataset(dir) {
+  const manifest = readManifest(dir);
+  let similarityMap = null;
+
+  const dataset = {
+    manifest,
+    users: () => readNdjson(path.join(dir, FILES.users)),
+    events: () => readNdjson(path.join(dir, FILES.events)),
+    similarity: () => readNdjson(path.join(dir, FILES.similarity)),
+
+    /** The whole similarity map (loaded once; it grows with events, not with users). */
+    async loadSimilarity() {
+      if (!similarityMap) {
+        const map = {};
+        for await (const entry of dataset.similarity()) {
+          if (entry && typeof entry.eventId === 'string') map[entry.eventId] = entry.similar;
+        }
+        similarityMap = map;
+      }
+      return similarityMap;
+    },
+
+    /** One pass over the events, keeping those with the given ids (last duplicate wins). */
+    async findEvents(ids) {
+      const wanted = new Set(ids);
+      const found = new Map();
+      if (wanted.size === 0) return found;
+      for await (const ev of dataset.events()) {
+        if (ev && wanted.has(ev.id)) found.set(ev.id, ev);
+      }
+      return found;
+    },
+
+    /**
+     * Recommend for one user: at most one pass to look up the user's history events (affinity
+     * model only), then one pass to rank.
+     */
+    async recommend(user, limit = 5, options = {}) {
+      const cfg = resolveOptions(options);
+      const eventSimilarity = await dataset.loadSimilarity();
+      const historyEvents = user && cfg.preferenceModel === 'affinity' ? await dataset.findEvents(historyIds(user)) : null;
+      return recommendFromStream(user, dataset.events(), eventSimilarity, limit, options, {
+        categoryPrior: manifest.categoryPrior,
+        eventCount: manifest.counts.events,
+        historyEvents,
+      });
+    },
+  };
+  return dataset;
+}
+
+/** ==========
+ * Conversion
+ * ===========*/
+
+/**
+ * Convert a single-file dataset { users, events, eventSimilarity } to a dataset directory.
+ * @param {string} jsonPath
+ * @param {string} dir
+ * @returns {Promise<Object>} the manifest
+ */
+async function convertJsonToNdjson(jsonPath, dir) {
+  const { users, events, eventSimilarity, ...metadata } = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+  const writer = createDatasetWriter(dir, metadata);
+  for (const user of Array.isArray(users) ? users : []) await writer.writeUser(user);
+  for (const event of Array.isArray(events) ? events : []) await writer.writeEvent(event);
+  for (const [eventId, similar] of Object.entries(eventSimilarity || {})) await writer.writeSimilarity(eventId, similar);
+  return writer.close();
+}
+
+/**
+ * Convert a dataset directory back to the single-file format, writing it incrementally.
+ * @param {string} dir
+ * @param {string} jsonPath
+ * @returns {Promise<{users:number, events:number, similarity:number}>} records written
+ * @throws {Error} (rejects) when jsonPath cannot be written
+ */
+async function convertNdjsonToJson(dir, jsonPath) {
+  const dataset = openNdjsonDataset(dir);
+  const out = openWriteStream(jsonPath);
+  const counts = { users: 0, events: 0, similarity: 0 };
+  const write = text => writeText(out, text);
+
+  // Items go one per line, so the result is readable and diffs well
+  async function writeSection(key, records, first, item) {
+    await write(`${first ? '' : ',\n'}  ${JSON.stringify(key)}: ${key === 'eventSimilarity' ? '{' : '['}`);
+    let n = 0;
+    for await (const record of records) {
+      await write(`${n === 0 ? '\n' : ',\n'}    ${item(record)}`);
+      n++;
+    }
+    await write(`${n === 0 ? '' : '\n  '}${key === 'eventSimilarity' ? '}' : ']'}`);
+    return n;
+  }
+
+  try {
+    await write('{\n');
+    counts.users = await writeSection('users', dataset.users(), true, JSON.stringify);
+    counts.events = await writeSection('events', dataset.events(), false, JSON.stringify);
+    counts.similarity = await writeSection('eventSimilarity', dataset.similarity(), false,
+      entry => `${JSON.stringify(entry.eventId)}: ${JSON.stringify(entry.similar)}`);
+    for (const [key, value] of Object.entries(dataset.manifest.metadata || {})) {
+      await write(`,\n  ${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+    }
+    await write('\n}\n');
+  } finally {
+    await endStream(out);
+  }
+  return counts;
+}
+
+/** =====
+ * CLI
+ * ======*/
+function main(argv) {
+  const [command, from, to] = argv;
+  const commands = {
+    'to-ndjson': () => convertJsonToNdjson(from, to).then(m => m.counts),
+    'to-json': () => convertNdjsonToJson(from, to),
+  };
+  if (!commands[command] || !from || !to) {
+    console.error('Usage: node src/stream-io.js to-ndjson <data.json> <dir> | to-json <dir> <data.json>');
+    process.exitCode = 1;
+    return;
+  }
+  const started = Date.now();
+  commands[command]().then(counts => {
+    const seconds = ((Date.now() - started) / 1000).toFixed(1);
+    console.log(`Wrote ${counts.users} users, ${counts.events} events and ${counts.similarity} similarity entries to ${to} in ${seconds}s`);
+  }).catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  DATASET_FORMAT,
+  DATASET_VERSION,
+  readNdjson,
+  readManifest,
+  createDatasetWriter,
+  openNdjsonDataset,
+  recommendFromStream,
+  convertJsonToNdjson,
+  convertNdjsonToJson,
+};
@@ -0,0 +1,206 @@
+/**
+ * Category taxonomy: parents, synonyms and compound categories
+ * ------------------------------------------------------
+ * Categories are plain strings, so "music", "jazz" and "music-dance" are unrelated to a
+ * Jaccard match. A taxonomy relates them:
+ *   {
+ *     "parents":  { "jazz": "music", "rock": "music" },     // child -> parent
+ *     "synonyms": { "concerts": "music", "tech": "technology" },  // alias -> category
+ *     "compoundSeparator": "-",   // "music-dance" is part "music", part "dance" (null: off)
+ *     "parentWeight": 0.5,        // how much a category counts as its parent, per level
+ *     "compoundWeight": 0.5       // how much a compound counts as each of its parts
+ *   }
+ * Names match exactly (declare "Music" as a synonym of "music" if both occur).
+ *
+ * Each category expands to weighted nodes: itself (1), its ancestors (parentWeight^levels)
+ * and, for compounds, their parts (compoundWeight, expanded in turn). "jazz" is
+ * { jazz: 1, music: 0.5 } and "music-dance" is { music-dance: 1, music: 0.5, dance: 0.5 }.
+ * Two categories are as similar as their best shared node (the product of both weights):
+ * music ~ jazz = 0.5, jazz ~ rock = 0.25, music ~ music-dance = 0.5.
+ *
+ * With options.taxonomy set, the engine uses it for preference matching (Jaccard and affinity),
+ * the cold-start category prior and the diversity penalties; without it nothing changes.
+ *
+ * Time complexity: O(d) to expand a category d nodes deep (cached per category), O(|A| * |B|
+ * * d) for a set similarity.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const TAXONOMY_DEFAULTS = {
+  compoundSeparator: '-',
+  parentWeight: 0.5,
+  compoundWeight: 0.5,
+};
+
+const compiled = new WeakMap(); // definition object -> taxonomy (options are often reused)
+
+function requireStringMap(value, path) {
+  if (value === undefined) return new Map();
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new TypeError(`${path} must be an object mapping category names to category names`);
+  }
+  const out = new Map();
+  for (const [key, target] of Object.entries(value)) {
+    if (typeof target !== 'string' || target === '') {
+      throw new TypeError(`${path}.${key} must be a non-empty string (got ${JSON.stringify(target)})`);
+    }
+    if (target === key) throw new RangeError(`${path}.${key} refers to itself`);
+    out.set(key, target);
+  }
+  return out;
+}
+
+function requireWeight(value, path) {
+  if (typeof value !== 'number') throw new TypeError(`${path} must be a number (got ${typeof value})`);
+  if (!(value > 0 && value < 1)) throw new RangeError(`${path} must be in (0, 1) (got ${value})`);
+  return value;
+}
+
+/**
+ * Build a taxonomy from its definition (see the header for the format).
+ * @param {Object} [definition]
+ * @returns {{
+ *   canonical: function(string): string,
+ *   expand: function(string): Map<string,number>,
+ *   expandAll: function(string[]): Map<string,number>,
+ *   similarity: function(string, string): number,
+ *   setSimilarity: function(string[], string[]): number,
+ *   definition: Object
+ * }}
+ * @throws {TypeError|RangeError} on malformed definitions, or parent cycles
+ */
+function createTaxonomy(definition = {}) {
+  if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new TypeError('taxonomy must be an object');
+  }
+  const synonyms = requireStringMap(definition.synonyms, 'taxonomy.synonyms');
+  const parents = requireStringMap(definition.parents, 'taxonomy.parents');
+  const separator = definition.compoundSeparator === undefined ? TAXONOMY_DEFAULTS.compoundSeparator : definition.compoundSeparator;
+  if (separator !== null && (typeof separator !== 'string' || separator === '')) {
+    throw new TypeError('taxonomy.compoundSeparator must be a non-empty string or null');
+  }
+  const parentWeight = definition.parentWeight === undefined
+    ? TAXONOMY_DEFAULTS.parentWeight : requireWeight(definition.parentWeight, 'taxonomy.parentWeight');
+  const compoundWeight = definition.compoundWeight === undefined
+    ? TAXONOMY_DEFAULTS.compoundWeight : requireWeight(definition.compoundWeight, 'taxonomy.compoundWeight');
+
+  for (const [alias, target] of synonyms) {
+    if (synonyms.has(target)) throw new RangeError(`taxonomy.synonyms.${alias} must name a category, not another synonym (${target})`);
+  }
+  const canonical = c => (synonyms.has(c) ? synonyms.get(c) : c);
+
+  // Parents are declared between canonical names; a cycle would make every member its own ancestor
+  const parentOf = new Map();
+  for (const [child, parent] of parents) parentOf.set(canonical(child), canonical(parent));
+  for (const start of parentOf.keys()) {
+    const seen = new Set([start]);
+    for (let c = parentOf.get(start); c !== undefined; c = parentOf.get(c)) {
+      if (seen.has(c)) throw new RangeError(`taxonomy.parents has a cycle through ${c}`);
+      seen.add(c);
+    }
+  }
+
+  const expansions = new Map();
+  function visit(category, weight, out) {
+    const c = canonical(category);
+    if ((out.get(c) || 0) >= weight) return;
+    out.set(c, weight);
+    if (parentOf.has(c)) visit(parentOf.get(c), weight * parentWeight, out);
+    if (separator !== null && c.includes(separator)) {
+      for (const part of new Set(c.split(separator))) {
+        if (part !== '' && part !== c) visit(part, weight * compoundWeight, out);
+      }
+    }
+  }
+
+  /** Weighted nodes a category stands for: itself 1, then ancestors and compound parts. */
+  function expand(category) {
+    let out = expansions.get(category);
+    if (!out) {
+      out = new Map();
+      visit(category, 1, out);
+      expansions.set(category, out);
+    }
+    return out;
+  }
+
+  /** Union of the expansions of a category list (the highest weight per node). */
+  function expandAll(categories) {
+    const out = new Map();
+    for (const category of categories) {
+      for (const [node, w] of expand(category)) if (w > (out.get(node) || 0)) out.set(node, w);
+    }
+    return out;
+  }
+
+  /** Similarity of two categories in [0, 1]: 1 for the same (or synonymous) category. */
+  function similarity(a, b) {
+    const ea = expand(a);
+    const eb = expand(b);
+    let best = 0;
+    for (const [node, w] of ea) {
+      const other = eb.get(node);
+      if (other !== undefined && w * other > best) best = w * other;
+    }
+    return best;
+  }
+
+  /**
+   * Soft Jaccard of two category lists: each category's best match on the other side counts
+   * toward the overlap. Equal to Jaccard when no two categories are related.
+   */
+  function setSimilarity(listA, listB) {
+    if (!Array.isArray(listA) || !Array.isArray(listB) || listA.length === 0 || listB.length === 0) return 0;
+    const setA = new Set(listA);
+    const setB = new Set(listB);
+    const bestMatch = (c, others) => {
+      let best = 0;
+      for (const o of others) {
+        best = Math.max(best, similarity(c, o));
+        if (best === 1) break;
+      }
+      return best;
+    };
+    let overlap = 0;
+    for (const c of setA) overlap += bestMatch(c, setB);
+    for (const c of setB) overlap += bestMatch(c, setA);
+    const inter = overlap / 2;
+    return inter / (setA.size + setB.size - inter);
+  }
+
+  return { canonical, expand, expandAll, similarity, setSimilarity, definition };
+}
+
+/**
+ * Accept a taxonomy from createTaxonomy or a plain definition (compiled once per object).
+ * @param {Object} value
+ * @returns {Object} taxonomy
+ */
+function toTaxonomy(value) {
+  if (value && typeof value.expandAll === 'function' && typeof value.setSimilarity === 'function') return value;
+  let taxonomy = value !== null && typeof value === 'object' ? compiled.get(value) : undefined;
+  if (!taxonomy) {
+    taxonomy = createTaxonomy(value);
+    compiled.set(value, taxonomy);
+  }
+  return taxonomy;
+}
+
+/**
+ * Read a taxonomy definition from a JSON file.
+ * @param {string} filePath
+ * @returns {Object} taxonomy
+ */
+function loadTaxonomy(filePath) {
+  return createTaxonomy(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+module.exports = {
+  TAXONOMY_DEFAULTS,
+  createTaxonomy,
+  toTaxonomy,
+  loadTaxonomy,
+};
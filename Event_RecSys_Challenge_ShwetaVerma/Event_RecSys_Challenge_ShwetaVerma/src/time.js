@@ -0,0 +1,146 @@
+/**
+ * Event time helpers
+ * ------------------------------------------------------
+ * Events may carry optional startTime / endTime (ISO 8601 strings, epoch milliseconds
+ * or Date objects). Given a reference "now", the engine uses these to:
+ *  - exclude events that are already over (endTime, or startTime when there is no end, before now)
+ *  - keep only events overlapping a time window (explicit {from, to} or a preset)
+ *  - score urgency: 1 for events already running, exp(-hoursUntilStart / decayHours) otherwise
+ *
+ * Presets are computed in UTC shifted by utcOffsetMinutes, so "this weekend" can follow the
+ * user's local calendar without depending on the server's time zone.
+ */
+
+'use strict';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const WINDOW_PRESETS = ['today', 'tomorrow', 'this-weekend', 'next-7-days'];
+
+/**
+ * Convert a Date, epoch milliseconds or date string to epoch milliseconds.
+ * @param {Date|number|string} value
+ * @returns {number} epoch ms, or NaN when the value is missing or unparseable
+ */
+function toTimestamp(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+  if (typeof value === 'string' && value !== '') return Date.parse(value);
+  return NaN;
+}
+
+/**
+ * Start and end of an event in epoch ms. A missing endTime falls back to startTime.
+ * @param {Object} ev
+ * @returns {{start:number, end:number}} NaN for unknown values
+ */
+function eventInterval(ev) {
+  const start = toTimestamp(ev.startTime);
+  const end = toTimestamp(ev.endTime);
+  return { start, end: Number.isNaN(end) ? start : end };
+}
+
+/**
+ * Resolve a time window preset or explicit range to epoch ms bounds [from, to).
+ * @param {string|{from:(Date|number|string), to:(Date|number|string)}} window
+ * @param {number} now - epoch ms
+ * @param {number} [utcOffsetMinutes=0] - offset of the user's local calendar from UTC
+ * @returns {{from:number, to:number}}
+ * @throws {RangeError} on unknown presets or unparseable / inverted ranges
+ */
+function resolveTimeWindow(window, now, utcOffsetMinutes = 0) {
+  if (typeof window === 'string') {
+    if (!WINDOW_PRESETS.includes(window)) {
+      throw new RangeError(`timeWindow must be one of ${WINDOW_PRESETS.join(', ')} or {from, to} (got ${window})`);
+    }
+    const offsetMs = utcOffsetMinutes * 60 * 1000;
+    const local = now + offsetMs;
+    const dayStart = Math.floor(local / DAY_MS) * DAY_MS - offsetMs;
+
+    if (window === 'today') return { from: now, to: dayStart + DAY_MS };
+    if (window === 'tomorrow') return { from: dayStart + DAY_MS, to: dayStart + 2 * DAY_MS };
+    if (window === 'next-7-days') return { from: now, to: now + 7 * DAY_MS };
+
+    // this-weekend: Saturday 00:00 to Monday 00:00 local; already inside it -> from now
+    const weekday = new Date(local).getUTCDay(); // 0 = Sunday, 6 = Saturday
+    if (weekday === 0) return { from: now, to: dayStart + DAY_MS };
+    if (weekday === 6) return { from: now, to: dayStart + 2 * DAY_MS };
+    const saturday = dayStart + (6 - weekday) * DAY_MS;
+    return { from: saturday, to: saturday + 2 * DAY_MS };
+  }
+
+  if (window === null || typeof window !== 'object') {
+    throw new TypeError('timeWindow must be a preset name or an object with from/to');
+  }
+  const from = window.from === undefined ? -Infinity : toTimestamp(window.from);
+  const to = window.to === undefined ? Infinity : toTimestamp(window.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    throw new RangeError('timeWindow.from and timeWindow.to must be dates, timestamps or date strings');
+  }
+  if (from >= to) throw new RangeError('timeWindow.from must be before timeWindow.to');
+  return { from, to };
+}
+
+/**
+ * Whether an event interval overlaps the window [from, to).
+ * Events without a start time never match a window.
+ */
+function overlapsWindow(interval, window) {
+  if (Number.isNaN(interval.start)) return false;
+  return interval.start < window.to && interval.end >= window.from;
+}
+
+/**
+ * Whether an event is over at the reference time. Events without times never are.
+ */
+function hasEnded(interval, now) {
+  return !Number.isNaN(interval.end) && interval.end < now;
+}
+
+/**
+ * Reference time a dataset was generated around (its referenceTime, see data-generator.js).
+ * Services rank at it by default, so the dataset's schedule does not go stale.
+ * @param {Object} dataset
+ * @returns {?number} epoch ms, or null when the dataset records none
+ */
+function datasetReferenceTime(dataset) {
+  const t = dataset ? toTimestamp(dataset.referenceTime) : NaN;
+  return Number.isNaN(t) ? null : t;
+}
+
+/**
+ * Whether every event is over at the reference time, so past-event exclusion leaves nothing.
+ * @param {Array<Object>} events
+ * @param {number} now - epoch ms
+ * @returns {boolean} false for an empty catalog or when any event has not ended
+ */
+function allEventsEnded(events, now) {
+  return events.length > 0 && events.every(ev => ev !== null && typeof ev === 'object' && hasEnded(eventInterval(ev), now));
+}
+
+/**
+ * Urgency in [0,1]: 1 for running events, decaying with the hours until the start.
+ * @param {{start:number, end:number}} interval
+ * @param {number} now - epoch ms
+ * @param {number} decayHours - > 0
+ * @returns {number} 0 for events without a start time
+ */
+function urgencyScore(interval, now, decayHours) {
+  if (Number.isNaN(interval.start)) return 0;
+  const hoursUntil = (interval.start - now) / HOUR_MS;
+  if (hoursUntil <= 0) return 1;
+  return Math.exp(-hoursUntil / decayHours);
+}
+
+module.exports = {
+  WINDOW_PRESETS,
+  toTimestamp,
+  eventInterval,
+  resolveTimeWindow,
+  overlapsWindow,
+  hasEnded,
+  urgencyScore,
+  datasetReferenceTime,
+  allEventsEnded,
+};
@@ -0,0 +1,380 @@
+/**
+ * Dataset validation and data-quality report
+ * ------------------------------------------------------
+ * Checks a dataset against the documented User / Event / Event Similarity formats and
+ * reports every violation with its path, e.g. events[12].location.lat or
+ * eventSimilarity["event_3"][2].
+ *
+ *  - errors: the data does not match the format (wrong types, out-of-range values,
+ *    duplicate ids, references to events that do not exist)
+ *  - warnings: valid but suspicious (self-similarity, repeated entries, missing titles)
+ *
+ * The per-record checks are also used by the engine's strict mode (options.strict), which
+ * throws a DatasetValidationError instead of silently skipping or degrading bad records.
+ *
+ * Usage:
+ *   node src/validate.js event_recommendation_data.json [--max-issues 50] [--json]
+ *   Exit code 1 when the dataset has errors.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+const { INTERACTION_TYPES } = require('./interactions');
+
+/** ===========
+ * Error class
+ * ============*/
+class DatasetValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {Array<{path:string, message:string}>} issues
+   */
+  constructor(message, issues) {
+    super(message);
+    this.name = 'DatasetValidationError';
+    this.issues = issues;
+  }
+}
+
+/** =======
+ * Helpers
+ * ========*/
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isNonEmptyString(v) {
+  return typeof v === 'string' && v.length > 0;
+}
+
+function describe(v) {
+  if (v === undefined) return 'undefined';
+  if (typeof v === 'number' && !Number.isFinite(v)) return String(v);
+  const json = JSON.stringify(v);
+  return json.length > 40 ? `${json.slice(0, 37)}...` : json;
+}
+
+function keyPath(base, key) {
+  return `${base}[${JSON.stringify(key)}]`;
+}
+
+function checkLocation(loc, path, issues) {
+  if (!isPlainObject(loc)) {
+    issues.push({ path, message: `must be an object {lat, lng} (got ${describe(loc)})` });
+    return;
+  }
+  if (typeof loc.lat !== 'number' || !Number.isFinite(loc.lat) || loc.lat < -90 || loc.lat > 90) {
+    issues.push({ path: `${path}.lat`, message: `must be a number in [-90, 90] (got ${describe(loc.lat)})` });
+  }
+  if (typeof loc.lng !== 'number' || !Number.isFinite(loc.lng) || loc.lng < -180 || loc.lng > 180) {
+    issues.push({ path: `${path}.lng`, message: `must be a number in [-180, 180] (got ${describe(loc.lng)})` });
+  }
+}
+
+function checkStringArray(value, path, issues, warnings, label) {
+  if (!Array.isArray(value)) {
+    issues.push({ path, message: `must be an array of ${label} (got ${describe(value)})` });
+    return;
+  }
+  const seen = new Set();
+  value.forEach((item, i) => {
+    if (!isNonEmptyString(item)) {
+      issues.push({ path: `${path}[${i}]`, message: `must be a non-empty string (got ${describe(item)})` });
+    } else if (seen.has(item)) {
+      warnings.push({ path: `${path}[${i}]`, message: `repeats ${JSON.stringify(item)}` });
+    } else {
+      seen.add(item);
+    }
+  });
+}
+
+function checkTime(value, path, issues) {
+  if (value === undefined) return NaN;
+  const t = typeof value === 'number' ? value : typeof value === 'string' ? Date.parse(value) : NaN;
+  if (!Number.isFinite(t)) {
+    issues.push({ path, message: `must be an ISO 8601 date string or epoch milliseconds (got ${describe(value)})` });
+  }
+  return t;
+}
+
+// Interactions may outlive their events (removed from the catalog), so unknown ids only warn
+function checkInteractions(value, path, issues, warnings, eventIds) {
+  if (!Array.isArray(value)) {
+    issues.push({ path, message: `must be an array of interactions (got ${describe(value)})` });
+    return;
+  }
+  value.forEach((it, i) => {
+    const itPath = `${path}[${i}]`;
+    if (!isPlainObject(it)) {
+      issues.push({ path: itPath, message: `must be an object {eventId, type, timestamp} (got ${describe(it)})` });
+      return;
+    }
+    if (!isNonEmptyString(it.eventId)) {
+      issues.push({ path: `${itPath}.eventId`, message: `must be a non-empty string (got ${describe(it.eventId)})` });
+    } else if (eventIds && !eventIds.has(it.eventId)) {
+      warnings.push({ path: `${itPath}.eventId`, message: `references unknown event ${JSON.stringify(it.eventId)}` });
+    }
+    if (!INTERACTION_TYPES.includes(it.type)) {
+      issues.push({ path: `${itPath}.type`, message: `must be one of ${INTERACTION_TYPES.join(', ')} (got ${describe(it.type)})` });
+    }
+    checkTime(it.timestamp, `${itPath}.timestamp`, issues);
+  });
+}
+
+function checkDecay(value, path, issues) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    issues.push({ path, message: `must be a number greater than 0 (got ${describe(value)})` });
+  }
+}
+
+// Named user locations (see locations.js)
+function checkUserLocations(value, path, issues, warnings) {
+  if (!Array.isArray(value)) {
+    issues.push({ path, message: `must be an array of named locations (got ${describe(value)})` });
+    return;
+  }
+  const names = new Set();
+  value.forEach((entry, i) => {
+    const entryPath = `${path}[${i}]`;
+    if (!isPlainObject(entry)) {
+      issues.push({ path: entryPath, message: `must be an object {name, location} (got ${describe(entry)})` });
+      return;
+    }
+    if (!isNonEmptyString(entry.name)) {
+      issues.push({ path: `${entryPath}.name`, message: `must be a non-empty string (got ${describe(entry.name)})` });
+    } else if (names.has(entry.name)) {
+      warnings.push({ path: `${entryPath}.name`, message: `repeats ${JSON.stringify(entry.name)}` });
+    } else {
+      names.add(entry.name);
+    }
+    checkLocation(entry.location, `${entryPath}.location`, issues);
+    const from = checkTime(entry.from, `${entryPath}.from`, issues);
+    const to = checkTime(entry.to, `${entryPath}.to`, issues);
+    if (Number.isFinite(from) && Number.isFinite(to) && to <= from) {
+      issues.push({ path: `${entryPath}.to`, message: 'must be after from' });
+    }
+    if (entry.distanceDecayKm !== undefined) checkDecay(entry.distanceDecayKm, `${entryPath}.distanceDecayKm`, issues);
+  });
+}
+
+/** =================
+ * Per-record checks
+ * ==================*/
+
+/**
+ * Check one event against the Event format.
+ * @param {*} ev
+ * @param {string} path - e.g. "events[3]"
+ * @returns {{errors:Array<{path:string, message:string}>, warnings:Array<{path:string, message:string}>}}
+ */
+function validateEvent(ev, path) {
+  const errors = [];
+  const warnings = [];
+  if (!isPlainObject(ev)) {
+    errors.push({ path, message: `must be an object (got ${describe(ev)})` });
+    return { errors, warnings };
+  }
+  if (!isNonEmptyString(ev.id)) errors.push({ path: `${path}.id`, message: `must be a non-empty string (got ${describe(ev.id)})` });
+  if (ev.title === undefined) warnings.push({ path: `${path}.title`, message: 'is missing' });
+  else if (typeof ev.title !== 'string') errors.push({ path: `${path}.title`, message: `must be a string (got ${describe(ev.title)})` });
+  checkStringArray(ev.categories, `${path}.categories`, errors, warnings, 'category names');
+  checkLocation(ev.location, `${path}.location`, errors);
+  if (typeof ev.popularity !== 'number' || !Number.isFinite(ev.popularity) || ev.popularity < 0 || ev.popularity > 1) {
+    errors.push({ path: `${path}.popularity`, message: `must be a number in [0, 1] (got ${describe(ev.popularity)})` });
+  }
+  const start = checkTime(ev.startTime, `${path}.startTime`, errors);
+  const end = checkTime(ev.endTime, `${path}.endTime`, errors);
+  if (Number.isFinite(start) && Number.isFinite(end) && end < start) {
+    errors.push({ path: `${path}.endTime`, message: 'must not be before startTime' });
+  }
+  return { errors, warnings };
+}
+
+/**
+ * Check one user against the User format.
+ * @param {*} user
+ * @param {string} path - e.g. "users[3]"
+ * @param {Set<string>} [eventIds] - when given, attendedEvents must reference these
+ * @returns {{errors:Array<{path:string, message:string}>, warnings:Array<{path:string, message:string}>}}
+ */
+function validateUser(user, path, eventIds) {
+  const errors = [];
+  const warnings = [];
+  if (!isPlainObject(user)) {
+    errors.push({ path, message: `must be an object (got ${describe(user)})` });
+    return { errors, warnings };
+  }
+  if (!isNonEmptyString(user.id)) errors.push({ path: `${path}.id`, message: `must be a non-empty string (got ${describe(user.id)})` });
+  // Users with named locations may leave out the primary one
+  if (user.location !== undefined || !Array.isArray(user.locations) || user.locations.length === 0) {
+    checkLocation(user.location, `${path}.location`, errors);
+  }
+  if (user.locations !== undefined) checkUserLocations(user.locations, `${path}.locations`, errors, warnings);
+  if (user.distanceDecayKm !== undefined) checkDecay(user.distanceDecayKm, `${path}.distanceDecayKm`, errors);
+  checkStringArray(user.preferences, `${path}.preferences`, errors, warnings, 'category names');
+  checkStringArray(user.attendedEvents, `${path}.attendedEvents`, errors, warnings, 'event ids');
+  if (eventIds && Array.isArray(user.attendedEvents)) {
+    user.attendedEvents.forEach((id, i) => {
+      if (isNonEmptyString(id) && !eventIds.has(id)) {
+        errors.push({ path: `${path}.attendedEvents[${i}]`, message: `references unknown event ${JSON.stringify(id)}` });
+      }
+    });
+  }
+  if (user.interactions !== undefined) checkInteractions(user.interactions, `${path}.interactions`, errors, warnings, eventIds);
+  return { errors, warnings };
+}
+
+/**
+ * Check one similarity entry (eventId -> similar eventIds[]).
+ * @param {string} eventId
+ * @param {*} similar
+ * @param {string} path - e.g. 'eventSimilarity["event_3"]'
+ * @param {Set<string>} [eventIds] - when given, ids must reference these
+ * @returns {{errors:Array<{path:string, message:string}>, warnings:Array<{path:string, message:string}>}}
+ */
+function validateSimilarityEntry(eventId, similar, path, eventIds) {
+  const errors = [];
+  const warnings = [];
+  if (eventIds && !eventIds.has(eventId)) {
+    errors.push({ path, message: `key references unknown event ${JSON.stringify(eventId)}` });
+  }
+  checkStringArray(similar, path, errors, warnings, 'event ids');
+  if (Array.isArray(similar)) {
+    similar.forEach((id, i) => {
+      if (!isNonEmptyString(id)) return;
+      if (id === eventId) warnings.push({ path: `${path}[${i}]`, message: 'lists the event as similar to itself' });
+      else if (eventIds && !eventIds.has(id)) {
+        errors.push({ path: `${path}[${i}]`, message: `references unknown event ${JSON.stringify(id)}` });
+      }
+    });
+  }
+  return { errors, warnings };
+}
+
+/** ==============
+ * Dataset checks
+ * ===============*/
+
+/**
+ * Validate a whole dataset.
+ * @param {*} data - { users[], events[], eventSimilarity{} }
+ * @returns {{valid:boolean, errors:Array<{path:string, message:string}>,
+ *   warnings:Array<{path:string, message:string}>,
+ *   stats:{users:number, events:number, similarityEntries:number}}}
+ */
+function validateDataset(data) {
+  const errors = [];
+  const warnings = [];
+  const merge = result => {
+    errors.push(...result.errors);
+    warnings.push(...result.warnings);
+  };
+
+  if (!isPlainObject(data)) {
+    errors.push({ path: '$', message: `must be an object with users, events and eventSimilarity (got ${describe(data)})` });
+    return { valid: false, errors, warnings, stats: { users: 0, events: 0, similarityEntries: 0 } };
+  }
+
+  // Events first: their ids are what everything else references
+  const events = Array.isArray(data.events) ? data.events : [];
+  if (!Array.isArray(data.events)) errors.push({ path: 'events', message: `must be an array (got ${describe(data.events)})` });
+  const eventIds = new Set();
+  events.forEach((ev, i) => {
+    merge(validateEvent(ev, `events[${i}]`));
+    if (isPlainObject(ev) && isNonEmptyString(ev.id)) {
+      if (eventIds.has(ev.id)) errors.push({ path: `events[${i}].id`, message: `duplicates event id ${JSON.stringify(ev.id)}` });
+      eventIds.add(ev.id);
+    }
+  });
+
+  const users = Array.isArray(data.users) ? data.users : [];
+  if (!Array.isArray(data.users)) errors.push({ path: 'users', message: `must be an array (got ${describe(data.users)})` });
+  const userIds = new Set();
+  users.forEach((user, i) => {
+    merge(validateUser(user, `users[${i}]`, eventIds));
+    if (isPlainObject(user) && isNonEmptyString(user.id)) {
+      if (userIds.has(user.id)) errors.push({ path: `users[${i}].id`, message: `duplicates user id ${JSON.stringify(user.id)}` });
+      userIds.add(user.id);
+    }
+  });
+
+  let similarityEntries = 0;
+  if (!isPlainObject(data.eventSimilarity)) {
+    errors.push({ path: 'eventSimilarity', message: `must be an object mapping event ids to arrays (got ${describe(data.eventSimilarity)})` });
+  } else {
+    for (const [eventId, similar] of Object.entries(data.eventSimilarity)) {
+      similarityEntries++;
+      merge(validateSimilarityEntry(eventId, similar, keyPath('eventSimilarity', eventId), eventIds));
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    stats: { users: users.length, events: events.length, similarityEntries },
+  };
+}
+
+/**
+ * Throw a DatasetValidationError when a check produced errors.
+ * @param {{errors:Array<{path:string, message:string}>}} result
+ * @param {string} what - short description for the message, e.g. "user"
+ */
+function assertValid(result, what) {
+  if (result.errors.length === 0) return;
+  const first = result.errors[0];
+  const more = result.errors.length > 1 ? ` (and ${result.errors.length - 1} more)` : '';
+  throw new DatasetValidationError(`Invalid ${what}: ${first.path} ${first.message}${more}`, result.errors);
+}
+
+/** =====
+ * CLI
+ * ======*/
+function formatIssues(label, issues, maxIssues) {
+  const lines = [`${label}: ${issues.length}`];
+  for (const issue of issues.slice(0, maxIssues)) lines.push(`  ${issue.path}: ${issue.message}`);
+  if (issues.length > maxIssues) lines.push(`  ... ${issues.length - maxIssues} more`);
+  return lines.join('\n');
+}
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'max-issues': { type: 'string', default: '50' },
+      json: { type: 'boolean', default: false },
+    },
+  });
+  const filePath = positionals[0] || 'event_recommendation_data.json';
+  const report = validateDataset(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+
+  if (values.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    const maxIssues = Number(values['max-issues']);
+    const { users, events, similarityEntries } = report.stats;
+    console.log(`${filePath}: ${users} users, ${events} events, ${similarityEntries} similarity entries`);
+    console.log(formatIssues('Errors', report.errors, maxIssues));
+    console.log(formatIssues('Warnings', report.warnings, maxIssues));
+    console.log(report.valid ? 'Dataset is valid ✓' : 'Dataset is INVALID ❌');
+  }
+  process.exitCode = report.valid ? 0 : 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  DatasetValidationError,
+  validateEvent,
+  validateUser,
+  validateSimilarityEntry,
+  validateDataset,
+  assertValid,
+};
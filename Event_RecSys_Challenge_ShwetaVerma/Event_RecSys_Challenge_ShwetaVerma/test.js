@@ -5,7 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const { calculateDistance, getRecommendedEvents } = require('./src/index');
+const { calculateDistance, getRecommendedEvents } = require('./src/app');
 
 // Load test data
 console.log('Loading test data...');
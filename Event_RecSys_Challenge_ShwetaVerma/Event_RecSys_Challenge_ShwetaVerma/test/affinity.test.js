@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getRecommendedEvents } = require('../src/app');
+const { buildAffinityProfile, affinityScore } = require('../src/affinity');
+
+const close = (a, b) => Math.abs(a - b) < 1e-12;
+const NO_SMOOTHING = { historyHalfWeight: 5, smoothing: 0 };
+
+test('behaviour gets more say as history grows', () => {
+  const stated = buildAffinityProfile(['Music', 'Art'], [], new Map(), NO_SMOOTHING);
+  assert.deepEqual(Object.fromEntries(stated.weights), { Music: 0.5, Art: 0.5 });
+
+  // Five history events weigh as much as the stated preferences; a split event counts half per category
+  const history = [
+    ...Array.from({ length: 4 }, () => ({ categories: ['Food'], weight: 1 })),
+    { categories: ['Food', 'Music'], weight: 1 },
+  ];
+  const mixed = buildAffinityProfile(['Music', 'Art'], history, new Map(), NO_SMOOTHING);
+  assert.ok(close(mixed.weights.get('Food'), 0.5 * 0.9));
+  assert.ok(close(mixed.weights.get('Music'), 0.25 + 0.5 * 0.1));
+  assert.ok(close(mixed.weights.get('Art'), 0.25));
+
+  // Smoothing mixes in global category popularity; nothing to learn from gives an empty profile
+  const smoothed = buildAffinityProfile(['Music'], [], new Map([['Music', 1], ['Art', 3]]), { historyHalfWeight: 5, smoothing: 0.2 });
+  assert.ok(close(smoothed.weights.get('Music'), 0.8 + 0.2 * 0.25));
+  assert.ok(close(smoothed.weights.get('Art'), 0.2 * 0.75));
+  assert.equal(buildAffinityProfile([], [], new Map([['Music', 1]]), NO_SMOOTHING).norm, 0);
+});
+
+test('affinityScore is the cosine between the profile and the event categories', () => {
+  const profile = buildAffinityProfile(['Music', 'Art'], [], new Map(), NO_SMOOTHING);
+  assert.ok(close(affinityScore(profile, ['Music']), Math.SQRT1_2));
+  assert.ok(close(affinityScore(profile, ['Music', 'Art']), 1));
+  assert.ok(close(affinityScore(profile, ['Music', 'Music']), Math.SQRT1_2));
+  assert.equal(affinityScore(profile, ['Food']), 0);
+  assert.equal(affinityScore(profile, []), 0);
+});
+
+test('a user who lists many interests but only goes to music gets music first', () => {
+  const candidates = ['Art', 'Food', 'Music', 'Sports', 'Tech'].map(c => ({ id: `next-${c}`, categories: [c], popularity: 0.5 }));
+  const past = Array.from({ length: 6 }, (_, i) => ({ id: `past-${i}`, categories: ['Music'], popularity: 0.5 }));
+  const user = {
+    id: 'u',
+    preferences: ['Art', 'Food', 'Music', 'Sports', 'Tech'],
+    attendedEvents: past.map(e => e.id),
+  };
+  const rank = options => getRecommendedEvents(user, candidates.concat(past), {}, 5, { explain: true, diversity: { enabled: false }, ...options });
+
+  // Stated preferences alone cannot tell the categories apart
+  const jaccard = rank({ preferenceModel: 'jaccard' });
+  assert.equal(new Set(jaccard.map(r => r.contributions.pref)).size, 1);
+  assert.deepEqual(jaccard.map(r => r.event.id), candidates.map(e => e.id));
+
+  const learned = rank({ preferenceModel: 'affinity' });
+  assert.equal(learned[0].event.id, 'next-Music');
+  assert.ok(learned[0].contributions.pref > 2 * learned[1].contributions.pref);
+
+  // With a larger historyHalfWeight the stated preferences keep more say
+  const patient = rank({ affinity: { historyHalfWeight: 1000 } });
+  assert.equal(patient[0].event.id, 'next-Music');
+  assert.ok(patient[0].contributions.pref - patient[1].contributions.pref < learned[0].contributions.pref - learned[1].contributions.pref);
+});
+
+test('rejects bad affinity settings', () => {
+  const rank = options => getRecommendedEvents({ id: 'u', preferences: ['Music'] }, [{ id: 'a', categories: ['Music'] }], {}, 1, options);
+  assert.throws(() => rank({ preferenceModel: 'cosine' }), RangeError);
+  assert.throws(() => rank({ affinity: { smoothing: 2 } }), RangeError);
+  assert.throws(() => rank({ affinity: { historyHalfWeight: 0 } }), RangeError);
+  assert.throws(() => rank({ affinity: [] }), TypeError);
+});
@@ -0,0 +1,179 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getRecommendedEvents } = require('../src/app');
+const { createRecommender } = require('../src/recommender');
+const { createBandit, saveBandit, loadBandit, sampleBeta } = require('../src/bandit');
+const { createRandom } = require('../src/random');
+
+const events = [];
+for (let i = 0; i < 10; i++) events.push({ id: `m${i}`, categories: ['Music'], popularity: 0.9 - i * 0.05 });
+for (let i = 0; i < 10; i++) events.push({ id: `a${i}`, categories: ['Art'], popularity: 0.85 - i * 0.05 });
+const user = { id: 'u', preferences: ['Music'], attendedEvents: [] };
+const variants = {
+  preference: { weights: { pref: 0.9, pop: 0.1 } },
+  popularity: { weights: { pref: 0, pop: 1 } },
+};
+
+const ids = results => results.map(r => (r.event ? r.event.id : r.id));
+
+// Users who only ever click Music events: the preference-heavy variant earns more reward
+function simulate(bandit, rounds) {
+  for (let i = 0; i < rounds; i++) {
+    const { impressionId, results } = bandit.recommend(user, events, {}, 3);
+    const hit = ids(results).find(id => id.startsWith('m') && Number(id.slice(1)) >= 2);
+    if (hit) bandit.feedback(impressionId, hit, 'attend');
+  }
+}
+
+test('a served variant ranks with its options merged over the request', () => {
+  const bandit = createBandit({ variants, seed: 1 });
+  const served = bandit.recommend(user, events, {}, 4, { diversity: { enabled: false } });
+  const options = { diversity: { enabled: false }, ...variants[served.variant] };
+  assert.deepEqual(served.results, getRecommendedEvents(user, events, {}, 4, options));
+  assert.deepEqual(served.explored, []);
+  assert.equal(served.impressionId, 'imp_1');
+  assert.equal(served.segment, 'all');
+
+  // The same seed chooses the same variants
+  const choices = seed => {
+    const b = createBandit({ variants, seed });
+    return Array.from({ length: 20 }, () => b.recommend(user, events, {}, 2).variant);
+  };
+  assert.deepEqual(choices(7), choices(7));
+});
+
+test('both policies converge on the variant that earns feedback', () => {
+  for (const policy of ['epsilonGreedy', 'thompson']) {
+    const bandit = createBandit({ variants, policy, seed: 3 });
+    simulate(bandit, 200);
+    const [preference, popularity] = bandit.stats().variants;
+    assert.ok(preference.impressions > popularity.impressions * 3, policy);
+    assert.ok(preference.meanReward > popularity.meanReward, policy);
+  }
+});
+
+test('each context segment learns its own best variant', () => {
+  // Newcomers attend popular events, returning users attend their preferred category
+  const newcomer = { id: 'new', preferences: ['Art'], attendedEvents: [] };
+  const regular = { id: 'regular', preferences: ['Art'], attendedEvents: ['a0'] };
+  const context = u => (u.attendedEvents.length === 0 ? 'new' : 'returning');
+  const bandit = createBandit({ variants, context, seed: 6 });
+  for (let i = 0; i < 300; i++) {
+    const u = i % 2 === 0 ? newcomer : regular;
+    const { impressionId, segment, results } = bandit.recommend(u, events, {}, 3);
+    assert.equal(segment, context(u));
+    const wanted = segment === 'new' ? 'm' : 'a';
+    const hit = ids(results).find(id => id.startsWith(wanted));
+    if (hit) bandit.feedback(impressionId, hit, 'attend');
+  }
+
+  const { segments, variants: total } = bandit.stats();
+  const served = segment => Object.fromEntries(segments[segment].map(v => [v.name, v.impressions]));
+  assert.ok(served('new').popularity > served('new').preference * 3);
+  assert.ok(served('returning').preference > served('returning').popularity * 3);
+  assert.equal(total[0].impressions, served('new').preference + served('returning').preference);
+
+  // The context is a function: loading needs it again to keep segmenting
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bandit-'));
+  const file = path.join(dir, 'bandit.json');
+  saveBandit(bandit, file);
+  const restored = loadBandit(file, { variants, context, seed: 6 });
+  assert.deepEqual(restored.stats().segments, segments);
+  assert.equal(restored.recommend(regular, events, {}, 3).segment, 'returning');
+  assert.equal(loadBandit(file).recommend(regular, events, {}, 3).segment, 'all');
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const broken = createBandit({ variants, context: () => 3, seed: 1 });
+  assert.throws(() => broken.recommend(user, events, {}, 3), TypeError);
+});
+
+test('feedback keeps the best reward per impression and ignores unknown impressions', () => {
+  const bandit = createBandit({ variants: { only: {} }, seed: 2, maxPending: 1 });
+  const first = bandit.recommend(user, events, {}, 3);
+  const [top, second] = ids(first.results);
+  assert.equal(bandit.feedback(first.impressionId, top, 'click'), true);
+  assert.equal(bandit.feedback(first.impressionId, second, 'attend'), true);
+  assert.equal(bandit.feedback(first.impressionId, top, 'click'), true);
+  assert.equal(bandit.stats().variants[0].reward, 1);
+
+  assert.equal(bandit.feedback(first.impressionId, 'not-shown', 'click'), false);
+  assert.equal(bandit.feedback('imp_404', top, 'click'), false);
+  // maxPending 1: the next list makes the first one forget its feedback
+  bandit.recommend(user, events, {}, 3);
+  assert.equal(bandit.feedback(first.impressionId, top, 'attend'), false);
+  assert.throws(() => bandit.feedback('imp_2', top, 'share'), RangeError);
+});
+
+test('exploratory slots come from below the list and are marked', () => {
+  const bandit = createBandit({ variants: { only: {} }, exploreSlots: 2, seed: 5 });
+  const options = { explain: true, diversity: { enabled: false } };
+  const wide = ids(getRecommendedEvents(user, events, {}, 15, options));
+  const { impressionId, results, explored } = bandit.recommend(user, events, {}, 5, options);
+
+  assert.equal(results.length, 5);
+  assert.equal(explored.length, 2);
+  assert.deepEqual(ids(results).filter(id => !explored.includes(id)), wide.slice(0, 3));
+  for (const id of explored) assert.ok(wide.slice(3).includes(id));
+  assert.deepEqual(results.map(r => r.rank), [1, 2, 3, 4, 5]);
+  assert.deepEqual(results.filter(r => r.explored).map(r => r.event.id).sort(), [...explored].sort());
+
+  bandit.feedback(impressionId, explored[0], 'click');
+  assert.deepEqual(bandit.stats().exploration, { slots: 2, shown: 2, reward: 0.3, meanReward: 0.15 });
+
+  // serve() wraps any ranking, e.g. a recommender
+  const recommender = createRecommender(events, {});
+  const served = bandit.serve((u, k, o) => recommender.recommend(u, k, o), user, 5);
+  assert.equal(served.results.length, 5);
+  assert.equal(served.explored.length, 2);
+});
+
+test('state round-trips through a file and survives a change of variants', () => {
+  const bandit = createBandit({ variants, seed: 4 });
+  simulate(bandit, 20);
+  const pending = bandit.recommend(user, events, {}, 3);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bandit-'));
+  const file = path.join(dir, 'bandit.json');
+  saveBandit(bandit, file);
+  const restored = loadBandit(file);
+  assert.deepEqual(restored.toJSON(), bandit.toJSON());
+  assert.equal(restored.feedback(pending.impressionId, ids(pending.results)[0], 'click'), true);
+  assert.equal(restored.recommend(user, events, {}, 3).impressionId, 'imp_22');
+
+  const [preference] = bandit.stats().variants;
+  const changed = loadBandit(file, { variants: { preference: variants.preference, geo: { weights: { geo: 1 } } } });
+  assert.deepEqual(changed.stats().variants.map(v => [v.name, v.impressions]), [['preference', preference.impressions], ['geo', 0]]);
+
+  fs.writeFileSync(file, '{"version":99}');
+  assert.throws(() => loadBandit(file), /not a bandit state file/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('Beta draws have the right mean', () => {
+  const random = createRandom(9);
+  let sum = 0;
+  for (let i = 0; i < 4000; i++) sum += sampleBeta(3, 7, random);
+  assert.ok(Math.abs(sum / 4000 - 0.3) < 0.01);
+});
+
+test('rejects bad bandit settings', () => {
+  assert.throws(() => createBandit(), TypeError);
+  assert.throws(() => createBandit({ variants: {}, seed: 1 }), TypeError);
+  assert.throws(() => createBandit({ variants: { a: [] }, seed: 1 }), TypeError);
+  assert.throws(() => createBandit({ variants: { a: { weights: { geo: -1 } } }, seed: 1 }), RangeError);
+  assert.throws(() => createBandit({ variants, policy: 'ucb', seed: 1 }), RangeError);
+  assert.throws(() => createBandit({ variants, epsilon: 2, seed: 1 }), RangeError);
+  assert.throws(() => createBandit({ variants, exploreSlots: 1.5, seed: 1 }), RangeError);
+  assert.throws(() => createBandit({ variants, explorePoolFactor: 1, seed: 1 }), RangeError);
+  assert.throws(() => createBandit({ variants, rewards: { share: 1 }, seed: 1 }), RangeError);
+  assert.throws(() => createBandit({ variants, rewards: { click: '1' }, seed: 1 }), TypeError);
+  assert.throws(() => createBandit({ variants, context: 'segment', seed: 1 }), TypeError);
+  assert.throws(() => createBandit({ variants, seed: 1.5 }), RangeError);
+  assert.throws(() => createBandit({ variants, seed: 1 }).serve(null, user), TypeError);
+});
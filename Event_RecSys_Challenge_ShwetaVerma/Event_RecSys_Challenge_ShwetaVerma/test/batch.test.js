@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { runBatch, scanOutput, formatUser } = require('../src/batch');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const events = [];
+const NYC = { lat: 40.7, lng: -74 };
+for (let i = 0; i < 6; i++) events.push({ id: `e${i}`, categories: [i % 2 ? 'Art' : 'Music'], popularity: 0.9 - i * 0.1, location: NYC });
+const users = [];
+for (let i = 0; i < 12; i++) users.push({ id: `u${i}`, location: NYC, preferences: [i % 2 ? 'Art' : 'Music'], attendedEvents: [] });
+users.push({ id: 'odd, "quoted"', location: NYC, preferences: [], attendedEvents: [] });
+const dataPath = path.join(tmp, 'data.json');
+fs.writeFileSync(dataPath, JSON.stringify({ users, events, eventSimilarity: {} }));
+
+const results = [
+  { rank: 1, event: { id: 'e1' }, score: 0.81234567 },
+  { rank: 2, event: { id: 'e,2' }, score: 0.5 },
+];
+
+// Output lines without the CSV header, sorted (chunks finish in any order)
+function records(text, format) {
+  const lines = text.split('\n').filter(Boolean);
+  return (format === 'csv' ? lines.slice(1) : lines).sort();
+}
+
+test('formatUser writes one JSONL line or one CSV row per recommendation', () => {
+  assert.equal(formatUser('u1', results, 'jsonl'),
+    '{"userId":"u1","recommendations":[{"rank":1,"eventId":"e1","score":0.812346},{"rank":2,"eventId":"e,2","score":0.5}]}\n');
+  assert.equal(formatUser('a "b"', results, 'csv'), '"a ""b""",1,e1,0.812346\n"a ""b""",2,"e,2",0.5\n');
+  assert.equal(formatUser('u1', [], 'csv'), '');
+});
+
+test('scanOutput cuts a torn JSONL line and keeps every complete one', () => {
+  const file = path.join(tmp, 'torn.jsonl');
+  const complete = formatUser('u1', results, 'jsonl') + formatUser('ü2', results, 'jsonl');
+  fs.writeFileSync(file, `${complete}{"userId":"u3","recomm`);
+  assert.deepEqual(scanOutput(file, 'jsonl'), { done: new Set(['u1', 'ü2']), validBytes: Buffer.byteLength(complete) });
+
+  // A complete line that is not a user record ends the valid part too
+  fs.writeFileSync(file, `${complete}not json\n${formatUser('u4', results, 'jsonl')}`);
+  assert.equal(scanOutput(file, 'jsonl').validBytes, Buffer.byteLength(complete));
+});
+
+test('scanOutput drops the last CSV user, whose rows may be incomplete', () => {
+  const file = path.join(tmp, 'torn.csv');
+  const header = 'userId,rank,eventId,score\n';
+  const first = formatUser('u1', results, 'csv') + formatUser('odd, "quoted"', results, 'csv');
+  const last = formatUser('u3', results, 'csv');
+  fs.writeFileSync(file, `${header}${first}${last}u4,1,e`);
+  assert.deepEqual(scanOutput(file, 'csv'), { done: new Set(['u1', 'odd, "quoted"']), validBytes: Buffer.byteLength(header + first) });
+
+  fs.writeFileSync(file, header);
+  assert.deepEqual(scanOutput(file, 'csv'), { done: new Set(), validBytes: header.length });
+});
+
+test('a resumed batch writes every user exactly once', async () => {
+  for (const format of ['jsonl', 'csv']) {
+    const outPath = path.join(tmp, `out.${format}`);
+    const settings = { dataPath, outPath, format, k: 3, workers: 2, chunkSize: 4 };
+    await runBatch(settings);
+    const full = fs.readFileSync(outPath, 'utf8');
+
+    // Interrupted part-way through a line
+    fs.writeFileSync(outPath, full.slice(0, Math.floor(full.length / 2)));
+    const resumed = await runBatch({ ...settings, resume: true });
+    assert.ok(resumed.skipped > 0 && resumed.skipped + resumed.written === users.length, format);
+
+    assert.deepEqual(records(fs.readFileSync(outPath, 'utf8'), format), records(full, format), format);
+  }
+});
+
+test('a failing worker stops the whole batch', async () => {
+  // Strict mode fails on the malformed user; the other workers must stop before the output
+  // closes (a late chunk used to be written to the closed file and crash the process)
+  const badPath = path.join(tmp, 'bad.json');
+  const more = Array.from({ length: 60 }, (_, i) => ({ ...users[i % 12], id: `more${i}` }));
+  const bad = users.slice(0, 2).concat([{ id: 'broken', preferences: 'Music' }], more);
+  fs.writeFileSync(badPath, JSON.stringify({ users: bad, events, eventSimilarity: {} }));
+  await assert.rejects(
+    runBatch({ dataPath: badPath, outPath: path.join(tmp, 'bad.jsonl'), k: 3, workers: 3, chunkSize: 1, options: { strict: true } }),
+    /Invalid user/);
+  await assert.rejects(runBatch({ dataPath, outPath: path.join(tmp, 'x.jsonl'), k: 0 }), RangeError);
+});
+
+test('lists are ranked at the dataset reference time, with a warning when everything has ended', async () => {
+  const timedPath = path.join(tmp, 'timed.json');
+  const timed = events.map((ev, i) => ({ ...ev, startTime: `2024-01-0${i + 2}T18:00:00Z` }));
+  fs.writeFileSync(timedPath, JSON.stringify({ users, events: timed, eventSimilarity: {}, referenceTime: '2024-01-01T00:00:00Z' }));
+  const outPath = path.join(tmp, 'timed.jsonl');
+  const lists = () => fs.readFileSync(outPath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line).recommendations);
+
+  const recorded = await runBatch({ dataPath: timedPath, outPath, k: 3, workers: 1 });
+  assert.equal(recorded.now, Date.parse('2024-01-01T00:00:00Z'));
+  assert.deepEqual(recorded.warnings, []);
+  assert.ok(lists().every(list => list.length === 3));
+
+  // options.now wins; at a time after every event, lists are empty and the summary says why
+  const late = await runBatch({ dataPath: timedPath, outPath, k: 3, workers: 1, options: { now: '2024-02-01T00:00:00Z' } });
+  assert.equal(late.warnings.length, 1);
+  assert.match(late.warnings[0], /every event has ended at 2024-02-01T00:00:00.000Z/);
+  assert.ok(lists().every(list => list.length === 0));
+});
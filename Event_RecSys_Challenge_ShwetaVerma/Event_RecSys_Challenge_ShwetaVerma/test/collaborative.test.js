@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { getRecommendedEvents } = require('../src/app');
+const { buildCoAttendanceModel, scoreFromHistory, saveModel, loadModel } = require('../src/collaborative');
+
+// n(a) = 3, n(b) = 3, n(c) = 1, n(d) = 1; co(a, b) = 2, co(a, c) = co(b, c) = co(a, d) = 1
+const users = [
+  { id: 'u1', attendedEvents: ['a', 'b', 'c'] },
+  { id: 'u2', attendedEvents: ['a', 'b', 'b'] }, // repeats count once
+  { id: 'u3', attendedEvents: ['a', 'd'] },
+  { id: 'u4', attendedEvents: ['b'] },
+  { id: 'u5' },
+];
+const events = ['a', 'b', 'c', 'd', 'e'].map(id => ({ id, categories: [], popularity: 0.5 }));
+const third = 1 / Math.sqrt(3);
+
+function assertNeighbors(actual, expected) {
+  assert.deepEqual(actual.map(([id]) => id), expected.map(([id]) => id));
+  actual.forEach(([, score], i) => assert.ok(Math.abs(score - expected[i][1]) < 1e-12, `${actual[i][0]}: ${score}`));
+}
+
+test('cosine and jaccard weigh neighbours by co-attendance', () => {
+  const cosine = buildCoAttendanceModel(users);
+  assert.equal(cosine.version, 1);
+  assert.equal(cosine.metric, 'cosine');
+  assert.deepEqual(Object.keys(cosine.neighbors).sort(), ['a', 'b', 'c', 'd']);
+  assertNeighbors(cosine.neighbors.a, [['b', 2 / 3], ['c', third], ['d', third]]); // ties by id
+  assertNeighbors(cosine.neighbors.c, [['a', third], ['b', third]]);
+  assertNeighbors(cosine.neighbors.d, [['a', third]]);
+
+  const jaccard = buildCoAttendanceModel(users, { metric: 'jaccard' });
+  assertNeighbors(jaccard.neighbors.a, [['b', 2 / 4], ['c', 1 / 3], ['d', 1 / 3]]);
+
+  // Limits: neighbours kept per event, and rare pairs
+  assertNeighbors(buildCoAttendanceModel(users, { maxNeighbors: 1 }).neighbors.a, [['b', 2 / 3]]);
+  assert.deepEqual(Object.keys(buildCoAttendanceModel(users, { minCoCount: 2 }).neighbors).sort(), ['a', 'b']);
+});
+
+test('history scores keep the best neighbour and scale the strongest to 1', () => {
+  const model = buildCoAttendanceModel(users);
+  const scores = scoreFromHistory(model, ['a', 'b']);
+  assert.deepEqual(scores.get('a'), { score: 1, similarity: 2 / 3, via: 'b' });
+  assert.deepEqual(scores.get('b'), { score: 1, similarity: 2 / 3, via: 'a' });
+  assert.equal(scores.get('c').via, 'a'); // as close to a as to b: the first attended wins
+  assert.ok(Math.abs(scores.get('c').score - third / (2 / 3)) < 1e-12);
+  assert.equal(scores.has('e'), false);
+
+  assert.equal(scoreFromHistory(model, []).size, 0);
+  assert.equal(scoreFromHistory(model, ['e']).size, 0);
+  assert.equal(scoreFromHistory(null, ['a']).size, 0);
+});
+
+test('the collab signal ranks co-attended events and never attended ones', () => {
+  const collaborative = buildCoAttendanceModel(users);
+  const onlyCollab = { weights: { pref: 0, sim: 0, pop: 0, cold: 0, collab: 1 }, diversity: { enabled: false }, explain: true };
+  const results = getRecommendedEvents({ id: 'x', preferences: [], attendedEvents: ['a'] }, events, {}, 5, { ...onlyCollab, collaborative });
+
+  assert.deepEqual(results.map(r => r.event.id), ['b', 'c', 'd', 'e']); // a is attended
+  assert.equal(results[0].score, 1);
+  assert.equal(results[0].coAttendedWith, 'a');
+  assert.ok(Math.abs(results[1].contributions.collab - third / (2 / 3)) < 1e-12);
+  assert.equal(results[3].contributions.collab, 0);
+  assert.equal(results[3].coAttendedWith, null);
+});
+
+test('without history the collab signal stays out of the score', () => {
+  const collaborative = buildCoAttendanceModel(users);
+  const newcomer = { id: 'new', preferences: [], attendedEvents: [] };
+  const withModel = getRecommendedEvents(newcomer, events, {}, 5, { collaborative, explain: true });
+  assert.deepEqual(withModel, getRecommendedEvents(newcomer, events, {}, 5, { explain: true }));
+  assert.ok(withModel.every(r => r.contributions.collab === 0));
+
+  assert.deepEqual(buildCoAttendanceModel([]).neighbors, {});
+  assert.deepEqual(buildCoAttendanceModel([{ attendedEvents: ['a'] }]).neighbors, {});
+});
+
+test('build:cf writes a model that loads back', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-'));
+  try {
+    const data = path.join(dir, 'data.json');
+    const out = path.join(dir, 'cf_model.json');
+    fs.writeFileSync(data, JSON.stringify({ users, events, eventSimilarity: {} }));
+    const run = spawnSync(process.execPath, [path.join(__dirname, '..', 'src', 'collaborative.js'),
+      '--data', data, '--out', out, '--metric', 'jaccard', '--max-neighbors', '2'], { encoding: 'utf8' });
+    assert.equal(run.status, 0, run.stderr);
+    assert.match(run.stdout, /Wrote 4 event neighbor lists/);
+    assert.deepEqual(loadModel(out), buildCoAttendanceModel(users, { metric: 'jaccard', maxNeighbors: 2 }));
+
+    saveModel({ version: 99, neighbors: {} }, out);
+    assert.throws(() => loadModel(out), /not a co-attendance model/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('rejects bad model settings', () => {
+  assert.throws(() => buildCoAttendanceModel(users, { metric: 'pearson' }), RangeError);
+  assert.throws(() => buildCoAttendanceModel(users, { maxNeighbors: 0 }), RangeError);
+  assert.throws(() => buildCoAttendanceModel(users, { minCoCount: 1.5 }), RangeError);
+  assert.throws(() => getRecommendedEvents(users[0], events, {}, 3, { collaborative: { neighbors: [] } }), TypeError);
+});
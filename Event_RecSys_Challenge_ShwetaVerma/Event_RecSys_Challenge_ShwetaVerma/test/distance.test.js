@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateDistance } = require('../src/app');
+
+const EARTH_RADIUS_KM = 6371;
+const HALF_CIRCUMFERENCE_KM = Math.PI * EARTH_RADIUS_KM;
+
+function assertNear(actual, expected, toleranceKm, message) {
+  assert.ok(Math.abs(actual - expected) <= toleranceKm, `${message}: expected ~${expected}, got ${actual}`);
+}
+
+test('known city pairs', () => {
+  assertNear(calculateDistance({ lat: 40.7128, lng: -74.006 }, { lat: 34.0522, lng: -118.2437 }), 3936, 10, 'NYC-LA');
+  assertNear(calculateDistance({ lat: 51.5074, lng: -0.1278 }, { lat: 48.8566, lng: 2.3522 }), 344, 5, 'London-Paris');
+});
+
+test('same point is 0 and distance is symmetric', () => {
+  const sf = { lat: 37.7749, lng: -122.4194 };
+  const tokyo = { lat: 35.6762, lng: 139.6503 };
+  assert.equal(calculateDistance(sf, sf), 0);
+  assert.equal(calculateDistance(sf, tokyo), calculateDistance(tokyo, sf));
+});
+
+test('antipodes are half the circumference apart', () => {
+  // Haversine loses a little precision near antipodes: within a meter is fine
+  assertNear(calculateDistance({ lat: 0, lng: 0 }, { lat: 0, lng: 180 }), HALF_CIRCUMFERENCE_KM, 1e-3, 'equator');
+  assertNear(calculateDistance({ lat: 40, lng: -74 }, { lat: -40, lng: 106 }), HALF_CIRCUMFERENCE_KM, 1e-3, 'NYC antipode');
+  assertNear(calculateDistance({ lat: 90, lng: 0 }, { lat: -90, lng: 0 }), HALF_CIRCUMFERENCE_KM, 1e-3, 'pole to pole');
+});
+
+test('longitude does not matter at the poles', () => {
+  assertNear(calculateDistance({ lat: 90, lng: 0 }, { lat: 90, lng: 135 }), 0, 1e-6, 'north pole');
+  assertNear(calculateDistance({ lat: -90, lng: -45 }, { lat: -90, lng: 170 }), 0, 1e-6, 'south pole');
+  // Every point on the equator is a quarter circumference from a pole
+  assertNear(calculateDistance({ lat: 90, lng: 0 }, { lat: 0, lng: 77 }), HALF_CIRCUMFERENCE_KM / 2, 1e-6, 'pole to equator');
+});
+
+test('crossing the dateline takes the short way round', () => {
+  const west = { lat: 0, lng: 179.5 };
+  const east = { lat: 0, lng: -179.5 };
+  const oneDegree = HALF_CIRCUMFERENCE_KM / 180;
+  assertNear(calculateDistance(west, east), oneDegree, 1e-6, 'across the dateline');
+  assertNear(calculateDistance({ lat: 10, lng: 180 }, { lat: 10, lng: -180 }), 0, 1e-6, '180 and -180');
+});
+
+test('invalid input is Infinity', () => {
+  const ok = { lat: 40, lng: -74 };
+  const invalid = [
+    undefined, null, {}, { lat: 40 }, { lng: -74 },
+    { lat: '40', lng: -74 }, { lat: NaN, lng: -74 }, { lat: 40, lng: Infinity },
+  ];
+  for (const point of invalid) {
+    assert.equal(calculateDistance(point, ok), Infinity, JSON.stringify(point));
+    assert.equal(calculateDistance(ok, point), Infinity, JSON.stringify(point));
+  }
+});
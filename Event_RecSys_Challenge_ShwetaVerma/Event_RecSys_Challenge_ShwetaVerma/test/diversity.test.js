@@ -0,0 +1,159 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getRecommendedEvents, resolveOptions, calculateDistance } = require('../src/app');
+const {
+  diversify, rerankWithCategoryDiversity, selectMmr, selectGeoSpread, selectNovelty,
+} = require('../src/diversity');
+
+// A ranking heap node, as rankEvents builds them
+function node(id, score, categories, { location, popularity = 0.5 } = {}) {
+  return { id, score, distance: Infinity, popularity, event: { id, categories, location, popularity } };
+}
+
+const ids = nodes => nodes.map(n => n.id);
+
+const geoContext = {
+  locationOf: ev => ev.location || null,
+  distanceKm: calculateDistance,
+};
+
+test('category: repeats are penalized by alpha per earlier pick', () => {
+  const nodes = [node('a', 0.9, ['Music']), node('b', 0.85, ['Music']), node('c', 0.8, ['Food'])];
+  assert.deepEqual(ids(rerankWithCategoryDiversity(nodes, 0.08, Infinity)), ['a', 'c', 'b']);
+  assert.deepEqual(ids(rerankWithCategoryDiversity(nodes, 0, Infinity)), ['a', 'b', 'c']);
+});
+
+test('category: capPenalty applies once a category reaches perCategoryCap', () => {
+  const nodes = [node('a', 0.9, ['Music']), node('b', 0.89, ['Music']), node('c', 0.5, ['Food'])];
+  assert.deepEqual(ids(rerankWithCategoryDiversity(nodes, 0, 1, undefined, 0.5)), ['a', 'c', 'b']);
+  assert.deepEqual(ids(rerankWithCategoryDiversity(nodes, 0, 1, undefined, 0.1)), ['a', 'b', 'c']);
+});
+
+test('category: initialCounts carry categories already shown', () => {
+  const nodes = [node('a', 0.9, ['Music']), node('b', 0.85, ['Food'])];
+  assert.deepEqual(ids(rerankWithCategoryDiversity(nodes, 0.08, Infinity, new Map([['Music', 1]]))), ['b', 'a']);
+});
+
+test('mmr: category overlap pulls in a lower-scored, different event', () => {
+  const nodes = [
+    node('a', 0.9, ['Music']), node('b', 0.88, ['Music']), node('c', 0.86, ['Music']), node('d', 0.7, ['Art']),
+  ];
+  const settings = { lambda: 0.7, similarity: 'categories' };
+  assert.deepEqual(ids(selectMmr(nodes, 2, settings)), ['a', 'd']);
+  assert.deepEqual(ids(selectMmr(nodes, 2, { ...settings, lambda: 1 })), ['a', 'b']);
+});
+
+test('mmr: eventSimilarity links count as similar, in either direction', () => {
+  const nodes = [node('a', 0.9, ['Music']), node('b', 0.88, ['Art']), node('c', 0.8, ['Food'])];
+  const eventSimilarity = { b: ['a'] };
+  assert.deepEqual(ids(selectMmr(nodes, 2, { lambda: 0.7, similarity: 'categories' }, { eventSimilarity })), ['a', 'b']);
+  assert.deepEqual(ids(selectMmr(nodes, 2, { lambda: 0.7, similarity: 'eventSimilarity' }, { eventSimilarity })), ['a', 'c']);
+  assert.deepEqual(ids(selectMmr(nodes, 2, { lambda: 0.7, similarity: 'both' }, { eventSimilarity })), ['a', 'c']);
+});
+
+test('mmr: already picked nodes (e.g. pinned) count as selected', () => {
+  const nodes = [node('b', 0.88, ['Music']), node('d', 0.8, ['Art'])];
+  const picked = [node('a', 1, ['Music'])];
+  assert.deepEqual(ids(selectMmr(nodes, 1, { lambda: 0.7, similarity: 'categories' }, { picked })), ['d']);
+});
+
+test('geo: events near one already picked are pushed down', () => {
+  const nyc = { lat: 40.7128, lng: -74.006 };
+  const nearNyc = { lat: 40.72, lng: -74.0 };
+  const boston = { lat: 42.3601, lng: -71.0589 };
+  const nodes = [
+    node('a', 0.9, [], { location: nyc }),
+    node('b', 0.85, [], { location: nearNyc }),
+    node('c', 0.8, [], { location: boston }),
+    node('d', 0.79, []), // no location: never penalized
+  ];
+  assert.deepEqual(ids(selectGeoSpread(nodes, 3, { spreadKm: 25, strength: 0.15 }, geoContext)), ['a', 'c', 'd']);
+  assert.deepEqual(ids(selectGeoSpread(nodes, 3, { spreadKm: 25, strength: 0 }, geoContext)), ['a', 'b', 'c']);
+  // A tiny spread only penalizes events at (almost) the same spot
+  assert.deepEqual(ids(selectGeoSpread(nodes, 3, { spreadKm: 0.01, strength: 0.15 }, geoContext)), ['a', 'b', 'c']);
+});
+
+test('novelty: weight trades score for less popular events', () => {
+  const nodes = [
+    node('a', 0.9, [], { popularity: 0.95 }),
+    node('b', 0.85, [], { popularity: 0.1 }),
+    node('c', 0.8, [], { popularity: 0.9 }),
+  ];
+  assert.deepEqual(ids(selectNovelty(nodes, 2, { weight: 0.1 })), ['b', 'a']);
+  assert.deepEqual(ids(selectNovelty(nodes, 2, { weight: 0 })), ['a', 'b']);
+});
+
+test('diversify dispatches on strategy and returns at most k nodes', () => {
+  const settings = resolveOptions({}).diversity;
+  const nodes = [node('a', 0.9, ['Music']), node('b', 0.85, ['Music']), node('c', 0.8, ['Food'])];
+  for (const strategy of ['category', 'mmr', 'geo', 'novelty']) {
+    const out = diversify(nodes, 2, { ...settings, strategy }, { ...geoContext, picked: [] });
+    assert.equal(out.length, 2, strategy);
+    assert.equal(new Set(ids(out)).size, 2, strategy);
+  }
+});
+
+test('resolveOptions: defaults and pool factor per strategy', () => {
+  assert.equal(resolveOptions({}).diversity.poolFactor, 1);
+  assert.equal(resolveOptions({ diversity: { strategy: 'mmr' } }).diversity.poolFactor, 3);
+  assert.equal(resolveOptions({ diversity: { strategy: 'geo', poolFactor: 2 } }).diversity.poolFactor, 2);
+  const { mmr, geo } = resolveOptions({ diversity: { mmr: { lambda: 0.5 } } }).diversity;
+  assert.deepEqual(mmr, { lambda: 0.5, similarity: 'categories' });
+  assert.deepEqual(geo, { spreadKm: 25, strength: 0.15 });
+});
+
+test('resolveOptions: rejects bad diversity settings', () => {
+  const bad = [
+    [{ strategy: 'random' }, RangeError],
+    [{ poolFactor: 0.5 }, RangeError],
+    [{ capPenalty: -1 }, RangeError],
+    [{ mmr: { lambda: 1.5 } }, RangeError],
+    [{ mmr: { similarity: 'cosine' } }, RangeError],
+    [{ mmr: { unknown: 1 } }, RangeError],
+    [{ geo: { spreadKm: 0 } }, RangeError],
+    [{ geo: { strength: '0.1' } }, TypeError],
+    [{ novelty: 0.2 }, TypeError],
+  ];
+  for (const [diversity, ErrorType] of bad) {
+    assert.throws(() => resolveOptions({ diversity }), ErrorType, JSON.stringify(diversity));
+  }
+});
+
+test('getRecommendedEvents: a larger pool lets mmr pick events from below the top k', () => {
+  const user = { id: 'u', preferences: ['Music'], attendedEvents: [] };
+  const events = [
+    { id: 'm1', categories: ['Music'], popularity: 0.9 },
+    { id: 'm2', categories: ['Music'], popularity: 0.8 },
+    { id: 'm3', categories: ['Music'], popularity: 0.7 },
+    { id: 'x1', categories: ['Art'], popularity: 0.9 },
+  ];
+  const plain = getRecommendedEvents(user, events, {}, 2, { diversity: { strategy: 'mmr', poolFactor: 1 } });
+  assert.deepEqual(plain.map(e => e.id), ['m1', 'm2']);
+
+  const results = getRecommendedEvents(user, events, {}, 2, {
+    diversity: { strategy: 'mmr', poolFactor: 2, mmr: { lambda: 0.5 } },
+    explain: true,
+  });
+  assert.deepEqual(results.map(r => r.event.id), ['m1', 'x1']);
+  assert.equal(results[1].baseRank, 4);
+});
+
+test('getRecommendedEvents: every strategy returns distinct, unattended events within the limit', () => {
+  const categories = ['Music', 'Art', 'Food', 'Tech'];
+  const events = Array.from({ length: 40 }, (_, i) => ({
+    id: `e${i}`,
+    categories: [categories[i % 4]],
+    popularity: (i % 10) / 10,
+    location: { lat: 40 + (i % 5) * 0.5, lng: -74 + (i % 7) * 0.5 },
+  }));
+  const user = { id: 'u', preferences: ['Music', 'Art'], attendedEvents: ['e0', 'e1'], location: { lat: 40, lng: -74 } };
+  for (const strategy of ['category', 'mmr', 'geo', 'novelty']) {
+    const out = getRecommendedEvents(user, events, { e0: ['e4', 'e8'] }, 8, { diversity: { strategy } });
+    assert.equal(out.length, 8, strategy);
+    assert.equal(new Set(out.map(e => e.id)).size, 8, strategy);
+    assert.ok(out.every(e => e.id !== 'e0' && e.id !== 'e1'), strategy);
+  }
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  splitHoldout, precisionAtK, recallAtK, ndcgAtK, averagePrecisionAtK, intraListDiversity, evaluateSplit, evaluate,
+} = require('../src/evaluate');
+
+const close = (actual, expected, label) => assert.ok(Math.abs(actual - expected) < 1e-12, `${label}: ${actual} != ${expected}`);
+
+// Hits at ranks 2 and 4; 'x' was held out but never recommended
+const ids = ['a', 'b', 'c', 'd'];
+const relevant = new Set(['b', 'd', 'x']);
+
+test('precision and recall count hits in the first k', () => {
+  close(precisionAtK(ids, relevant, 4), 2 / 4, 'p@4');
+  close(precisionAtK(ids, relevant, 2), 1 / 2, 'p@2');
+  close(precisionAtK(ids, relevant, 10), 2 / 10, 'p@10'); // short lists are not rewarded
+  close(recallAtK(ids, relevant, 4), 2 / 3, 'r@4');
+  close(recallAtK(ids, relevant, 2), 1 / 3, 'r@2');
+  close(recallAtK(ids, relevant, 1), 0, 'r@1');
+  assert.equal(precisionAtK(ids, relevant, 0), 0);
+});
+
+test('NDCG and average precision discount hits by rank', () => {
+  // DCG = 1/log2(3) + 1/log2(5); the ideal list puts the three positives first
+  close(ndcgAtK(ids, relevant, 4), (1 / Math.log2(3) + 1 / Math.log2(5)) / (1 + 1 / Math.log2(3) + 1 / 2), 'ndcg@4');
+  close(ndcgAtK(ids, relevant, 2), (1 / Math.log2(3)) / (1 + 1 / Math.log2(3)), 'ndcg@2');
+  close(ndcgAtK(['b', 'd', 'x', 'a'], relevant, 4), 1, 'ideal');
+  close(ndcgAtK(['b'], new Set(['b']), 10), 1, 'one positive');
+
+  // (1/2 + 2/4) / min(k, |relevant|)
+  close(averagePrecisionAtK(ids, relevant, 4), 1 / 3, 'ap@4');
+  close(averagePrecisionAtK(ids, relevant, 2), (1 / 2) / 2, 'ap@2');
+  close(averagePrecisionAtK(['b', 'd', 'x'], relevant, 3), 1, 'ideal');
+});
+
+test('users with no held-out positives score zero on every metric', () => {
+  const none = new Set();
+  for (const metric of [precisionAtK, recallAtK, ndcgAtK, averagePrecisionAtK]) {
+    assert.equal(metric(ids, none, 4), 0, metric.name);
+    assert.equal(metric([], none, 4), 0, metric.name);
+  }
+  assert.equal(recallAtK([], relevant, 4), 0);
+});
+
+test('intra-list diversity is the mean pairwise Jaccard distance between categories', () => {
+  const list = [{ categories: ['Art', 'Music'] }, { categories: ['Art'] }, { categories: ['Food'] }];
+  close(intraListDiversity(list), (0.5 + 1 + 1) / 3, 'three events');
+  assert.equal(intraListDiversity(list.slice(0, 1)), 0);
+  assert.equal(intraListDiversity([]), 0);
+});
+
+test('evaluateSplit averages over users, including those with no positives, and measures coverage', () => {
+  const categories = { a: ['Art'], b: ['Art'], c: ['Music'], d: ['Food'], e: ['Art'] };
+  const lists = { u1: ids, u2: ['a', 'e'] };
+  const recommender = { recommend: (user, k) => lists[user.id].slice(0, k).map(id => ({ id, categories: categories[id] })) };
+  const split = [
+    { user: { id: 'u1' }, heldOut: relevant },
+    { user: { id: 'u2' }, heldOut: new Set() },
+  ];
+
+  const metrics = evaluateSplit(recommender, split, 10, {}, 4);
+  assert.equal(metrics.users, 2);
+  assert.equal(metrics.k, 4);
+  close(metrics.precision, 0.5 / 2, 'precision');
+  close(metrics.recall, (2 / 3) / 2, 'recall');
+  close(metrics.ndcg, ndcgAtK(ids, relevant, 4) / 2, 'ndcg');
+  close(metrics.map, (1 / 3) / 2, 'map');
+  close(metrics.coverage, 5 / 10, 'coverage'); // a, b, c, d, e
+  // u1: pairs ab 0, ac 1, ad 1, bc 1, bd 1, cd 1 -> 5/6; u2: a and e share Art -> 0
+  close(metrics.diversity, (5 / 6) / 2, 'diversity');
+
+  const empty = evaluateSplit(recommender, [], 10, {}, 4);
+  assert.deepEqual(empty, { users: 0, k: 4, precision: 0, recall: 0, ndcg: 0, map: 0, coverage: 0, diversity: 0 });
+});
+
+test('splitHoldout holds out part of each eligible history, reproducibly', () => {
+  const users = [
+    { id: 'u1', attendedEvents: ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'] },
+    { id: 'u2', attendedEvents: ['a', 'a'] }, // one distinct event: skipped
+    { id: 'u3', attendedEvents: ['a', 'b'] },
+    { id: 'u4' },
+  ];
+  const split = splitHoldout(users, { holdoutFraction: 0.3, seed: 7 });
+  assert.deepEqual(split.map(s => s.user.id), ['u1', 'u3']);
+  assert.deepEqual(split.map(s => s.heldOut.size), [3, 1]); // at least one
+  for (const { user, heldOut } of split) {
+    const original = users.find(u => u.id === user.id).attendedEvents;
+    assert.ok(user.attendedEvents.every(id => !heldOut.has(id)));
+    assert.deepEqual([...user.attendedEvents, ...heldOut].sort(), Array.from(new Set(original)).sort());
+  }
+  assert.deepEqual(splitHoldout(users, { holdoutFraction: 0.3, seed: 7 }), split);
+  assert.equal(splitHoldout(users, { maxUsers: 1 }).length, 1);
+
+  assert.throws(() => splitHoldout(users, { holdoutFraction: 1 }), RangeError);
+  assert.throws(() => splitHoldout(users, { maxUsers: 0 }), RangeError);
+  assert.throws(() => splitHoldout(users, { seed: 1.5 }), RangeError);
+});
+
+test('evaluate scores every config on the same split', () => {
+  const events = ['a', 'b', 'c', 'd'].map((id, i) => ({ id, categories: ['Music'], popularity: 0.9 - i * 0.1 }));
+  const users = [{ id: 'u1', preferences: ['Music'], attendedEvents: ['a', 'b', 'c'] }];
+  const dataset = { users, events, eventSimilarity: {} };
+
+  const results = evaluate(dataset, { base: {}, flat: { weights: { pop: 0 } } }, { k: 2, holdoutFraction: 0.5 });
+  assert.deepEqual(Object.keys(results), ['base', 'flat']);
+  assert.equal(results.base.users, 1);
+  // The one held-out event and 'd' are the only candidates left, so it is always found
+  close(results.base.recall, 1, 'recall');
+  close(results.base.precision, 1 / 2, 'precision');
+  assert.throws(() => evaluate(dataset, { base: {} }, { k: 0 }), RangeError);
+});
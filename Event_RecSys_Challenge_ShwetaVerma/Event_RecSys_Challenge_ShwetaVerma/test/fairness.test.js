@@ -0,0 +1,131 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getRecommendedEvents } = require('../src/app');
+const { createRecommender } = require('../src/recommender');
+const { getGroupRecommendations } = require('../src/group');
+const {
+  createExposureTracker, saveExposure, loadExposure, gini, exposureReport,
+} = require('../src/fairness');
+
+const close = (a, b) => Math.abs(a - b) < 1e-12;
+
+// Ten popular Music events, then five long-tail ones that only a fairness slot brings in
+const events = [];
+for (let i = 0; i < 10; i++) events.push({ id: `hit${i}`, categories: ['Music'], popularity: 0.9 - i * 0.01 });
+for (let i = 0; i < 5; i++) events.push({ id: `tail${i}`, categories: ['Art'], popularity: 0.1 - i * 0.01 });
+const user = { id: 'u', preferences: ['Music'], attendedEvents: [] };
+const NO_DIVERSITY = { diversity: { enabled: false } };
+
+const ids = results => results.map(r => (r.event ? r.event.id : r.id));
+
+test('gini is 0 for even exposure and grows as it concentrates', () => {
+  assert.equal(gini([]), 0);
+  assert.equal(gini([0, 0]), 0);
+  assert.equal(gini([3, 3, 3, 3]), 0);
+  assert.ok(close(gini([0, 0, 0, 4]), 0.75));
+  assert.ok(gini([1, 2, 3, 10]) > gini([2, 3, 4, 5]));
+});
+
+test('the tracker weighs impressions by position and can decay and persist', () => {
+  const tracker = createExposureTracker();
+  tracker.record([{ id: 'a' }, { id: 'b' }, { id: 'c' }], 0);
+  assert.equal(tracker.exposureOf('a'), 1);
+  assert.ok(close(tracker.exposureOf('c'), 0.5));
+  // Explain records carry their rank (later pages count less)
+  tracker.record([{ event: { id: 'a' }, rank: 3 }], 0);
+  assert.ok(close(tracker.exposureOf('a'), 1.5));
+  assert.equal(tracker.exposureOf('unseen'), 0);
+  assert.equal(tracker.lists, 2);
+
+  const fading = createExposureTracker({ positionWeighting: 'uniform', halfLifeDays: 1 });
+  fading.record([{ id: 'a' }, { id: 'b' }], '2024-06-01T00:00:00Z');
+  fading.record([{ id: 'a' }], '2024-06-02T00:00:00Z');
+  assert.ok(close(fading.exposureOf('a'), 1.5));
+  assert.ok(close(fading.exposureOf('b'), 0.5));
+  assert.ok(close(fading.exposureOf('b', '2024-06-03T00:00:00Z'), 0.25));
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fairness-')), 'exposure.json');
+  saveExposure(fading, file);
+  const restored = loadExposure(file);
+  assert.deepEqual(restored.toJSON(), fading.toJSON());
+  restored.record([{ id: 'b' }], '2024-06-02T00:00:00Z');
+  assert.ok(close(restored.exposureOf('b'), 1.5));
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+});
+
+test('the report covers every catalog event and splits exposure between categories', () => {
+  const catalog = [
+    { id: 'a', categories: ['Music'], popularity: 0.9 },
+    { id: 'b', categories: ['Music', 'Art'], popularity: 0.2 },
+    { id: 'c', categories: ['Art'], popularity: 0.1 },
+    { id: 'd', categories: ['Food'], popularity: 0.5 },
+  ];
+  const report = exposureReport(new Map([['a', 3], ['b', 1], ['unknown', 5]]), catalog, { top: 1 });
+  assert.equal(report.totalExposure, 4);
+  assert.deepEqual([report.events.count, report.events.exposed, report.events.coverage], [4, 2, 0.5]);
+  assert.equal(report.events.longTailShare, 0.25);
+  assert.equal(report.events.longTailCatalogShare, 0.5);
+  assert.ok(close(report.events.gini, gini([3, 1, 0, 0])));
+  assert.deepEqual(report.events.top, [{ eventId: 'a', popularity: 0.9, exposure: 3, share: 0.75 }]);
+  assert.deepEqual(report.categories.shares.map(c => [c.category, c.share]), [['Music', 0.875], ['Art', 0.125], ['Food', 0]]);
+  assert.equal(report.lists, null);
+});
+
+test('fairness keeps minSlots slots for long-tail events', () => {
+  const base = getRecommendedEvents(user, events, {}, 5, NO_DIVERSITY);
+  assert.ok(ids(base).every(id => id.startsWith('hit')));
+
+  const fair = getRecommendedEvents(user, events, {}, 5, { ...NO_DIVERSITY, explain: true, fairness: { minSlots: 2 } });
+  // The best two long-tail events take the lowest slots; the rest keep their order
+  assert.deepEqual(ids(fair), ['hit0', 'hit1', 'hit2', 'tail0', 'tail1']);
+  assert.deepEqual(fair.map(r => r.promoted), [false, false, false, true, true]);
+  assert.deepEqual(fair.slice(3).map(r => [r.baseRank, r.rankShift]), [[null, null], [null, null]]);
+
+  // Long-tail events already in the list count toward the slots
+  const tailFan = { id: 'v', preferences: ['Art'], attendedEvents: [] };
+  assert.deepEqual(getRecommendedEvents(tailFan, events, {}, 5, { fairness: {} }), getRecommendedEvents(tailFan, events, {}, 5));
+
+  // Pinned events keep their slots
+  const pinned = getRecommendedEvents(user, events, {}, 2, { ...NO_DIVERSITY, boost: { eventIds: ['hit9'], pin: true }, fairness: { minSlots: 2 } });
+  assert.deepEqual(ids(pinned), ['hit9', 'tail0']);
+
+  // The recommender, groups and pages apply it the same way
+  const options = { explain: true, fairness: { minSlots: 2 } };
+  const recommender = createRecommender(events, {});
+  assert.deepEqual(recommender.recommend(user, 5, options), getRecommendedEvents(user, events, {}, 5, options));
+  assert.equal(ids(recommender.recommendPage(user, { pageSize: 5 }, options).items).filter(id => id.startsWith('tail')).length, 2);
+  const group = getGroupRecommendations([user, { ...user, id: 'w' }], events, {}, 5, { ...NO_DIVERSITY, explain: true, fairness: { minSlots: 1 } });
+  assert.deepEqual(group.map(r => r.promoted), [false, false, false, false, true]);
+});
+
+test('with a tracker, under-exposed events take turns in the protected slots', () => {
+  const tracker = createExposureTracker({ positionWeighting: 'uniform' });
+  const options = { ...NO_DIVERSITY, fairness: { longTailPopularity: null, minExposure: 1, exposure: tracker } };
+  const seen = new Set();
+  for (let i = 0; i < 11; i++) {
+    const results = getRecommendedEvents(user, events, {}, 5, options);
+    tracker.record(results);
+    for (const id of ids(results)) seen.add(id);
+  }
+  // The first list is the top five; each later one brings in one event never shown before
+  assert.equal(seen.size, events.length);
+});
+
+test('rejects bad fairness settings', () => {
+  const rank = fairness => getRecommendedEvents(user, events, {}, 5, { fairness });
+  assert.throws(() => rank([]), TypeError);
+  assert.throws(() => rank({ minSlots: 1.5 }), RangeError);
+  assert.throws(() => rank({ longTailPopularity: 2 }), RangeError);
+  assert.throws(() => rank({ minExposure: 1 }), /needs options.fairness.exposure/);
+  assert.throws(() => rank({ exposure: {}, minExposure: 1 }), TypeError);
+  assert.throws(() => createExposureTracker({ positionWeighting: 'linear' }), RangeError);
+  assert.throws(() => createExposureTracker({ halfLifeDays: 0 }), RangeError);
+  assert.throws(() => createExposureTracker().record([{ id: 'a' }], 'yesterday'), TypeError);
+  assert.throws(() => exposureReport(new Map(), events, { longTailPopularity: -1 }), RangeError);
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getGroupRecommendations, resolveGroupSettings } = require('../src/group');
+const { createRecommender } = require('../src/recommender');
+const { registerSignal, unregisterSignal } = require('../src/signals');
+
+// Without locations, relevance is preference match (Jaccard) and popularity only
+const NO_DIVERSITY = { diversity: { enabled: false }, preferenceModel: 'jaccard' };
+
+const events = [
+  { id: 'music', categories: ['Music'], popularity: 0.5 },
+  { id: 'food', categories: ['Food'], popularity: 0.5 },
+  { id: 'music-food', categories: ['Music', 'Food'], popularity: 0.5 },
+  { id: 'art', categories: ['Art'], popularity: 0.5 },
+];
+
+const alice = { id: 'alice', preferences: ['Music'], attendedEvents: [] };
+const bob = { id: 'bob', preferences: ['Food'], attendedEvents: [] };
+const carol = { id: 'carol', preferences: ['Music'], attendedEvents: [] };
+
+const ids = results => results.map(e => e.id);
+
+test('average, least misery and most pleasure aggregate member relevance', () => {
+  const group = [alice, bob, carol];
+  const rank = strategy => ids(getGroupRecommendations(group, events, {}, 4, { ...NO_DIVERSITY, group: { strategy } }));
+
+  // music pleases two of three; music-food is half a match for everybody
+  assert.deepEqual(rank('average').slice(0, 2), ['music', 'music-food']);
+  assert.deepEqual(rank('leastMisery')[0], 'music-food');
+  assert.deepEqual(rank('mostPleasure').slice(0, 2), ['food', 'music']);
+});
+
+test('explain reports each member and the aggregate', () => {
+  const [top] = getGroupRecommendations([alice, bob], events, {}, 1, { ...NO_DIVERSITY, group: { strategy: 'leastMisery' }, explain: true });
+  assert.equal(top.event.id, 'music-food');
+  assert.deepEqual(Object.keys(top.memberScores), ['alice', 'bob']);
+  assert.equal(top.relevance, Math.min(top.memberScores.alice, top.memberScores.bob));
+  assert.equal(top.score, top.relevance); // nobody has a location, so proximity is left out
+  assert.equal(top.distanceKm, null);
+  assert.equal(top.rank, 1);
+});
+
+test('events any member attended or RSVPed are excluded for the whole group', () => {
+  const group = [
+    { ...alice, attendedEvents: ['music'] },
+    { ...bob, interactions: [{ eventId: 'food', type: 'rsvp' }] },
+  ];
+  assert.deepEqual(ids(getGroupRecommendations(group, events, {}, 4, NO_DIVERSITY)).sort(), ['art', 'music-food']);
+});
+
+test('minimax distance prefers the event nobody has to travel far to', () => {
+  const located = [
+    { id: 'east', location: { lat: 0, lng: 1 }, preferences: [], attendedEvents: [] },
+    { id: 'west', location: { lat: 0, lng: -1 }, preferences: [], attendedEvents: [] },
+  ];
+  const venues = [
+    { id: 'at-east', categories: [], popularity: 0.5, location: { lat: 0, lng: 0.95 } },
+    { id: 'middle', categories: [], popularity: 0.5, location: { lat: 0, lng: 0 } },
+  ];
+  const options = { ...NO_DIVERSITY, distanceDecayKm: 100, explain: true };
+
+  const minimax = getGroupRecommendations(located, venues, {}, 2, { ...options, group: { distance: 'minimax' } });
+  assert.equal(minimax[0].event.id, 'middle');
+  assert.ok(Math.abs(minimax[0].distanceKm - minimax[0].memberDistancesKm.east) < 1e-9);
+  assert.ok(Math.abs(minimax[1].distanceKm - minimax[1].memberDistancesKm.west) < 1e-9);
+
+  // The mean distance is the same for both venues (within rounding), so it cannot tell them apart
+  const average = getGroupRecommendations(located, venues, {}, 2, { ...options, group: { distance: 'average' } });
+  assert.ok(Math.abs(average[0].distanceKm - average[1].distanceKm) < 0.1);
+
+  // geoWeight 0 leaves only relevance
+  const noGeo = getGroupRecommendations(located, venues, {}, 2, { ...options, group: { geoWeight: 0 } });
+  assert.equal(noGeo[0].score, noGeo[0].relevance);
+});
+
+test('recommendGroup ranks exactly like getGroupRecommendations', () => {
+  const recommender = createRecommender(events, {});
+  const options = { group: { strategy: 'leastMisery' } };
+  assert.deepEqual(ids(recommender.recommendGroup([alice, bob], 3, options)), ids(getGroupRecommendations([alice, bob], events, {}, 3, options)));
+});
+
+test('each event is scored once per member, and only near the members with a cutoff', () => {
+  // A zero-effect signal that counts how often the members' rankings score an event
+  let scored = 0;
+  registerSignal({ name: 'groupScoreCount', defaultWeight: 1, isActive: () => true, score: () => { scored++; return 0; } });
+  try {
+    const here = { lat: 40.7, lng: -74 };
+    const far = { lat: 34, lng: -118 };
+    const venues = [];
+    for (let i = 0; i < 30; i++) venues.push({ id: `v${i}`, categories: ['Music'], popularity: i / 30, location: i < 5 ? here : far });
+    const group = [{ ...alice, location: here }, { ...carol, location: here }, { ...bob, location: here }];
+    const options = { hardGeoCutoffKm: 50, explain: true };
+
+    const brute = getGroupRecommendations(group, venues, {}, 3, options);
+    assert.equal(scored, 5 * group.length); // far venues fail the cutoff before any signal runs
+
+    scored = 0;
+    const indexed = createRecommender(venues, {}).recommendGroup(group, 3, options);
+    assert.equal(scored, 5 * group.length);
+    assert.deepEqual(indexed, brute);
+    assert.deepEqual(ids(brute.map(r => r.event)), ['v4', 'v3', 'v2']);
+  } finally {
+    unregisterSignal('groupScoreCount');
+  }
+});
+
+test('rejects bad input', () => {
+  assert.throws(() => getGroupRecommendations('alice', events, {}, 3), TypeError);
+  assert.throws(() => getGroupRecommendations([], events, {}, 3), RangeError);
+  assert.throws(() => getGroupRecommendations([alice], events, {}, 3, { boost: { eventIds: ['art'] } }), RangeError);
+  assert.throws(() => resolveGroupSettings({ strategy: 'median' }), RangeError);
+  assert.throws(() => resolveGroupSettings({ distance: 'nearest' }), RangeError);
+  assert.throws(() => resolveGroupSettings({ geoWeight: 1.5 }), RangeError);
+  assert.throws(() => resolveGroupSettings({ geoWeight: '0.5' }), TypeError);
+  assert.throws(() => resolveGroupSettings([]), TypeError);
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getRecommendedEvents } = require('../src/app');
+const { summarizeInteractions, buildDemotions } = require('../src/interactions');
+
+const NOW = Date.parse('2024-06-01T00:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(NOW - days * DAY_MS).toISOString();
+const settings = { typeWeights: { view: 0.1, click: 0.3, rsvp: 0.8, attend: 1, dismiss: 1 }, halfLifeDays: 30 };
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+const events = [
+  { id: 'a', categories: ['Music'], popularity: 0.8 },
+  { id: 'b', categories: ['Music'], popularity: 0.8 },
+  { id: 'c', categories: ['Music'], popularity: 0.8 },
+  { id: 'd', categories: ['Music'], popularity: 0.8 },
+];
+const eventSimilarity = { a: ['b'] };
+const user = interactions => ({ id: 'u', preferences: ['Music'], attendedEvents: [], interactions });
+const explained = (interactions, options = {}) => new Map(getRecommendedEvents(user(interactions), events, eventSimilarity, 4, {
+  now: NOW, explain: true, diversity: { enabled: false }, ...options,
+}).map(r => [r.event.id, r]));
+
+test('interaction weights halve every halfLifeDays before now', () => {
+  const { positive, dismissed, committed } = summarizeInteractions([
+    { eventId: 'a', type: 'click', timestamp: daysAgo(0) },
+    { eventId: 'b', type: 'click', timestamp: daysAgo(30) },
+    { eventId: 'c', type: 'click', timestamp: daysAgo(60) },
+    { eventId: 'd', type: 'dismiss', timestamp: daysAgo(15) },
+    { eventId: 'e', type: 'rsvp', timestamp: daysAgo(90) },
+    { eventId: 'e', type: 'attend', timestamp: daysAgo(0) },
+    { eventId: 'f', type: 'share', timestamp: daysAgo(0) },
+    { type: 'click', timestamp: daysAgo(0) },
+  ], settings, NOW);
+
+  assert.ok(close(positive.get('a'), 0.3));
+  assert.ok(close(positive.get('b'), 0.15));
+  assert.ok(close(positive.get('c'), 0.075));
+  assert.ok(close(dismissed.get('d'), Math.SQRT1_2));
+  assert.equal(positive.get('e'), 1); // 0.1 + 1, capped
+  assert.deepEqual(committed, new Set(['e']));
+  assert.equal(positive.has('f'), false);
+
+  // Without now nothing decays
+  assert.ok(close(summarizeInteractions([{ eventId: 'c', type: 'click', timestamp: daysAgo(60) }], settings, null).positive.get('c'), 0.3));
+});
+
+test('dismissals spread to similar events, keeping the strongest demotion', () => {
+  const demotions = buildDemotions(new Map([['a', 1], ['c', 0.4]]), { a: ['b', 'c'], c: ['b'] }, 0.5);
+  assert.deepEqual(Object.fromEntries(demotions), {
+    a: { demotion: 1, via: 'a' },
+    b: { demotion: 0.5, via: 'a' },
+    c: { demotion: 0.5, via: 'a' },
+  });
+});
+
+test('a dismissed event and its neighbors are demoted, less so as the dismissal ages', () => {
+  const fresh = explained([{ eventId: 'a', type: 'dismiss', timestamp: daysAgo(0) }]);
+  assert.ok(close(fresh.get('a').contributions.dismiss, -0.3));
+  assert.equal(fresh.get('a').demotedBy, 'a');
+  assert.ok(close(fresh.get('b').contributions.dismiss, -0.15));
+  assert.equal(fresh.get('b').demotedBy, 'a');
+  assert.equal(fresh.get('c').contributions.dismiss, 0);
+  assert.deepEqual([...fresh.keys()], ['c', 'd', 'b', 'a']);
+
+  const old = explained([{ eventId: 'a', type: 'dismiss', timestamp: daysAgo(60) }]);
+  assert.ok(close(old.get('a').contributions.dismiss, -0.075));
+  assert.ok(old.get('a').score > fresh.get('a').score);
+
+  // A custom penalty, and no penalty for neighbors
+  const custom = explained([{ eventId: 'a', type: 'dismiss', timestamp: daysAgo(0) }], { interactions: { dismissPenalty: 0.5, neighborShare: 0 } });
+  assert.ok(close(custom.get('a').contributions.dismiss, -0.5));
+  assert.equal(custom.get('b').contributions.dismiss, 0);
+});
+
+test('only recent, strong positive interactions count as history', () => {
+  // A fresh attend is history (a's similar event b gains sim); after three half-lives it is not
+  const recent = explained([{ eventId: 'a', type: 'attend', timestamp: daysAgo(0) }]);
+  assert.equal(recent.has('a'), false); // attended events are skipped
+  assert.ok(recent.get('b').contributions.sim > 0);
+
+  const stale = explained([{ eventId: 'a', type: 'attend', timestamp: daysAgo(90) }]);
+  assert.equal(stale.get('b').contributions.sim, 0); // 0.125 is below similarityThreshold
+  const weak = explained([{ eventId: 'a', type: 'click', timestamp: daysAgo(0) }, { eventId: 'a', type: 'view', timestamp: daysAgo(0) }]);
+  assert.equal(weak.get('b').contributions.sim, 0); // so is 0.4
+
+  const old = explained([{ eventId: 'c', type: 'rsvp', timestamp: daysAgo(90) }]);
+  assert.equal(old.has('c'), false); // an rsvp takes the event however old it is
+});
+
+test('rejects bad interaction settings', () => {
+  const rank = interactions => getRecommendedEvents(user([]), events, {}, 2, { interactions });
+  assert.throws(() => rank([]), TypeError);
+  assert.throws(() => rank({ halfLifeDays: 0 }), RangeError);
+  assert.throws(() => rank({ dismissPenalty: -1 }), RangeError);
+  assert.throws(() => rank({ typeWeights: { share: 1 } }), RangeError);
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getRecommendedEvents, calculateDistance } = require('../src/app');
+const { createRecommender } = require('../src/recommender');
+const { resolveUserLocations, matchLocation } = require('../src/locations');
+
+const HOME = { lat: 40.7128, lng: -74.006 };     // New York
+const WORK = { lat: 40.758, lng: -73.9855 };     // Midtown, ~5 km from HOME
+const LISBON = { lat: 38.7223, lng: -9.1393 };
+
+const events = [
+  { id: 'near-home', categories: ['Music'], popularity: 0.5, location: { lat: 40.713, lng: -74.0 }, startTime: '2024-06-03T19:00:00Z' },
+  { id: 'near-work', categories: ['Music'], popularity: 0.5, location: { lat: 40.7585, lng: -73.986 }, startTime: '2024-06-03T19:00:00Z' },
+  { id: 'lisbon-during', categories: ['Music'], popularity: 0.5, location: { lat: 38.72, lng: -9.14 }, startTime: '2024-07-03T19:00:00Z' },
+  { id: 'lisbon-after', categories: ['Music'], popularity: 0.5, location: { lat: 38.72, lng: -9.14 }, startTime: '2024-08-03T19:00:00Z' },
+];
+
+const traveler = {
+  id: 'traveler',
+  location: HOME,
+  preferences: ['Music'],
+  attendedEvents: [],
+  distanceDecayKm: 2,
+  locations: [
+    { name: 'work', location: WORK },
+    { name: 'lisbon', location: LISBON, from: '2024-07-01', to: '2024-07-08' },
+  ],
+};
+
+function byId(results) {
+  return new Map(results.map(r => [r.event.id, r]));
+}
+
+test('resolveUserLocations: primary first, per-user and per-location decay, malformed skipped', () => {
+  const locations = resolveUserLocations({
+    location: HOME,
+    distanceDecayKm: 3,
+    locations: [
+      { name: 'work', location: WORK },
+      { name: 'trip', location: LISBON, from: '2024-07-01', to: '2024-07-08', distanceDecayKm: 40 },
+      { name: 'broken', location: { lat: 'x', lng: 0 } },
+      { name: 'inverted', location: LISBON, from: '2024-07-08', to: '2024-07-01' },
+      { location: WORK },
+    ],
+  }, 1000);
+  assert.deepEqual(locations.map(l => [l.name, l.decayKm]), [['primary', 3], ['work', 3], ['trip', 40], ['locations[4]', 3]]);
+  assert.equal(locations[2].from, Date.parse('2024-07-01'));
+  assert.equal(resolveUserLocations({ location: HOME }, 1000)[0].decayKm, 1000);
+});
+
+test('matchLocation picks the highest proximity among applicable locations', () => {
+  const locations = resolveUserLocations(traveler, 1000);
+  const during = { start: Date.parse('2024-07-03T19:00:00Z'), end: Date.parse('2024-07-03T19:00:00Z') };
+  const match = matchLocation(locations, events[1].location, during, calculateDistance);
+  assert.equal(match.location.name, 'work');
+  assert.ok(match.distanceKm < 1);
+  assert.equal(match.nearestKm, match.distanceKm);
+
+  // Without event times, windowed locations never apply
+  assert.equal(matchLocation(locations, LISBON, null, calculateDistance).location.name, 'primary');
+});
+
+test('each event is scored against its best location and explain names it', () => {
+  const results = byId(getRecommendedEvents(traveler, events, {}, 4, { explain: true, diversity: { enabled: false } }));
+  assert.equal(results.get('near-home').matchedLocation, 'primary');
+  assert.equal(results.get('near-work').matchedLocation, 'work');
+  assert.equal(results.get('lisbon-during').matchedLocation, 'lisbon');
+  assert.ok(results.get('lisbon-during').distanceKm < 1);
+  assert.ok(results.get('lisbon-during').contributions.geo > 0.05);
+
+  // After the trip, Lisbon is only as close as home
+  assert.equal(results.get('lisbon-after').matchedLocation, 'primary');
+  assert.ok(results.get('lisbon-after').distanceKm > 5000);
+  assert.ok(results.get('lisbon-after').contributions.geo < 1e-6);
+});
+
+test('a per-user decay separates walkable from willing to travel', () => {
+  const eventsAround = [
+    { id: 'walk', categories: [], popularity: 0.2, location: { lat: 40.715, lng: -74.005 } },
+    { id: 'drive', categories: [], popularity: 0.9, location: { lat: 40.9, lng: -74.3 } },
+  ];
+  const base = { id: 'u', location: HOME, preferences: [], attendedEvents: [] };
+  const walker = getRecommendedEvents({ ...base, distanceDecayKm: 1 }, eventsAround, {}, 2, { explain: true });
+  const driver = getRecommendedEvents({ ...base, distanceDecayKm: 500 }, eventsAround, {}, 2, { explain: true });
+  assert.deepEqual(walker.map(r => r.event.id), ['walk', 'drive']);
+  assert.deepEqual(driver.map(r => r.event.id), ['drive', 'walk']);
+  assert.ok(byId(walker).get('drive').contributions.geo < byId(driver).get('drive').contributions.geo);
+});
+
+test('radius filter and hard cutoff measure from the nearest applicable location', () => {
+  const ids = results => results.map(e => e.id).sort();
+  assert.deepEqual(ids(getRecommendedEvents(traveler, events, {}, 4, { filters: { maxRadiusKm: 10 } })), ['lisbon-during', 'near-home', 'near-work']);
+  assert.deepEqual(ids(getRecommendedEvents(traveler, events, {}, 4, { hardGeoCutoffKm: 10 })), ['lisbon-during', 'near-home', 'near-work']);
+
+  // The indexed recommender narrows its candidates around every location the same way
+  const recommender = createRecommender(events, {});
+  assert.deepEqual(ids(recommender.recommend(traveler, 4, { filters: { maxRadiusKm: 10 } })), ['lisbon-during', 'near-home', 'near-work']);
+});
+
+test('the indexed and brute-force paths agree when no location applies to an event', () => {
+  // Only a trip location: events outside its window match nothing and fall outside every limit
+  const { location, ...rest } = traveler;
+  const tripOnly = { ...rest, locations: [traveler.locations[1]] };
+  const recommender = createRecommender(events, {});
+  for (const user of [traveler, tripOnly]) {
+    for (const options of [{ hardGeoCutoffKm: 10 }, { filters: { maxRadiusKm: 10 } }, { hardGeoCutoffKm: 10000, explain: true }]) {
+      assert.deepEqual(recommender.recommend(user, 4, options), getRecommendedEvents(user, events, {}, 4, options), `${user.id} ${JSON.stringify(options)}`);
+    }
+  }
+  assert.deepEqual(getRecommendedEvents(tripOnly, events, {}, 4, { hardGeoCutoffKm: 10000 }).map(e => e.id), ['lisbon-during']);
+});
+
+test('named locations alone are enough for geo scoring', () => {
+  const { location, ...noPrimary } = traveler;
+  const results = getRecommendedEvents(noPrimary, events, {}, 4, { explain: true });
+  assert.ok(results.every(r => r.matchedLocation !== 'primary'));
+  assert.equal(byId(results).get('near-work').matchedLocation, 'work');
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getRecommendedEvents } = require('../src/app');
+const { createRecommender } = require('../src/recommender');
+const { getRecommendationPage } = require('../src/pagination');
+
+const CATEGORIES = ['Music', 'Art', 'Food', 'Tech'];
+const events = [];
+for (let i = 0; i < 24; i++) {
+  events.push({
+    id: `e${i}`,
+    categories: [CATEGORIES[i % 4]],
+    popularity: 1 - i * 0.03,
+    location: { lat: 40 + (i % 6) * 0.5, lng: -74 },
+    startTime: `2024-06-${String(1 + (i % 20)).padStart(2, '0')}T19:00:00Z`,
+  });
+}
+const user = { id: 'u', location: { lat: 40, lng: -74 }, preferences: ['Music'], attendedEvents: [] };
+const ids = results => results.map(r => (r.event ? r.event.id : r.id));
+
+// Every page of a listing, following nextCursor until it runs out
+function allPages(rank, pageSize, options) {
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = rank({ pageSize, cursor }, options);
+    pages.push(page.items);
+    cursor = page.nextCursor;
+  } while (cursor !== null);
+  return pages;
+}
+
+test('the first page is getRecommendedEvents and later pages never repeat an event', () => {
+  const options = { explain: true };
+  const pages = allPages((paging, o) => getRecommendationPage(user, events, {}, paging, o), 5, options);
+  assert.deepEqual(pages[0], getRecommendedEvents(user, events, {}, 5, options));
+  assert.deepEqual(pages.map(p => p.length), [5, 5, 5, 5, 4]);
+
+  const shown = pages.flat();
+  assert.equal(new Set(ids(shown)).size, events.length);
+  assert.deepEqual(shown.map(r => r.rank), shown.map((r, i) => i + 1));
+});
+
+test('the same cursor always yields the same page, on arrays and on a recommender', () => {
+  const recommender = createRecommender(events, {});
+  const first = getRecommendationPage(user, events, {}, { pageSize: 4 });
+  assert.deepEqual(recommender.recommendPage(user, { pageSize: 4 }), first);
+
+  const second = getRecommendationPage(user, events, {}, { pageSize: 4, cursor: first.nextCursor });
+  assert.deepEqual(getRecommendationPage(user, events, {}, { pageSize: 4, cursor: first.nextCursor }), second);
+  assert.deepEqual(recommender.recommendPage(user, { pageSize: 4, cursor: first.nextCursor }), second);
+  assert.equal(second.nextCursor, getRecommendationPage(user, events, {}, { pageSize: 4, cursor: first.nextCursor }).nextCursor);
+});
+
+test('later pages keep the first page\'s now', () => {
+  const options = now => ({ now, explain: true });
+  const first = getRecommendationPage(user, events, {}, { pageSize: 4 }, options('2024-06-01T00:00:00Z'));
+
+  // A caller (like the HTTP service) passing a later now gets the same page as with the original
+  const same = getRecommendationPage(user, events, {}, { pageSize: 4, cursor: first.nextCursor }, options('2024-06-01T00:00:00Z'));
+  const later = getRecommendationPage(user, events, {}, { pageSize: 4, cursor: first.nextCursor }, options('2024-06-15T00:00:00Z'));
+  assert.deepEqual(later, same);
+
+  // Without a cursor, the later now does exclude past events
+  const fresh = getRecommendationPage(user, events, {}, { pageSize: 24 }, options('2024-06-15T00:00:00Z'));
+  assert.ok(fresh.items.length < events.length);
+});
+
+test('every diversity strategy continues from the pages already shown', () => {
+  const NYC = { lat: 40.7, lng: -74 };
+  const BOS = { lat: 42.36, lng: -71.06 };
+  const CHI = { lat: 41.88, lng: -87.63 };
+  const catalog = [
+    { id: 'nyc-music-1', categories: ['Music'], popularity: 0.95, location: NYC },
+    { id: 'bos-art-1', categories: ['Art'], popularity: 0.9, location: BOS },
+    { id: 'nyc-music-2', categories: ['Music'], popularity: 0.85, location: NYC },
+    { id: 'bos-art-2', categories: ['Art'], popularity: 0.8, location: BOS },
+    { id: 'chi-food-1', categories: ['Food'], popularity: 0.7, location: CHI },
+    { id: 'chi-tech-1', categories: ['Tech'], popularity: 0.65, location: CHI },
+  ];
+  const cold = { id: 'cold', preferences: [], attendedEvents: [] };
+  const recommender = createRecommender(catalog, {});
+
+  // Page 2 compared to ranking what is left as if nothing had been shown
+  const expected = {
+    category: ['nyc-music-2', 'chi-food-1'],
+    mmr: ['chi-food-1', 'chi-tech-1'],
+    geo: ['chi-food-1', 'nyc-music-2'],
+    novelty: ['nyc-music-2', 'bos-art-2'], // scores each event alone: nothing to carry over
+  };
+  for (const [strategy, second] of Object.entries(expected)) {
+    const options = { diversity: { strategy, poolFactor: 3, alpha: 0.3, geo: { strength: 0.5 } } };
+    const first = getRecommendationPage(cold, catalog, {}, { pageSize: 2 }, options);
+    assert.deepEqual(ids(first.items), ['nyc-music-1', 'bos-art-1'], strategy);
+    const next = getRecommendationPage(cold, catalog, {}, { pageSize: 2, cursor: first.nextCursor }, options);
+    assert.deepEqual(ids(next.items), second, strategy);
+    assert.deepEqual(recommender.recommendPage(cold, { pageSize: 2, cursor: first.nextCursor }, options), next, strategy);
+
+    const fresh = getRecommendedEvents(cold, catalog, {}, 2, { ...options, filters: { excludeEventIds: ids(first.items) } });
+    assert.equal(ids(fresh).join() === second.join(), strategy === 'novelty', strategy);
+  }
+});
+
+test('rejects bad page sizes and malformed cursors', () => {
+  const page = paging => getRecommendationPage(user, events, {}, paging);
+  assert.throws(() => page({ pageSize: 0 }), RangeError);
+  assert.throws(() => page({ pageSize: 2.5 }), RangeError);
+  assert.throws(() => page({ cursor: 'not a cursor' }), /Invalid cursor/);
+  const forged = Buffer.from(JSON.stringify({ v: 2, shown: [], cats: {}, now: 'soon' })).toString('base64url');
+  assert.throws(() => page({ cursor: forged }), /Invalid cursor/);
+});
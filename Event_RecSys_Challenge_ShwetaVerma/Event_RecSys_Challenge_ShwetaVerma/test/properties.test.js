@@ -0,0 +1,122 @@
+'use strict';
+
+// Property tests over small seeded random catalogs. Values are coarse on purpose (popularity
+// in steps of 0.1, few categories, some events and users without a location) so that exact
+// score ties are common and the tie-breaking order gets exercised.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getRecommendedEvents } = require('../src/app');
+const { createRecommender } = require('../src/recommender');
+const { createRandom, shuffle, sample } = require('../src/random');
+
+const CATEGORIES = ['Music', 'Art', 'Food', 'Tech', 'Sports', 'Film'];
+const ROUNDS = 40;
+
+function randomLocation(random) {
+  return { lat: 40 + Math.round(random() * 20) / 10, lng: -74 + Math.round(random() * 20) / 10 };
+}
+
+function randomScenario(seed) {
+  const random = createRandom(seed);
+  const eventCount = 20 + Math.floor(random() * 80);
+  const events = Array.from({ length: eventCount }, (_, i) => ({
+    id: `event_${i}`,
+    categories: sample(CATEGORIES, 1 + Math.floor(random() * 3), random),
+    popularity: Math.round(random() * 10) / 10,
+    ...(random() < 0.8 ? { location: randomLocation(random) } : {}),
+  }));
+  const ids = events.map(e => e.id);
+
+  const eventSimilarity = {};
+  for (const id of ids) eventSimilarity[id] = sample(ids, Math.floor(random() * 4), random).filter(s => s !== id);
+
+  const user = {
+    id: `user_${seed}`,
+    preferences: sample(CATEGORIES, Math.floor(random() * 3), random),
+    attendedEvents: sample(ids, Math.floor(random() * 8), random),
+    ...(random() < 0.8 ? { location: randomLocation(random) } : {}),
+  };
+  const limit = 1 + Math.floor(random() * 15);
+  return { random, events, eventSimilarity, user, limit };
+}
+
+const ids = events => events.map(e => e.id);
+
+test('results never contain attended events and never exceed the limit', () => {
+  for (let seed = 1; seed <= ROUNDS; seed++) {
+    const { events, eventSimilarity, user, limit } = randomScenario(seed);
+    const results = getRecommendedEvents(user, events, eventSimilarity, limit);
+    const attended = new Set(user.attendedEvents);
+    const eligible = events.length - attended.size;
+
+    assert.equal(results.length, Math.min(limit, eligible), `seed ${seed}`);
+    assert.equal(new Set(ids(results)).size, results.length, `seed ${seed}: duplicates`);
+    assert.ok(results.every(e => !attended.has(e.id)), `seed ${seed}: attended event returned`);
+  }
+});
+
+test('ordering is deterministic and independent of catalog order', () => {
+  for (let seed = 1; seed <= ROUNDS; seed++) {
+    const { random, events, eventSimilarity, user, limit } = randomScenario(seed);
+    const first = ids(getRecommendedEvents(user, events, eventSimilarity, limit));
+    assert.deepEqual(ids(getRecommendedEvents(user, events, eventSimilarity, limit)), first, `seed ${seed}`);
+    assert.deepEqual(ids(getRecommendedEvents(user, shuffle(events, random), eventSimilarity, limit)), first, `seed ${seed}: shuffled`);
+  }
+});
+
+test('the top-k heap returns exactly the first k of a full sort', () => {
+  const options = { diversity: { enabled: false }, explain: true };
+  for (let seed = 1; seed <= ROUNDS; seed++) {
+    const { events, eventSimilarity, user, limit } = randomScenario(seed);
+    const all = getRecommendedEvents(user, events, eventSimilarity, events.length, options);
+
+    // Full sort of every eligible event, in the documented order
+    const sorted = all.slice().sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      const da = a.distanceKm === null ? Infinity : a.distanceKm;
+      const db = b.distanceKm === null ? Infinity : b.distanceKm;
+      if (da !== db) return da - db;
+      if (b.event.popularity !== a.event.popularity) return b.event.popularity - a.event.popularity;
+      return a.event.id < b.event.id ? -1 : 1;
+    });
+    assert.deepEqual(ids(all.map(r => r.event)), ids(sorted.map(r => r.event)), `seed ${seed}: full ranking`);
+
+    const top = getRecommendedEvents(user, events, eventSimilarity, limit, options);
+    assert.deepEqual(ids(top.map(r => r.event)), ids(sorted.slice(0, limit).map(r => r.event)), `seed ${seed}`);
+  }
+});
+
+test('createRecommender ranks exactly like getRecommendedEvents', () => {
+  for (let seed = 1; seed <= ROUNDS; seed++) {
+    const { events, eventSimilarity, user, limit } = randomScenario(seed);
+    const recommender = createRecommender(events, eventSimilarity);
+    assert.deepEqual(
+      ids(recommender.recommend(user, limit)),
+      ids(getRecommendedEvents(user, events, eventSimilarity, limit)),
+      `seed ${seed}`);
+  }
+});
+
+test('both catalogs treat out-of-range coordinates the same way', () => {
+  const user = { id: 'u', location: { lat: 60, lng: 179 }, preferences: [], attendedEvents: [] };
+  const at = (id, lat, lng) => ({ id, categories: ['Music'], popularity: 0.5, location: { lat, lng } });
+  const events = [
+    at('beyond-pole', 95, 179), // no location: scored without geo
+    at('below-pole', -91, 179),
+    at('wrapped', 60, 539),      // lng 179 once wrapped
+    at('wrapped-west', 60, -181),
+    at('near', 60.5, 179),
+    at('far', 10, 0),
+  ];
+  const recommender = createRecommender(events, {});
+  for (const options of [{}, { hardGeoCutoffKm: 100 }, { filters: { maxRadiusKm: 100 } }]) {
+    const plain = getRecommendedEvents(user, events, {}, 10, { ...options, explain: true });
+    assert.deepEqual(recommender.recommend(user, 10, { ...options, explain: true }), plain, JSON.stringify(options));
+  }
+  const [wrapped, beyond] = ['wrapped', 'beyond-pole'].map(id => getRecommendedEvents(user, events, {}, 10, { explain: true }).find(r => r.event.id === id));
+  assert.equal(wrapped.distanceKm, 0);
+  assert.equal(beyond.distanceKm, null);
+  assert.equal(beyond.contributions.geo, 0);
+});
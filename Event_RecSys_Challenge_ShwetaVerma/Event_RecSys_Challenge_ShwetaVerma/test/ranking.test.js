@@ -0,0 +1,179 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getRecommendedEvents, heapOffer, betterThan, byRank } = require('../src/app');
+const { createRecommender } = require('../src/recommender');
+const { createRandom, shuffle } = require('../src/random');
+
+function node(id, score, distance = Infinity, popularity = 0.5) {
+  return { id, score, distance, popularity };
+}
+
+test('byRank orders by score, then distance, then popularity, then id', () => {
+  const nodes = [
+    node('e', 0.5, 10, 0.5),
+    node('d', 0.5, 10, 0.5),
+    node('c', 0.5, 10, 0.9),
+    node('b', 0.5, 5, 0.1),
+    node('a', 0.9, Infinity, 0),
+  ];
+  assert.deepEqual(nodes.slice().sort(byRank).map(n => n.id), ['a', 'b', 'c', 'd', 'e']);
+});
+
+test('betterThan agrees with byRank', () => {
+  const random = createRandom(7);
+  const pick = values => values[Math.floor(random() * values.length)];
+  for (let i = 0; i < 500; i++) {
+    const a = node(pick(['event_1', 'event_10', 'event_2', 'Event_3', 'event_b']), pick([0.2, 0.5]), pick([1, 2, Infinity]), pick([0, 0.5]));
+    const b = node(pick(['event_1', 'event_10', 'event_2', 'Event_3', 'event_b']), pick([0.2, 0.5]), pick([1, 2, Infinity]), pick([0, 0.5]));
+    assert.equal(betterThan(a, b), byRank(a, b) < 0, `${JSON.stringify(a)} vs ${JSON.stringify(b)}`);
+  }
+});
+
+test('heapOffer keeps exactly the best size nodes, worst at the root', () => {
+  const random = createRandom(42);
+  for (let round = 0; round < 50; round++) {
+    // Coarse values so that many nodes tie on score, distance and popularity
+    const nodes = Array.from({ length: 60 }, (_, i) => node(
+      `event_${i}`, Math.round(random() * 5) / 5, random() < 0.3 ? Infinity : Math.round(random() * 3), Math.round(random() * 2) / 2));
+    const size = 1 + Math.floor(random() * 20);
+    const heap = [];
+    for (const n of shuffle(nodes, random)) heapOffer(heap, n, size);
+
+    const expected = nodes.slice().sort(byRank).slice(0, size);
+    assert.equal(heap.length, size);
+    assert.equal(heap[0], expected[size - 1]);
+    assert.deepEqual(heap.sort(byRank).map(n => n.id), expected.map(n => n.id));
+  }
+});
+
+test('heapOffer with fewer nodes than size keeps them all', () => {
+  const heap = [];
+  for (const n of [node('a', 0.1), node('b', 0.3), node('c', 0.2)]) heapOffer(heap, n, 10);
+  assert.deepEqual(heap.sort(byRank).map(n => n.id), ['b', 'c', 'a']);
+});
+
+test('cold start: a user with no preferences or history is ranked by the category prior', () => {
+  const events = [
+    { id: 'a', categories: ['Rare'], popularity: 0.5 },
+    { id: 'b', categories: ['Common'], popularity: 0.5 },
+    { id: 'c', categories: ['Common'], popularity: 0.5 },
+    { id: 'd', categories: ['Common'], popularity: 0.5 },
+  ];
+  const user = { id: 'new', preferences: [], attendedEvents: [] };
+  const results = getRecommendedEvents(user, events, {}, 4, { explain: true, diversity: { enabled: false } });
+
+  assert.deepEqual(results.map(r => r.event.id), ['b', 'c', 'd', 'a']);
+  for (const r of results) {
+    assert.equal(r.contributions.pref, 0);
+    assert.equal(r.contributions.sim, 0);
+    assert.equal(r.contributions.geo, 0);
+  }
+  assert.ok(results[0].contributions.cold > results[3].contributions.cold);
+  // cold and pop are the only active signals: the best event has the full prior
+  assert.ok(Math.abs(results[0].score - (0.1 * 1 + 0.15 * 0.5) / 0.25) < 1e-12);
+});
+
+test('cold start: the prior is off once the user has preferences or history', () => {
+  const events = [
+    { id: 'a', categories: ['Music'], popularity: 0.5 },
+    { id: 'b', categories: ['Food'], popularity: 0.5 },
+  ];
+  for (const user of [
+    { id: 'prefs', preferences: ['Music'], attendedEvents: [] },
+    { id: 'history', preferences: [], attendedEvents: ['a'] },
+  ]) {
+    const results = getRecommendedEvents(user, events, {}, 2, { explain: true });
+    assert.ok(results.length > 0, user.id);
+    for (const r of results) assert.equal(r.contributions.cold, 0, user.id);
+  }
+});
+
+test('cold start: a located new user still gets nearby events first', () => {
+  const events = [
+    { id: 'far', categories: ['Music'], popularity: 0.5, location: { lat: 34.05, lng: -118.24 } },
+    { id: 'near', categories: ['Music'], popularity: 0.5, location: { lat: 40.72, lng: -74.0 } },
+  ];
+  const user = { id: 'new', location: { lat: 40.7128, lng: -74.006 }, preferences: [], attendedEvents: [] };
+  assert.deepEqual(getRecommendedEvents(user, events, {}, 2).map(e => e.id), ['near', 'far']);
+});
+
+test('limit of zero or an empty catalog returns nothing', () => {
+  const user = { id: 'u', preferences: ['Music'], attendedEvents: [] };
+  assert.deepEqual(getRecommendedEvents(user, [], {}, 5), []);
+  assert.deepEqual(getRecommendedEvents(user, [{ id: 'a', categories: ['Music'], popularity: 1 }], {}, 0), []);
+});
+
+// Six events in New York and Boston, best first by popularity
+const NYC = { lat: 40.71, lng: -74.0 };
+const BOSTON = { lat: 42.36, lng: -71.06 };
+const placed = [
+  { id: 'nyc-music', categories: ['Music'], popularity: 0.9, location: NYC },
+  { id: 'nyc-food', categories: ['Food'], popularity: 0.8, location: NYC },
+  { id: 'bos-music', categories: ['Music', 'Sports'], popularity: 0.7, location: BOSTON },
+  { id: 'bos-art', categories: ['Art'], popularity: 0.6, location: BOSTON },
+  { id: 'nowhere-food', categories: ['Food'], popularity: 0.5 },
+  { id: 'nyc-sports', categories: ['Sports'], popularity: 0.2, location: NYC },
+];
+const newYorker = { id: 'ny', location: NYC, preferences: [], attendedEvents: [] };
+const idsOf = results => results.map(r => (r.event ? r.event.id : r.id));
+const rankWith = (options, limit = 6) => idsOf(getRecommendedEvents(newYorker, placed, {}, limit, { diversity: { enabled: false }, ...options }));
+
+test('filters drop events before ranking', () => {
+  assert.deepEqual(rankWith({ filters: { includeCategories: ['Music', 'Food'] } }), ['nyc-music', 'nyc-food', 'bos-music', 'nowhere-food']);
+  assert.deepEqual(rankWith({ filters: { excludeCategories: ['Sports'] } }), ['nyc-music', 'nyc-food', 'bos-art', 'nowhere-food']);
+  assert.deepEqual(rankWith({ filters: { minPopularity: 0.6 } }), ['nyc-music', 'nyc-food', 'bos-music', 'bos-art']);
+  assert.deepEqual(rankWith({ filters: { excludeEventIds: ['nyc-music', 'unknown'] } }).slice(0, 2), ['nyc-food', 'bos-music']);
+
+  // A radius drops events without a location too; radiusCenter measures from another point
+  assert.deepEqual(rankWith({ filters: { maxRadiusKm: 10 } }).sort(), ['nyc-food', 'nyc-music', 'nyc-sports']);
+  assert.deepEqual(rankWith({ filters: { maxRadiusKm: 10, radiusCenter: BOSTON } }).sort(), ['bos-art', 'bos-music']);
+  assert.deepEqual(rankWith({ filters: { includeCategories: ['Music'], maxRadiusKm: 10 } }), ['nyc-music']);
+
+  // The indexed recommender filters the same way
+  const recommender = createRecommender(placed, {});
+  for (const filters of [{ maxRadiusKm: 10 }, { maxRadiusKm: 300, radiusCenter: BOSTON, excludeCategories: ['Art'] }]) {
+    assert.deepEqual(recommender.recommend(newYorker, 6, { filters }), getRecommendedEvents(newYorker, placed, {}, 6, { filters }));
+  }
+});
+
+test('boost raises up to maxItems events and pin puts them first', () => {
+  const boost = { eventIds: ['nowhere-food', 'bos-art'] };
+  assert.deepEqual(rankWith({}).slice(4), ['bos-art', 'nowhere-food']);
+
+  // One slot by default: the higher boosted score wins it
+  const boosted = getRecommendedEvents(newYorker, placed, {}, 6, { diversity: { enabled: false }, explain: true, boost: { ...boost, amount: 0.5 } });
+  const top = boosted[0];
+  assert.deepEqual([top.event.id, top.boosted, top.contributions.boost], ['bos-art', true, 0.5]);
+  assert.ok(Math.abs(top.score - Object.values(top.contributions).reduce((a, b) => a + b, 0)) < 1e-12);
+  assert.equal(boosted.filter(r => r.boosted).length, 1);
+  // The other boosted event keeps its own, unboosted place
+  assert.equal(idsOf(boosted).indexOf('nowhere-food'), 5);
+
+  assert.deepEqual(rankWith({ boost: { ...boost, amount: 0.7, maxItems: 2 } }, 2), ['bos-art', 'nowhere-food']);
+  assert.deepEqual(rankWith({ boost: { ...boost, amount: 0, maxItems: 2, pin: true } }, 3), ['bos-art', 'nowhere-food', 'nyc-music']);
+
+  // Boosted events still have to pass the filters
+  assert.deepEqual(rankWith({ boost: { ...boost, pin: true }, filters: { excludeCategories: ['Art', 'Food'] } }, 1), ['nyc-music']);
+});
+
+test('rejects bad filters and boosts', () => {
+  const rank = options => getRecommendedEvents(newYorker, placed, {}, 3, options);
+  assert.throws(() => rank({ filters: [] }), TypeError);
+  assert.throws(() => rank({ filters: { includeCategories: 'Music' } }), TypeError);
+  assert.throws(() => rank({ filters: { excludeEventIds: [1] } }), TypeError);
+  assert.throws(() => rank({ filters: { minPopularity: 1.5 } }), RangeError);
+  assert.throws(() => rank({ filters: { maxRadiusKm: -1 } }), RangeError);
+  assert.throws(() => rank({ filters: { radiusCenter: NYC } }), /needs options.filters.maxRadiusKm/);
+  assert.throws(() => rank({ filters: { maxRadiusKm: 5, radiusCenter: { lat: 95, lng: 0 } } }), RangeError);
+  assert.throws(() => getRecommendedEvents({ id: 'nowhere' }, placed, {}, 3, { filters: { maxRadiusKm: 5 } }), RangeError);
+
+  assert.throws(() => rank({ boost: 'event_1' }), TypeError);
+  assert.throws(() => rank({ boost: { eventIds: 'nyc-music' } }), TypeError);
+  assert.throws(() => rank({ boost: { eventIds: ['nyc-music'], amount: -0.1 } }), RangeError);
+  assert.throws(() => rank({ boost: { eventIds: ['nyc-music'], amount: Infinity } }), RangeError);
+  assert.throws(() => rank({ boost: { eventIds: ['nyc-music'], maxItems: 1.5 } }), RangeError);
+  assert.throws(() => rank({ boost: { eventIds: ['nyc-music'], pin: 'yes' } }), TypeError);
+});
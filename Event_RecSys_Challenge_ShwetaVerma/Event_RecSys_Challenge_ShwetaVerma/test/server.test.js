@@ -0,0 +1,173 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createServer } = require('../src/server');
+const { createExposureTracker } = require('../src/fairness');
+
+const NYC = { lat: 40.7, lng: -74 };
+const LA = { lat: 34, lng: -118.2 };
+const events = [
+  { id: 'past', categories: ['Music'], popularity: 1, location: NYC, startTime: '2023-12-20T18:00:00Z' },
+  { id: 'nyc-music', categories: ['Music'], popularity: 0.8, location: NYC, startTime: '2024-01-05T18:00:00Z' },
+  { id: 'nyc-art', categories: ['Art'], popularity: 0.6, location: NYC, startTime: '2024-01-06T18:00:00Z' },
+  { id: 'la-music', categories: ['Music'], popularity: 0.7, location: LA, startTime: '2024-01-07T18:00:00Z' },
+  { id: 'la-food', categories: ['Food'], popularity: 0.5, location: LA, startTime: '2024-02-07T18:00:00Z' },
+];
+const users = [
+  { id: 'nyc', location: NYC, preferences: ['Music'], attendedEvents: [] },
+  { id: 'la', location: LA, preferences: ['Food'], attendedEvents: ['la-music'] },
+];
+const dataset = { users, events, eventSimilarity: { 'nyc-music': ['la-music'] }, referenceTime: '2024-01-01T00:00:00Z' };
+
+// Start a server on an ephemeral port; returns a request helper and close()
+async function start(data = dataset, settings = {}) {
+  const server = createServer(data, settings);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const request = async (method, url, body) => {
+    const init = { method };
+    if (body !== undefined) {
+      init.body = typeof body === 'string' ? body : JSON.stringify(body);
+      init.headers = { 'Content-Type': 'application/json' };
+    }
+    const res = await fetch(base + url, init);
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  };
+  return { request, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+const ids = list => list.map(e => (e.event ? e.event.id : e.id));
+
+test('user recommendations rank at the dataset reference time and page with cursors', async () => {
+  const { request, close } = await start();
+  try {
+    const first = await request('GET', '/users/nyc/recommendations?limit=2');
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('content-type'), 'application/json; charset=utf-8');
+    assert.equal(first.body.userId, 'nyc');
+    assert.deepEqual(ids(first.body.recommendations), ['nyc-music', 'la-music']); // 'past' has ended
+    assert.equal(typeof first.body.nextCursor, 'string');
+
+    const second = await request('GET', `/users/nyc/recommendations?limit=2&cursor=${first.body.nextCursor}`);
+    assert.deepEqual(ids(second.body.recommendations).sort(), ['la-food', 'nyc-art']);
+    const third = await request('GET', `/users/nyc/recommendations?limit=2&cursor=${second.body.nextCursor}`);
+    assert.deepEqual(third.body, { userId: 'nyc', recommendations: [], nextCursor: null });
+
+    // lat/lng move the user; explain returns records; now moves the reference time
+    const moved = await request('GET', '/users/nyc/recommendations?limit=1&lat=34&lng=-118.2&explain=true');
+    assert.equal(moved.body.recommendations[0].event.id, 'la-music');
+    assert.equal(moved.body.recommendations[0].rank, 1);
+    const later = await request('GET', '/users/nyc/recommendations?limit=5&now=2024-02-01T00:00:00Z');
+    assert.deepEqual(ids(later.body.recommendations), ['la-food']);
+  } finally {
+    await close();
+  }
+});
+
+test('settings.now overrides the dataset, and without either the current time is used', async () => {
+  const fixed = await start(dataset, { now: '2024-01-06T00:00:00Z' });
+  try {
+    assert.deepEqual(ids((await fixed.request('GET', '/users/nyc/recommendations?limit=5')).body.recommendations).sort(),
+      ['la-food', 'la-music', 'nyc-art']);
+  } finally {
+    await fixed.close();
+  }
+  assert.throws(() => createServer(dataset, { now: 'soon' }), TypeError);
+
+  const { referenceTime, ...undated } = dataset;
+  const current = await start(undated);
+  try {
+    // Every event is in 2024, long over by the current time
+    assert.deepEqual((await current.request('GET', '/users/nyc/recommendations')).body.recommendations, []);
+  } finally {
+    await current.close();
+  }
+});
+
+test('ad-hoc users, groups and similar events', async () => {
+  const { request, close } = await start();
+  try {
+    const adHoc = await request('POST', '/recommendations', { user: { location: LA, preferences: ['Food'], attendedEvents: [] }, limit: 1 });
+    assert.equal(adHoc.status, 200);
+    assert.deepEqual(adHoc.body, { userId: null, recommendations: [events[4]] });
+
+    const group = await request('POST', '/groups/recommendations', { userIds: ['nyc', 'la'], limit: 2, options: { explain: true } });
+    assert.equal(group.status, 200);
+    assert.deepEqual(group.body.userIds, ['nyc', 'la']);
+    assert.equal(group.body.recommendations.length, 2);
+    assert.ok(!ids(group.body.recommendations).includes('la-music')); // attended by a member
+    assert.deepEqual(Object.keys(group.body.recommendations[0].memberScores), ['nyc', 'la']);
+
+    const similar = await request('GET', '/events/nyc-music/similar?limit=3');
+    assert.equal(similar.status, 200);
+    assert.equal(similar.body.eventId, 'nyc-music');
+    assert.equal(ids(similar.body.similar)[0], 'la-music');
+    assert.ok(!ids(similar.body.similar).includes('past'));
+  } finally {
+    await close();
+  }
+});
+
+test('every served list is recorded for the exposure report', async () => {
+  const exposure = createExposureTracker();
+  const { request, close } = await start(dataset, { exposure });
+  try {
+    await request('GET', '/users/nyc/recommendations?limit=2');
+    await request('POST', '/recommendations', { user: users[1], limit: 1 });
+    await request('POST', '/groups/recommendations', { users, limit: 1 });
+    await request('GET', '/events/nyc-music/similar'); // similar events are not recommendation lists
+
+    const report = await request('GET', '/exposure?top=10');
+    assert.equal(report.status, 200);
+    assert.equal(report.body.lists, 3);
+    assert.equal(exposure.lists, 3);
+    assert.deepEqual(report.body.events.top.map(e => e.eventId).sort(), ['la-food', 'la-music', 'nyc-music']);
+    assert.equal((await request('GET', '/exposure?top=1')).body.events.top.length, 1);
+  } finally {
+    await close();
+  }
+});
+
+test('errors: unknown routes and ids, wrong methods, bad parameters and bodies', async () => {
+  const { request, close } = await start();
+  try {
+    const expectError = async (method, url, body, status, message) => {
+      const res = await request(method, url, body);
+      assert.equal(res.status, status, `${method} ${url}`);
+      assert.equal(res.body.error.status, status);
+      assert.match(res.body.error.message, message, `${method} ${url}`);
+      return res;
+    };
+
+    await expectError('GET', '/nowhere', undefined, 404, /No route for \/nowhere/);
+    await expectError('GET', '/users/ghost/recommendations', undefined, 404, /Unknown user ghost/);
+    await expectError('GET', '/events/ghost/similar', undefined, 404, /Unknown event ghost/);
+    await expectError('POST', '/groups/recommendations', { userIds: ['nyc', 'ghost'] }, 404, /Unknown user ghost/);
+    const wrongMethod = await expectError('DELETE', '/recommendations', undefined, 405, /Method DELETE not allowed/);
+    assert.equal(wrongMethod.headers.get('allow'), 'POST');
+
+    await expectError('GET', '/users/%E0%A4%A/recommendations', undefined, 400, /Malformed URL/);
+    await expectError('GET', '/users/nyc/recommendations?limit=0', undefined, 400, /limit must be an integer between 1 and 100/);
+    await expectError('GET', '/users/nyc/recommendations?limit=2.5', undefined, 400, /limit must be/);
+    await expectError('GET', '/users/nyc/recommendations?lat=40', undefined, 400, /lat and lng must be given together/);
+    await expectError('GET', '/users/nyc/recommendations?lat=95&lng=0', undefined, 400, /lat must be a number between -90 and 90/);
+    await expectError('GET', '/users/nyc/recommendations?lat=0&lng=', undefined, 400, /lng must be a number/);
+    await expectError('GET', '/users/nyc/recommendations?explain=yes', undefined, 400, /explain must be true or false/);
+    await expectError('GET', '/users/nyc/recommendations?now=soon', undefined, 400, /options.now must be/);
+    await expectError('GET', '/users/nyc/recommendations?cursor=nonsense', undefined, 400, /Invalid cursor/);
+    await expectError('GET', '/exposure?top=-1', undefined, 400, /top must be an integer/);
+
+    await expectError('POST', '/recommendations', '{"user": ', 400, /Invalid JSON body/);
+    await expectError('POST', '/recommendations', '', 400, /Request body must be a JSON object/);
+    await expectError('POST', '/recommendations', [], 400, /Request body must be a JSON object/);
+    await expectError('POST', '/recommendations', { user: 'nyc' }, 400, /body.user must be an object/);
+    await expectError('POST', '/recommendations', { user: users[0], options: { weights: { geo: -1 } } }, 400, /weights/);
+    await expectError('POST', '/recommendations', { user: { preferences: 'Music' }, options: { strict: true } }, 400, /Invalid user/);
+    await expectError('POST', '/groups/recommendations', { userIds: ['nyc'], users }, 400, /exactly one of userIds/);
+    await expectError('POST', '/recommendations', 'x'.repeat(1024 * 1024 + 1), 413, /Request body exceeds 1048576 bytes/);
+  } finally {
+    await close();
+  }
+});
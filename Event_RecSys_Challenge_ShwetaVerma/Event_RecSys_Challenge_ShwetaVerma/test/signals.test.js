@@ -0,0 +1,106 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getRecommendedEvents } = require('../src/app');
+const { createRecommender } = require('../src/recommender');
+const { BUILT_IN_SIGNALS, registerSignal, unregisterSignal, listSignals } = require('../src/signals');
+
+const events = [
+  { id: 'a', categories: ['Music'], popularity: 0.9 },
+  { id: 'b', categories: ['Music'], popularity: 0.6, rating: 5 },
+  { id: 'c', categories: ['Music'], popularity: 0.3, rating: 4 },
+];
+const user = { id: 'u', preferences: ['Music'], attendedEvents: [] };
+const ids = results => results.map(r => (r.event ? r.event.id : r.id));
+
+// Registered signals are global: every test removes the ones it adds
+const added = [];
+function register(signal) {
+  registerSignal(signal);
+  added.push(signal.name);
+}
+test.afterEach(() => {
+  while (added.length > 0) unregisterSignal(added.pop());
+});
+
+const rating = {
+  name: 'venueRating',
+  defaultWeight: 0,
+  score: ev => (ev.rating || 0) / 5,
+};
+
+test('the built-in signals are registered in order', () => {
+  assert.deepEqual(listSignals().map(s => s.name), BUILT_IN_SIGNALS);
+  assert.throws(() => unregisterSignal('pop'), /cannot be unregistered/);
+  assert.equal(unregisterSignal('neverRegistered'), false);
+});
+
+test('a registered signal joins the weighted average and the explain records', () => {
+  register(rating);
+  assert.deepEqual(listSignals().map(s => s.name), [...BUILT_IN_SIGNALS, 'venueRating']);
+
+  // Weight 0 (the default here): nothing changes
+  assert.deepEqual(ids(getRecommendedEvents(user, events, {}, 3)), ['a', 'b', 'c']);
+
+  const options = { weights: { venueRating: 2 }, explain: true };
+  const rated = getRecommendedEvents(user, events, {}, 3, options);
+  assert.deepEqual(ids(rated), ['b', 'c', 'a']);
+  for (const r of rated) {
+    assert.ok(Math.abs(r.score - Object.values(r.contributions).reduce((x, y) => x + y, 0)) < 1e-12);
+  }
+  assert.equal(rated[2].contributions.venueRating, 0);
+  assert.deepEqual(createRecommender(events, {}).recommend(user, 3, options), rated);
+
+  // Once removed, the weight is unknown again
+  unregisterSignal(added.pop());
+  assert.throws(() => getRecommendedEvents(user, events, {}, 3, { weights: { venueRating: 2 } }), /not a known signal/);
+});
+
+test('prepare runs once per request, and inactive signals leave the average', () => {
+  let prepared = 0;
+  const seen = [];
+  register({
+    name: 'friends',
+    defaultWeight: 1,
+    prepare: request => {
+      prepared++;
+      return request.options.friendsGoing || new Map();
+    },
+    isActive: (request, going) => going.size > 0,
+    score: (ev, facts, request, going) => going.get(ev.id) || 0,
+    explain: (ev, facts, request, going) => {
+      seen.push(facts.categories);
+      return { friendsGoing: going.get(ev.id) || 0 };
+    },
+  });
+
+  // Without data the signal is inactive: scores are what they were without it
+  const plain = getRecommendedEvents(user, events, {}, 3, { explain: true, weights: { friends: 0 } });
+  const inactive = getRecommendedEvents(user, events, {}, 3, { explain: true });
+  assert.deepEqual(inactive.map(r => r.score), plain.map(r => r.score));
+  assert.equal(prepared, 1); // weight 0 skips prepare
+
+  const going = getRecommendedEvents(user, events, {}, 3, { explain: true, friendsGoing: new Map([['c', 1]]) });
+  assert.equal(prepared, 2);
+  assert.equal(going[0].event.id, 'c');
+  assert.equal(going[0].friendsGoing, 1);
+  assert.deepEqual(seen.slice(-1), [['Music']]);
+});
+
+test('rejects malformed and duplicate signals', () => {
+  assert.throws(() => registerSignal(null), TypeError);
+  assert.throws(() => registerSignal({ ...rating, name: 'venue rating' }), TypeError);
+  assert.throws(() => registerSignal({ ...rating, name: 'boost' }), /reserved/);
+  assert.throws(() => registerSignal({ ...rating, name: 'pop' }), /already registered/);
+  assert.throws(() => registerSignal({ ...rating, defaultWeight: -1 }), TypeError);
+  assert.throws(() => registerSignal({ ...rating, defaultWeight: Infinity }), TypeError);
+  assert.throws(() => registerSignal({ ...rating, score: 1 }), TypeError);
+  assert.throws(() => registerSignal({ ...rating, prepare: 'yes' }), TypeError);
+
+  register(rating);
+  assert.throws(() => registerSignal(rating), /already registered/);
+  assert.throws(() => getRecommendedEvents(user, events, {}, 3, { weights: { venueRating: -1 } }), RangeError);
+  assert.throws(() => getRecommendedEvents(user, events, {}, 3, { weights: { venueRating: '1' } }), TypeError);
+});
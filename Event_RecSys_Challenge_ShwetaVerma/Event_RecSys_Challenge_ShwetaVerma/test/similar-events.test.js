@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getSimilarEvents, resolveSimilarOptions } = require('../src/similar-events');
+const { createRecommender } = require('../src/recommender');
+
+const NO_DIVERSITY = { diversity: { enabled: false } };
+
+// A chain of links a - b - c - d, plus unlinked events that only share categories or a place
+const events = [
+  { id: 'a', categories: ['Music', 'Jazz'], popularity: 0.5, location: { lat: 40.7, lng: -74 } },
+  { id: 'b', categories: ['Food'], popularity: 0.5, location: { lat: 34, lng: -118 } },
+  { id: 'c', categories: ['Art'], popularity: 0.5, location: { lat: 34, lng: -118 } },
+  { id: 'd', categories: ['Art'], popularity: 0.5, location: { lat: 34, lng: -118 } },
+  { id: 'jazz', categories: ['Music', 'Jazz'], popularity: 0.5, location: { lat: 34, lng: -118 } },
+  { id: 'nearby', categories: ['Sports'], popularity: 0.5, location: { lat: 40.71, lng: -74.01 } },
+  { id: 'popular', categories: ['Sports'], popularity: 1, location: { lat: 34, lng: -118 } },
+];
+const eventSimilarity = { a: ['b'], c: ['b', 'd'] };
+
+const ids = results => results.map(e => e.id);
+
+test('each signal pulls its own kind of event up', () => {
+  const only = weights => ids(getSimilarEvents('a', events, eventSimilarity, {
+    ...NO_DIVERSITY, limit: 1, weights: { link: 0, category: 0, geo: 0, popularity: 0, ...weights },
+  }));
+  assert.deepEqual(only({ link: 1 }), ['b']);
+  assert.deepEqual(only({ category: 1 }), ['jazz']);
+  assert.deepEqual(only({ geo: 1 }), ['nearby']);
+  assert.deepEqual(only({ popularity: 1 }), ['popular']);
+});
+
+test('short link lists expand hop by hop, in either direction', () => {
+  const options = { ...NO_DIVERSITY, explain: true, weights: { category: 0, geo: 0, popularity: 0 } };
+  const hops = results => Object.fromEntries(results.map(r => [r.event.id, r.hops]));
+
+  // b is listed by a; c lists b, so it is two hops away, d three
+  assert.deepEqual(hops(getSimilarEvents('a', events, eventSimilarity, { ...options, limit: 1 })).b, 1);
+  const expanded = hops(getSimilarEvents('a', events, eventSimilarity, { ...options, limit: 3, maxHops: 3 }));
+  assert.deepEqual([expanded.b, expanded.c, expanded.d], [1, 2, 3]);
+
+  // A hop is worth hopDecay times the previous one
+  const [, second] = getSimilarEvents('a', events, eventSimilarity, { ...options, limit: 2, hopDecay: 0.25 });
+  assert.equal(second.event.id, 'c');
+  assert.ok(Math.abs(second.score - 0.25) < 1e-12);
+
+  // Without expansion only direct links score
+  const direct = getSimilarEvents('a', events, eventSimilarity, { ...options, limit: 3, maxHops: 1 });
+  assert.deepEqual(direct.map(r => r.hops), [1, null, null]);
+});
+
+test('never returns the source, ended events or more than the limit', () => {
+  const timed = events.map((ev, i) => ({ ...ev, startTime: `2024-06-0${i + 1}T10:00:00Z` }));
+  const results = getSimilarEvents('c', timed, eventSimilarity, { limit: 10, now: '2024-06-04T00:00:00Z' });
+  assert.deepEqual(ids(results).sort(), ['d', 'jazz', 'nearby', 'popular']);
+  assert.equal(getSimilarEvents('a', events, eventSimilarity, { limit: 2 }).length, 2);
+  assert.deepEqual(getSimilarEvents('missing', events, eventSimilarity), []);
+});
+
+test('the recommender ranks exactly like getSimilarEvents', () => {
+  const recommender = createRecommender(events, eventSimilarity);
+  for (const ev of events) {
+    assert.deepEqual(ids(recommender.similarEvents(ev.id, { limit: 4 })), ids(getSimilarEvents(ev.id, events, eventSimilarity, { limit: 4 })));
+  }
+});
+
+test('rejects bad options', () => {
+  assert.throws(() => resolveSimilarOptions({ weights: { pref: 1 } }), RangeError);
+  assert.throws(() => resolveSimilarOptions({ weights: { link: -1 } }), RangeError);
+  assert.throws(() => resolveSimilarOptions({ limit: '3' }), TypeError);
+  assert.throws(() => resolveSimilarOptions({ maxHops: 0 }), RangeError);
+  assert.throws(() => resolveSimilarOptions({ hopDecay: 0 }), RangeError);
+  assert.throws(() => resolveSimilarOptions({ diversity: { strategy: 'random' } }), RangeError);
+  assert.throws(() => getSimilarEvents('a', events, eventSimilarity, []), TypeError);
+});
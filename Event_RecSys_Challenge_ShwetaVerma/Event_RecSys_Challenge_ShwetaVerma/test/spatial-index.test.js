@@ -0,0 +1,118 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateDistance } = require('../src/app');
+const { createSpatialIndex } = require('../src/spatial-index');
+const { createRandom } = require('../src/random');
+
+// Uniform over the sphere, so the poles and the antimeridian get their share
+function randomPoint(random) {
+  return { lat: (Math.asin(2 * random() - 1) * 180) / Math.PI, lng: random() * 360 - 180 };
+}
+
+function indexOf(points, settings) {
+  const index = createSpatialIndex(settings);
+  points.forEach((p, i) => index.insert(`p${i}`, p, i));
+  return index;
+}
+
+function bruteForce(points, center, radiusKm) {
+  return points.map((p, i) => [`p${i}`, p]).filter(([, p]) => calculateDistance(center, p) <= radiusKm).map(([id]) => id).sort();
+}
+
+function found(index, center, radiusKm) {
+  return index.within(center, radiusKm).map(hit => hit.id).sort();
+}
+
+test('within matches a brute-force haversine filter on random points', () => {
+  const random = createRandom(11);
+  const points = Array.from({ length: 600 }, () => randomPoint(random));
+  for (const cellSizeDeg of [0.5, 1, 7, 180]) {
+    const index = indexOf(points, { cellSizeDeg });
+    assert.equal(index.size, points.length);
+    for (let q = 0; q < 60; q++) {
+      // Mostly small radii, some continental, some beyond a hemisphere
+      const radiusKm = [1, 50, 300, 2500, 12000][q % 5] * (0.5 + random());
+      const center = randomPoint(random);
+      assert.deepEqual(found(index, center, radiusKm), bruteForce(points, center, radiusKm), `cell ${cellSizeDeg}, ${JSON.stringify(center)}, ${radiusKm} km`);
+    }
+  }
+});
+
+test('hits carry their item and exact distance', () => {
+  const index = createSpatialIndex();
+  const a = { lat: 40.7, lng: -74 };
+  index.insert('a', a, { name: 'A' });
+  const [hit] = index.within({ lat: 40.71, lng: -74.01 }, 5);
+  assert.deepEqual(hit, { id: 'a', item: { name: 'A' }, distanceKm: calculateDistance({ lat: 40.71, lng: -74.01 }, a) });
+  assert.deepEqual(found(index, a, 0), ['a']);
+});
+
+test('queries wrap around the antimeridian', () => {
+  const points = [
+    { lat: 0, lng: 179.9 },
+    { lat: 0, lng: -179.9 },
+    { lat: 0.1, lng: 180 },
+    { lat: 0, lng: -180 },
+    { lat: 0, lng: 179 },    // ~111 km from the antimeridian
+    { lat: 0, lng: 0 },
+  ];
+  const index = indexOf(points, { cellSizeDeg: 1 });
+  for (const center of [{ lat: 0, lng: 179.95 }, { lat: 0, lng: -179.95 }, { lat: 0, lng: 180 }, { lat: 0, lng: -180 }]) {
+    assert.deepEqual(found(index, center, 50), ['p0', 'p1', 'p2', 'p3'], JSON.stringify(center));
+    assert.deepEqual(found(index, center, 150), bruteForce(points, center, 150), JSON.stringify(center));
+  }
+  // Longitudes beyond ±180 land in the wrapped cell
+  const wrapped = createSpatialIndex();
+  wrapped.insert('east', { lat: 0, lng: 180.05 }, null);
+  assert.deepEqual(found(wrapped, { lat: 0, lng: -179.95 }, 1), ['east']);
+});
+
+test('queries near and at the poles visit every longitude', () => {
+  const points = [];
+  for (let lng = -180; lng < 180; lng += 30) {
+    points.push({ lat: 89.9, lng }, { lat: 88.5, lng }, { lat: -89.95, lng });
+  }
+  points.push({ lat: 90, lng: 0 }, { lat: -90, lng: 45 });
+  for (const cellSizeDeg of [0.25, 1, 10]) {
+    const index = indexOf(points, { cellSizeDeg });
+    for (const center of [{ lat: 90, lng: 0 }, { lat: 89.5, lng: 120 }, { lat: 88, lng: -170 }, { lat: -89.99, lng: 10 }, { lat: -90, lng: -180 }]) {
+      for (const radiusKm of [5, 20, 100, 250]) {
+        assert.deepEqual(found(index, center, radiusKm), bruteForce(points, center, radiusKm), `cell ${cellSizeDeg}, ${JSON.stringify(center)}, ${radiusKm} km`);
+      }
+    }
+    // Every point within 20 km of the north pole, whatever its longitude
+    assert.equal(found(index, { lat: 90, lng: 0 }, 20).length, 13);
+  }
+});
+
+test('insert, replace and remove keep the index consistent', () => {
+  const index = createSpatialIndex({ cellSizeDeg: 2 });
+  assert.equal(index.insert('a', { lat: 10, lng: 10 }, 'first'), true);
+  assert.equal(index.insert('a', { lat: -10, lng: -10 }, 'moved'), true);
+  assert.equal(index.size, 1);
+  assert.deepEqual(index.within({ lat: 10, lng: 10 }, 100), []);
+  assert.deepEqual(index.within({ lat: -10, lng: -10 }, 1).map(h => h.item), ['moved']);
+
+  // Unusable locations are not indexed (and drop what the id had before)
+  assert.equal(index.insert('a', { lat: 95, lng: 0 }, 'bad'), false);
+  assert.equal(index.insert('b', { lat: '1', lng: 0 }, 'bad'), false);
+  assert.equal(index.size, 0);
+
+  index.insert('c', { lat: 0, lng: 0 }, 'c');
+  assert.equal(index.remove('c'), true);
+  assert.equal(index.remove('c'), false);
+  assert.deepEqual(index.within({ lat: 0, lng: 0 }, 1000), []);
+});
+
+test('rejects bad settings and ignores bad queries', () => {
+  assert.throws(() => createSpatialIndex({ cellSizeDeg: 0 }), RangeError);
+  assert.throws(() => createSpatialIndex({ cellSizeDeg: 181 }), RangeError);
+  assert.throws(() => createSpatialIndex({ cellSizeDeg: '1' }), RangeError);
+  const index = indexOf([{ lat: 0, lng: 0 }]);
+  assert.deepEqual(index.within({ lat: 0, lng: 0 }, -1), []);
+  assert.deepEqual(index.within({ lat: 0, lng: 0 }, NaN), []);
+  assert.deepEqual(index.within(null, 10), []);
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getRecommendedEvents, createArrayCatalog } = require('../src/app');
+const {
+  createDatasetWriter, openNdjsonDataset, recommendFromStream, convertJsonToNdjson, convertNdjsonToJson, readNdjson,
+} = require('../src/stream-io');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-io-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const events = [
+  { id: 'e1', categories: ['Music'], popularity: 0.9, location: { lat: 40.7, lng: -74 } },
+  { id: 'e2', categories: ['Music', 'Food'], popularity: 0.4, location: { lat: 40.8, lng: -73.9 } },
+  { id: 'e3', categories: ['Art'], popularity: 0.7 },
+  { id: 'e4', categories: ['Food'], popularity: 0.2, location: { lat: 41, lng: -74.2 } },
+  { id: 'e5', categories: ['Tech', 'Art'], popularity: 0.6, location: { lat: 40.6, lng: -74.1 } },
+];
+const eventSimilarity = { e1: ['e2'], e3: ['e5', 'e1'] };
+const users = [
+  { id: 'u1', location: { lat: 40.7, lng: -74 }, preferences: ['Food'], attendedEvents: ['e1', 'e3'] },
+  { id: 'u2', preferences: [], attendedEvents: [] },
+];
+const dataset = { users, events, eventSimilarity, categories: ['Music', 'Food', 'Art', 'Tech'] };
+
+const jsonPath = path.join(tmp, 'data.json');
+fs.writeFileSync(jsonPath, JSON.stringify(dataset, null, 2));
+
+test('single-file datasets convert to NDJSON and back without loss', async () => {
+  const dir = path.join(tmp, 'roundtrip');
+  const manifest = await convertJsonToNdjson(jsonPath, dir);
+  assert.deepEqual(manifest.counts, { users: 2, events: 5, similarity: 2 });
+  assert.deepEqual(manifest.metadata, { categories: dataset.categories });
+
+  // The manifest's prior is the one the engine computes over the whole catalog
+  const prior = createArrayCatalog(events).categoryPrior();
+  const { popByCat, maxPrior } = openNdjsonDataset(dir).manifest.categoryPrior;
+  assert.deepEqual({ popByCat, maxPrior }, prior);
+
+  const back = path.join(tmp, 'back.json');
+  assert.deepEqual(await convertNdjsonToJson(dir, back), { users: 2, events: 5, similarity: 2 });
+  assert.deepEqual(JSON.parse(fs.readFileSync(back, 'utf8')), dataset);
+});
+
+test('a dataset directory ranks exactly like the single-file dataset', async () => {
+  const dir = path.join(tmp, 'rank');
+  const writer = createDatasetWriter(dir);
+  for (const user of users) await writer.writeUser(user);
+  for (const ev of events) await writer.writeEvent(ev);
+  for (const [id, similar] of Object.entries(eventSimilarity)) await writer.writeSimilarity(id, similar);
+  await writer.close();
+
+  const opened = openNdjsonDataset(dir);
+  for await (const user of opened.users()) {
+    for (const options of [{ explain: true }, { preferenceModel: 'jaccard' }, { diversity: { strategy: 'mmr' } }]) {
+      assert.deepEqual(await opened.recommend(user, 3, options), getRecommendedEvents(user, events, eventSimilarity, 3, options));
+    }
+  }
+});
+
+test('recommendFromStream consumes async iterables', async () => {
+  async function* slowly() {
+    for (const ev of events) {
+      await new Promise(resolve => setImmediate(resolve));
+      yield ev;
+    }
+  }
+  const user = { ...users[0], preferences: ['Art'] };
+  const options = { preferenceModel: 'jaccard' };
+  assert.deepEqual(
+    (await recommendFromStream(user, slowly(), eventSimilarity, 2, options)).map(e => e.id),
+    getRecommendedEvents(user, events, eventSimilarity, 2, options).map(e => e.id));
+  assert.deepEqual(await recommendFromStream(user, slowly(), eventSimilarity, 0), []);
+});
+
+test('malformed input is reported with its file and line', async () => {
+  const file = path.join(tmp, 'bad.ndjson');
+  fs.writeFileSync(file, '{"id":"a"}\n\n{"id":\n');
+  const seen = [];
+  await assert.rejects(async () => {
+    for await (const record of readNdjson(file)) seen.push(record);
+  }, err => err instanceof SyntaxError && err.message.startsWith(`${file}:3:`));
+  assert.deepEqual(seen, [{ id: 'a' }]);
+
+  fs.writeFileSync(path.join(tmp, 'manifest.json'), '{"format":"other"}');
+  assert.throws(() => openNdjsonDataset(tmp), /not an NDJSON dataset manifest/);
+
+  const writer = createDatasetWriter(path.join(tmp, 'writer'));
+  assert.throws(() => writer.writeEvent(null), TypeError);
+  assert.throws(() => writer.writeSimilarity(7, []), TypeError);
+  await writer.close();
+  assert.throws(() => writer.writeUser({ id: 'late' }), /closed/);
+});
+
+test('write failures reject instead of raising unhandled stream errors', async () => {
+  // A directory where a dataset file should go cannot be opened for writing
+  const dir = path.join(tmp, 'blocked');
+  fs.mkdirSync(path.join(dir, 'users.ndjson'), { recursive: true });
+  const writer = createDatasetWriter(dir);
+  await writer.writeUser(users[0]); // buffered until the file opens
+  await writer.writeEvent(events[0]);
+  await assert.rejects(writer.close(), { code: 'EISDIR' });
+
+  const source = path.join(tmp, 'source');
+  await convertJsonToNdjson(jsonPath, source);
+  await assert.rejects(convertNdjsonToJson(source, path.join(tmp, 'missing', 'out.json')), { code: 'ENOENT' });
+});
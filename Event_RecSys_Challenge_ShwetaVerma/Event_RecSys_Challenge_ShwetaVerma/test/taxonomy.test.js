@@ -0,0 +1,109 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getRecommendedEvents, jaccard } = require('../src/app');
+const { createRecommender } = require('../src/recommender');
+const { rerankWithCategoryDiversity } = require('../src/diversity');
+const { createTaxonomy } = require('../src/taxonomy');
+
+const definition = {
+  parents: { jazz: 'music', rock: 'music', bebop: 'jazz' },
+  synonyms: { concerts: 'music' },
+};
+const taxonomy = createTaxonomy(definition);
+
+const events = [
+  { id: 'music', categories: ['music'], popularity: 0.5 },
+  { id: 'jazz', categories: ['jazz'], popularity: 0.5 },
+  { id: 'music-dance', categories: ['music-dance'], popularity: 0.5 },
+  { id: 'food', categories: ['food'], popularity: 0.5 },
+];
+
+const close = (a, b) => Math.abs(a - b) < 1e-12;
+
+test('parents, synonyms and compounds expand to weighted nodes', () => {
+  assert.deepEqual(Object.fromEntries(taxonomy.expand('bebop')), { bebop: 1, jazz: 0.5, music: 0.25 });
+  assert.deepEqual(Object.fromEntries(taxonomy.expand('concerts')), { music: 1 });
+  assert.deepEqual(Object.fromEntries(taxonomy.expand('music-dance')), { 'music-dance': 1, music: 0.5, dance: 0.5 });
+
+  assert.equal(taxonomy.similarity('music', 'concerts'), 1);
+  assert.equal(taxonomy.similarity('music', 'jazz'), 0.5);
+  assert.equal(taxonomy.similarity('jazz', 'rock'), 0.25);
+  assert.equal(taxonomy.similarity('music', 'music-dance'), 0.5);
+  assert.equal(taxonomy.similarity('music', 'food'), 0);
+});
+
+test('setSimilarity is Jaccard when nothing is related', () => {
+  const flat = createTaxonomy({ compoundSeparator: null });
+  for (const [a, b] of [[['a', 'b'], ['b', 'c']], [['a'], ['a']], [['a', 'a', 'b'], ['c']], [[], ['a']]]) {
+    assert.ok(close(flat.setSimilarity(a, b), jaccard(a, b)), `${a} / ${b}`);
+  }
+  // One exact match and one half match out of two categories each
+  assert.ok(close(taxonomy.setSimilarity(['music', 'food'], ['jazz', 'food']), 1.5 / 2.5));
+});
+
+test('a user who prefers music partially matches jazz and music-dance', () => {
+  const user = { id: 'u', preferences: ['music'], attendedEvents: [] };
+  for (const preferenceModel of ['jaccard', 'affinity']) {
+    const pref = options => Object.fromEntries(getRecommendedEvents(user, events, {}, 4, {
+      explain: true, preferenceModel, diversity: { enabled: false }, ...options,
+    }).map(r => [r.event.id, r.contributions.pref]));
+
+    // Without a taxonomy jazz and music-dance match no better than food
+    const flat = pref({});
+    assert.equal(flat.jazz, flat.food, preferenceModel);
+    assert.equal(flat['music-dance'], flat.food, preferenceModel);
+
+    const related = pref({ taxonomy: definition });
+    assert.ok(related.jazz > 0 && related.jazz < related.music, preferenceModel);
+    assert.ok(related['music-dance'] > 0 && related['music-dance'] < related.music, preferenceModel);
+    assert.ok(related.food < related.jazz, preferenceModel);
+  }
+});
+
+test('the cold-start prior counts child categories toward their parents', () => {
+  const catalog = [
+    { id: 'rock-1', categories: ['rock'], popularity: 0.9 },
+    { id: 'jazz-1', categories: ['jazz'], popularity: 0.9 },
+    { id: 'music-1', categories: ['music'], popularity: 0.2 },
+    { id: 'food-1', categories: ['food'], popularity: 0.5 },
+    { id: 'food-2', categories: ['food'], popularity: 0.5 },
+  ];
+  const cold = { id: 'new', preferences: [], attendedEvents: [] };
+  const prior = options => Object.fromEntries(getRecommendedEvents(cold, catalog, {}, 5, {
+    explain: true, diversity: { enabled: false }, ...options,
+  }).map(r => [r.event.id, r.contributions.cold]));
+
+  // Alone, "music" is the least popular category; as the parent of rock and jazz it leads
+  const flat = prior({});
+  assert.ok(flat['music-1'] < flat['food-1']);
+  const related = prior({ taxonomy });
+  assert.ok(related['music-1'] > related['food-1']);
+
+  const recommender = createRecommender(catalog, {});
+  assert.deepEqual(recommender.recommend(cold, 5, { explain: true, taxonomy }), getRecommendedEvents(cold, catalog, {}, 5, { explain: true, taxonomy }));
+});
+
+test('diversity treats related categories as partial repeats', () => {
+  const nodes = [
+    { id: 'a', score: 1, event: { id: 'a', categories: ['jazz'] } },
+    { id: 'b', score: 0.97, event: { id: 'b', categories: ['rock'] } },
+    { id: 'c', score: 0.96, event: { id: 'c', categories: ['food'] } },
+  ];
+  const order = tx => rerankWithCategoryDiversity(nodes, 0.08, Infinity, undefined, 0.5, tx).map(n => n.id);
+  assert.deepEqual(order(null), ['a', 'b', 'c']);
+  // After jazz, rock is a quarter of a repeat (0.02 penalty), enough to let food through
+  assert.deepEqual(order(taxonomy), ['a', 'c', 'b']);
+});
+
+test('rejects malformed taxonomies', () => {
+  assert.throws(() => createTaxonomy({ parents: { a: 'b', b: 'a' } }), /cycle/);
+  assert.throws(() => createTaxonomy({ parents: { a: 'a' } }), RangeError);
+  assert.throws(() => createTaxonomy({ synonyms: { a: 'b', b: 'c' } }), RangeError);
+  assert.throws(() => createTaxonomy({ parents: { a: 3 } }), TypeError);
+  assert.throws(() => createTaxonomy({ parentWeight: 1 }), RangeError);
+  assert.throws(() => createTaxonomy({ compoundSeparator: '' }), TypeError);
+  assert.throws(() => getRecommendedEvents({ id: 'u' }, events, {}, 2, { taxonomy: [] }), TypeError);
+});
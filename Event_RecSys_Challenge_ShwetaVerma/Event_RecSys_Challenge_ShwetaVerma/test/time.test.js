@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getRecommendedEvents } = require('../src/app');
+const {
+  toTimestamp, eventInterval, resolveTimeWindow, overlapsWindow, hasEnded, urgencyScore, datasetReferenceTime, allEventsEnded,
+} = require('../src/time');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const at = iso => Date.parse(iso);
+
+test('toTimestamp accepts Dates, epoch milliseconds and ISO strings with offsets', () => {
+  const t = at('2024-06-01T10:00:00Z');
+  assert.equal(toTimestamp(new Date(t)), t);
+  assert.equal(toTimestamp(t), t);
+  assert.equal(toTimestamp('2024-06-01T12:00:00+02:00'), t);
+  assert.equal(toTimestamp('2024-06-01T05:00:00-05:00'), t);
+  assert.equal(toTimestamp('2024-06-01'), at('2024-06-01T00:00:00Z')); // date-only strings are UTC
+  for (const bad of ['', 'soon', Infinity, NaN, null, undefined, {}]) assert.ok(Number.isNaN(toTimestamp(bad)), String(bad));
+});
+
+test('an event without an end time ends when it starts', () => {
+  assert.deepEqual(eventInterval({ startTime: '2024-06-01T18:00:00Z' }), { start: at('2024-06-01T18:00:00Z'), end: at('2024-06-01T18:00:00Z') });
+  assert.deepEqual(eventInterval({ startTime: '2024-06-01T18:00:00Z', endTime: 'later' }).end, at('2024-06-01T18:00:00Z'));
+  const none = eventInterval({});
+  assert.ok(Number.isNaN(none.start) && Number.isNaN(none.end));
+
+  const start = at('2024-06-01T18:00:00Z');
+  assert.equal(hasEnded(eventInterval({ startTime: start }), start), false); // ending exactly now is not over
+  assert.equal(hasEnded(eventInterval({ startTime: start }), start + 1), true);
+  assert.equal(hasEnded(eventInterval({ startTime: start, endTime: start + 2 * HOUR }), start + HOUR), false);
+  assert.equal(hasEnded(none, Infinity), false); // events without times never end
+
+  // The engine drops them the same way
+  const events = [
+    { id: 'running', categories: [], popularity: 0.5, startTime: start, endTime: start + 2 * HOUR },
+    { id: 'started', categories: [], popularity: 0.5, startTime: start },
+    { id: 'untimed', categories: [], popularity: 0.5 },
+  ];
+  const user = { id: 'u', preferences: [], attendedEvents: [] };
+  assert.deepEqual(getRecommendedEvents(user, events, {}, 3, { now: start + HOUR }).map(e => e.id).sort(), ['running', 'untimed']);
+});
+
+test('window presets follow the user calendar through utcOffsetMinutes', () => {
+  const friday = at('2024-06-07T23:00:00Z'); // a Friday, already Saturday 01:00 at UTC+2
+  assert.deepEqual(resolveTimeWindow('today', friday), { from: friday, to: at('2024-06-08T00:00:00Z') });
+  assert.deepEqual(resolveTimeWindow('today', friday, -300), { from: friday, to: at('2024-06-08T05:00:00Z') });
+  assert.deepEqual(resolveTimeWindow('tomorrow', friday, -300), { from: at('2024-06-08T05:00:00Z'), to: at('2024-06-09T05:00:00Z') });
+  assert.deepEqual(resolveTimeWindow('next-7-days', friday), { from: friday, to: friday + 7 * DAY });
+
+  // Weekend ahead, already inside it (Saturday at UTC+2), and on Sunday
+  assert.deepEqual(resolveTimeWindow('this-weekend', friday), { from: at('2024-06-08T00:00:00Z'), to: at('2024-06-10T00:00:00Z') });
+  assert.deepEqual(resolveTimeWindow('this-weekend', friday, 120), { from: friday, to: at('2024-06-09T22:00:00Z') });
+  const sunday = at('2024-06-09T10:00:00Z');
+  assert.deepEqual(resolveTimeWindow('this-weekend', sunday), { from: sunday, to: at('2024-06-10T00:00:00Z') });
+});
+
+test('explicit windows are half-open and may be unbounded on one side', () => {
+  const window = resolveTimeWindow({ from: '2024-06-01T00:00:00+02:00', to: at('2024-06-02T00:00:00Z') });
+  assert.deepEqual(window, { from: at('2024-05-31T22:00:00Z'), to: at('2024-06-02T00:00:00Z') });
+  assert.deepEqual(resolveTimeWindow({ to: '2024-06-02' }), { from: -Infinity, to: at('2024-06-02') });
+
+  const event = (start, end) => eventInterval({ startTime: start, endTime: end });
+  assert.equal(overlapsWindow(event(window.to), window), false);                       // starts at the end
+  assert.equal(overlapsWindow(event(window.to - 1), window), true);
+  assert.equal(overlapsWindow(event(window.from - HOUR, window.from), window), true); // ends at the start
+  assert.equal(overlapsWindow(event(window.from - HOUR, window.from - 1), window), false);
+  assert.equal(overlapsWindow(eventInterval({}), { from: -Infinity, to: Infinity }), false);
+
+  assert.throws(() => resolveTimeWindow('yesterday', 0), RangeError);
+  assert.throws(() => resolveTimeWindow({ from: 'soon' }), RangeError);
+  assert.throws(() => resolveTimeWindow({ from: '2024-06-02', to: '2024-06-02' }), RangeError);
+  assert.throws(() => resolveTimeWindow(null), TypeError);
+});
+
+test('urgency is 1 once started and decays to 1/e at the decay horizon', () => {
+  const now = at('2024-06-01T12:00:00Z');
+  const startingIn = hours => eventInterval({ startTime: now + hours * HOUR });
+  assert.equal(urgencyScore(startingIn(-3), now, 48), 1);
+  assert.equal(urgencyScore(startingIn(0), now, 48), 1);
+  assert.ok(Math.abs(urgencyScore(startingIn(48), now, 48) - Math.exp(-1)) < 1e-12);
+  assert.ok(Math.abs(urgencyScore(startingIn(24), now, 12) - Math.exp(-2)) < 1e-12);
+  assert.ok(urgencyScore(startingIn(1e-6), now, 48) < 1);
+  assert.ok(urgencyScore(startingIn(24 * 365), now, 48) < 1e-70);
+  assert.equal(urgencyScore(eventInterval({}), now, 48), 0);
+});
+
+test('dataset reference time and the all-ended check', () => {
+  assert.equal(datasetReferenceTime({ referenceTime: '2024-01-01T00:00:00Z' }), at('2024-01-01T00:00:00Z'));
+  assert.equal(datasetReferenceTime({ referenceTime: 'unknown' }), null);
+  assert.equal(datasetReferenceTime({}), null);
+  assert.equal(datasetReferenceTime(null), null);
+
+  const events = [{ startTime: '2024-01-01T00:00:00Z' }, { startTime: '2024-01-02T00:00:00Z', endTime: '2024-01-03T00:00:00Z' }];
+  assert.equal(allEventsEnded(events, at('2024-01-02T12:00:00Z')), false);
+  assert.equal(allEventsEnded(events, at('2024-01-04T00:00:00Z')), true);
+  assert.equal(allEventsEnded(events.concat([{}]), at('2024-01-04T00:00:00Z')), false);
+  assert.equal(allEventsEnded([], at('2024-01-04T00:00:00Z')), false);
+});
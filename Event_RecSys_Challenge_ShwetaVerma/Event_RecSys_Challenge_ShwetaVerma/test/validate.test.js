@@ -0,0 +1,161 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { getRecommendedEvents } = require('../src/app');
+const { createRecommender } = require('../src/recommender');
+const { DatasetValidationError, validateDataset, validateEvent, validateUser, validateSimilarityEntry, assertValid } = require('../src/validate');
+
+const NYC = { lat: 40.7, lng: -74 };
+const event = (id, extra = {}) => ({ id, title: `Event ${id}`, categories: ['Music'], location: NYC, popularity: 0.5, ...extra });
+const user = (id, extra = {}) => ({ id, location: NYC, preferences: ['Music'], attendedEvents: [], ...extra });
+
+const dataset = () => ({
+  users: [user('u1', { attendedEvents: ['e1'] }), user('u2')],
+  events: [event('e1'), event('e2', { startTime: '2024-06-01T18:00:00Z', endTime: '2024-06-01T20:00:00Z' })],
+  eventSimilarity: { e1: ['e2'], e2: ['e1'] },
+});
+
+const paths = issues => issues.map(issue => issue.path);
+
+test('a well-formed dataset is valid, with counts', () => {
+  const report = validateDataset(dataset());
+  assert.equal(report.valid, true);
+  assert.deepEqual(report.errors, []);
+  assert.deepEqual(report.warnings, []);
+  assert.deepEqual(report.stats, { users: 2, events: 2, similarityEntries: 2 });
+});
+
+test('every violation is reported at its path', () => {
+  const data = dataset();
+  data.events[0].popularity = 1.5;
+  data.events[1].categories = ['Music', 7];
+  data.events[1].endTime = '2024-06-01T17:00:00Z';
+  data.users[1].preferences = 'Music';
+  data.users[1].interactions = [{ eventId: 'e1', type: 'like', timestamp: 'yesterday' }];
+  const report = validateDataset(data);
+
+  assert.equal(report.valid, false);
+  assert.deepEqual(paths(report.errors), [
+    'events[0].popularity',
+    'events[1].categories[1]',
+    'events[1].endTime',
+    'users[1].preferences',
+    'users[1].interactions[0].type',
+    'users[1].interactions[0].timestamp',
+  ]);
+  assert.match(report.errors[0].message, /must be a number in \[0, 1\] \(got 1\.5\)/);
+  assert.equal(report.errors[2].message, 'must not be before startTime');
+
+  // Whole sections of the wrong type
+  assert.deepEqual(paths(validateDataset({ users: {}, events: null, eventSimilarity: [] }).errors), ['events', 'users', 'eventSimilarity']);
+  assert.deepEqual(paths(validateDataset([]).errors), ['$']);
+});
+
+test('duplicate ids are errors, repeated list entries only warnings', () => {
+  const data = dataset();
+  data.events.push(event('e1'));
+  data.users.push(user('u1'));
+  data.users[0].preferences = ['Music', 'Music'];
+  const report = validateDataset(data);
+  assert.deepEqual(paths(report.errors), ['events[2].id', 'users[2].id']);
+  assert.match(report.errors[0].message, /duplicates event id "e1"/);
+  assert.match(report.errors[1].message, /duplicates user id "u1"/);
+  assert.deepEqual(paths(report.warnings), ['users[0].preferences[1]']);
+});
+
+test('dangling attendance and similarity references are errors', () => {
+  const data = dataset();
+  data.users[1].attendedEvents = ['e2', 'ghost'];
+  data.users[1].interactions = [{ eventId: 'removed', type: 'click', timestamp: '2024-05-01T00:00:00Z' }];
+  data.eventSimilarity.e2 = ['e1', 'nope', 'e2'];
+  data.eventSimilarity.missing = ['e1'];
+  const report = validateDataset(data);
+
+  assert.deepEqual(paths(report.errors), ['users[1].attendedEvents[1]', 'eventSimilarity["e2"][1]', 'eventSimilarity["missing"]']);
+  assert.match(report.errors[0].message, /references unknown event "ghost"/);
+  assert.match(report.errors[2].message, /key references unknown event "missing"/);
+  // Interactions may outlive their events, and self-similarity is suspicious but allowed
+  assert.deepEqual(paths(report.warnings), ['users[1].interactions[0].eventId', 'eventSimilarity["e2"][2]']);
+
+  // Without the set of known ids, per-record checks cannot tell
+  assert.deepEqual(validateUser(data.users[1], 'user').errors, []);
+  assert.deepEqual(validateSimilarityEntry('e2', ['nope'], 'similar').errors, []);
+});
+
+test('coordinates must be numbers within range', () => {
+  const cases = [
+    [{ lat: 91, lng: 0 }, ['events[0].location.lat']],
+    [{ lat: -90, lng: 180 }, []],
+    [{ lat: 0, lng: -180.5 }, ['events[0].location.lng']],
+    [{ lat: '40', lng: NaN }, ['events[0].location.lat', 'events[0].location.lng']],
+    [null, ['events[0].location']],
+  ];
+  for (const [location, expected] of cases) {
+    assert.deepEqual(paths(validateEvent(event('e1', { location }), 'events[0]').errors), expected, JSON.stringify(location));
+  }
+
+  // Users may leave out the primary location when they have named ones, which are checked too
+  const named = user('u', { location: undefined, locations: [{ name: 'work', location: { lat: 0, lng: 200 } }] });
+  assert.deepEqual(paths(validateUser(named, 'users[0]').errors), ['users[0].locations[0].location.lng']);
+  assert.deepEqual(paths(validateUser(user('u', { location: undefined }), 'users[0]').errors), ['users[0].location']);
+});
+
+test('assertValid throws a DatasetValidationError naming the first issue', () => {
+  assert.doesNotThrow(() => assertValid({ errors: [] }, 'user'));
+  const issues = [{ path: 'user.id', message: 'must be a non-empty string (got 3)' }, { path: 'user.location', message: 'x' }];
+  assert.throws(() => assertValid({ errors: issues }, 'user'), err => {
+    assert.ok(err instanceof DatasetValidationError);
+    assert.equal(err.message, 'Invalid user: user.id must be a non-empty string (got 3) (and 1 more)');
+    assert.deepEqual(err.issues, issues);
+    return true;
+  });
+});
+
+test('strict mode throws where the default mode skips or degrades', () => {
+  const { users, events, eventSimilarity } = dataset();
+  const broken = events.concat([event('e3', { location: { lat: 95, lng: 0 } })]);
+
+  // Default: the bad location just counts as unknown
+  assert.equal(getRecommendedEvents(users[1], broken, eventSimilarity, 3).length, 3);
+
+  for (const rank of [
+    () => getRecommendedEvents(users[1], broken, eventSimilarity, 3, { strict: true }),
+    () => createRecommender(broken, eventSimilarity).recommend(users[1], 3, { strict: true }),
+  ]) {
+    assert.throws(rank, err => {
+      assert.ok(err instanceof DatasetValidationError);
+      assert.match(err.message, /^Invalid event: events\[(2|id="e3")\]\.location\.lat must be a number in \[-90, 90\]/);
+      return true;
+    });
+  }
+  assert.throws(() => getRecommendedEvents(user('u', { preferences: 'Music' }), events, eventSimilarity, 3, { strict: true }),
+    /Invalid user: user\.preferences must be an array/);
+  assert.throws(() => getRecommendedEvents(user('u', { attendedEvents: ['ghost'] }), events, eventSimilarity, 3, { strict: true }),
+    /Invalid user: user\.attendedEvents\[0\] references unknown event "ghost"/);
+  assert.doesNotThrow(() => getRecommendedEvents(users[0], events, eventSimilarity, 3, { strict: true }));
+});
+
+test('the CLI exits with 1 on an invalid dataset', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-'));
+  try {
+    const file = path.join(dir, 'data.json');
+    const cli = path.join(__dirname, '..', 'src', 'validate.js');
+    fs.writeFileSync(file, JSON.stringify(dataset()));
+    assert.equal(spawnSync(process.execPath, [cli, file]).status, 0);
+
+    const data = dataset();
+    data.users[0].attendedEvents = ['ghost'];
+    fs.writeFileSync(file, JSON.stringify(data));
+    const run = spawnSync(process.execPath, [cli, file, '--json'], { encoding: 'utf8' });
+    assert.equal(run.status, 1);
+    assert.deepEqual(paths(JSON.parse(run.stdout).errors), ['users[0].attendedEvents[0]']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});